@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Retry backoff for Redis Pool Manager
+ *
+ * Shared by RedisPoolManager and RedisClusterPoolManager so both back off
+ * the same way.
+ */
+
+/**
+ * Computes the backoff delay before a retry attempt
+ *
+ * The delay doubles with every attempt starting from initialDelay, and half
+ * of it is randomized so that many connections failing together don't
+ * retry in lockstep.
+ *
+ * @param {number} attempt - Retry attempt number, starting at 1
+ * @param {number} initialDelay - Delay in ms before the first retry
+ * @returns {number} Delay in milliseconds
+ *
+ * @example
+ * ```javascript
+ * backoffDelay(3, 1000); // between 2000 and 4000
+ * ```
+ */
+export function backoffDelay(attempt, initialDelay) {
+  const base = initialDelay * 2 ** (attempt - 1);
+  return Math.round(base / 2 + Math.random() * (base / 2));
+}
@@ -0,0 +1,216 @@
+import { EventEmitter } from 'events';
+import { RedisClientOptions } from 'redis';
+import RedisPoolManager, {
+  AcquireOptions,
+  AcquirePriority,
+  HealthCheckResult,
+  PoolOptions,
+  PoolStats,
+  RedisPoolClient,
+  ShutdownOptions,
+  ShutdownSummary
+} from './index.js';
+
+/** Number of hash slots in a Redis Cluster */
+export const SLOT_COUNT: 16384;
+
+/**
+ * Computes the hash slot of a key, honoring `{...}` hash tags
+ *
+ * @param key Redis key
+ * @returns Hash slot between 0 and 16383
+ */
+export function calculateSlot(key: string | Buffer): number;
+
+export interface ClusterNodeAddress {
+  host: string;
+  port: number;
+}
+
+export interface ClusterConfig extends RedisClientOptions {
+  /** Nodes to load the topology from at startup */
+  rootNodes: ClusterNodeAddress[];
+}
+
+export interface ClusterOptions extends Omit<PoolOptions, 'sentinel' | 'replicas' | 'replicaStrategy' | 'maxReplicaLag'> {
+  /**
+   * Maximum MOVED/ASK redirects withConnection() follows per call
+   * @default 16
+   */
+  maxRedirections?: number;
+}
+
+export interface ClusterAcquireOptions extends AcquireOptions {
+  /** Key whose hash slot picks the master */
+  key?: string | Buffer;
+
+  /** Hash slot that picks the master */
+  slot?: number;
+}
+
+export interface TopologyInfo {
+  /** All masters after the refresh, as "host:port" */
+  masters: string[];
+
+  /** Masters that gained a pool */
+  added: string[];
+
+  /** Masters whose pool is being shut down */
+  removed: string[];
+}
+
+export interface RedirectInfo {
+  /** Redirect kind */
+  type: 'MOVED' | 'ASK';
+
+  /** Hash slot being redirected */
+  slot: number;
+
+  /** Node to retry on, as "host:port" */
+  node: string;
+}
+
+export interface ClusterStats {
+  /** Summed across masters */
+  created: number;
+  destroyed: number;
+  acquired: number;
+  released: number;
+  errors: number;
+  evicted: number;
+  retired: number;
+  dirtyRelease: number;
+  available: number;
+  busy: number;
+  total: number;
+  pending: number;
+  pendingByPriority: Record<AcquirePriority, number>;
+
+  /** Number of masters with a pool */
+  masters: number;
+
+  /** Topology loads that succeeded */
+  refreshes: number;
+
+  /** MOVED/ASK redirects followed by withConnection() */
+  redirects: number;
+
+  /** Each master's own statistics, keyed by "host:port" */
+  nodes: Record<string, PoolStats>;
+}
+
+/**
+ * Slot-aware pooling for Redis Cluster, with one RedisPoolManager per master
+ */
+export class RedisClusterPoolManager extends EventEmitter {
+  /** Nodes the topology is loaded from at startup */
+  readonly rootNodes: ClusterNodeAddress[];
+
+  /** Cluster name, prefixed to each master's pool name */
+  readonly name: string;
+
+  /** Maximum redirects followed per withConnection() call */
+  readonly maxRedirections: number;
+
+  /** Pool per master, keyed by "host:port" */
+  readonly pools: Map<string, RedisPoolManager>;
+
+  /** Owning master of each slot */
+  readonly slots: Array<string | null>;
+
+  /** Whether shutdown() has been called */
+  readonly isShuttingDown: boolean;
+
+  /**
+   * Creates a new RedisClusterPoolManager instance
+   *
+   * @param config Redis client configuration shared by every node, plus rootNodes
+   * @param options Pool options applied to each master's pool
+   * @throws InvalidOptionError if rootNodes is empty or a cluster or pool option is invalid
+   */
+  constructor(config: ClusterConfig, options?: ClusterOptions);
+
+  /**
+   * Reloads the slot map from the cluster
+   */
+  refreshTopology(): Promise<void>;
+
+  /**
+   * Acquires a connection to the master owning options.key or options.slot
+   */
+  acquireConnection(options?: ClusterAcquireOptions): Promise<RedisPoolClient>;
+
+  /**
+   * Acquires a connection to the master that owns a hash slot
+   */
+  acquireForSlot(slot: number, options?: AcquireOptions): Promise<RedisPoolClient>;
+
+  /**
+   * Releases a connection back to the pool it came from
+   */
+  releaseConnection(client: RedisPoolClient): void;
+
+  /**
+   * Runs fn with a connection to the right master, following MOVED/ASK redirects
+   */
+  withConnection<T>(fn: (client: RedisPoolClient) => Promise<T>, options?: ClusterAcquireOptions): Promise<T>;
+
+  /**
+   * Returns statistics summed across masters, plus each master's own
+   */
+  getStats(): ClusterStats;
+
+  /**
+   * Renders every master's pool in the Prometheus text exposition format
+   */
+  getMetrics(): string;
+
+  /**
+   * Health checks every master's pool
+   */
+  healthCheck(): Promise<HealthCheckResult>;
+
+  /**
+   * Shuts down every master's pool
+   */
+  shutdown(options?: ShutdownOptions): Promise<ShutdownSummary>;
+
+  /**
+   * Emitted once the topology is loaded and every master's pool is ready or
+   * has failed its first startup round (it keeps retrying)
+   */
+  on(event: 'ready', listener: () => void): this;
+
+  /**
+   * Emitted when a refresh added or removed masters
+   */
+  on(event: 'topology', listener: (info: TopologyInfo) => void): this;
+
+  /**
+   * Emitted when withConnection() follows a redirect
+   */
+  on(event: 'redirect', listener: (info: RedirectInfo) => void): this;
+
+  /**
+   * Emitted when loading the topology at startup failed, or a master's pool
+   * failed a startup round (both are retried)
+   */
+  on(event: 'error', listener: (error: Error) => void): this;
+
+  /**
+   * Generic event listener for any event
+   */
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+
+  once(event: 'ready', listener: () => void): this;
+  once(event: 'topology', listener: (info: TopologyInfo) => void): this;
+  once(event: 'redirect', listener: (info: RedirectInfo) => void): this;
+  once(event: 'error', listener: (error: Error) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+
+  emit(event: 'ready'): boolean;
+  emit(event: 'topology', info: TopologyInfo): boolean;
+  emit(event: 'redirect', info: RedirectInfo): boolean;
+  emit(event: 'error', error: Error): boolean;
+  emit(event: string | symbol, ...args: any[]): boolean;
+}
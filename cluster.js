@@ -0,0 +1,826 @@
+/**
+ * @fileoverview Redis Cluster support for Redis Pool Manager
+ *
+ * Keeps one RedisPoolManager per cluster master and routes each acquisition
+ * to the master that owns the key's hash slot. The slot map is loaded with
+ * CLUSTER SHARDS (falling back to CLUSTER SLOTS on servers before 7.0) and
+ * refreshed when a MOVED redirect or a failing node shows it is stale.
+ *
+ * @example
+ * import { RedisClusterPoolManager } from 'redis-pm/cluster';
+ *
+ * const cluster = new RedisClusterPoolManager(
+ *   { rootNodes: [{ host: '10.0.0.1', port: 6379 }], password: 'secret' },
+ *   { maxConnections: 10, minConnections: 1 }
+ * );
+ *
+ * const value = await cluster.withConnection(client => client.get('user:42'), { key: 'user:42' });
+ */
+import { createClient } from "redis";
+import EventEmitter from "events";
+import RedisPoolManager from "./rpm.js";
+import { renderMetrics } from "./metrics.js";
+import { consoleLogger, createLogger } from "./logger.js";
+import { backoffDelay } from "./backoff.js";
+import { numberOption, stringOption } from "./options.js";
+import { InvalidOptionError, PoolClosedError } from "./errors.js";
+
+/**
+ * Number of hash slots in a Redis Cluster
+ *
+ * @type {number}
+ */
+export const SLOT_COUNT = 16384;
+
+/**
+ * Node failures closer together than this (ms) share one topology refresh
+ *
+ * @private
+ * @type {number}
+ */
+const MIN_REFRESH_INTERVAL = 1000;
+
+/**
+ * Pool statistics that are summed across nodes in getStats()
+ *
+ * @private
+ * @type {string[]}
+ */
+const SUMMED_STATS = ['created', 'destroyed', 'acquired', 'released', 'errors', 'evicted', 'retired', 'dirtyRelease', 'available', 'busy', 'total', 'pending'];
+
+/**
+ * Lookup table for CRC16-XMODEM, the checksum Redis Cluster hashes keys with
+ *
+ * @private
+ * @type {Uint16Array}
+ */
+const CRC16_TABLE = (() => {
+  const table = new Uint16Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+    }
+    table[i] = crc & 0xffff;
+  }
+  return table;
+})();
+
+/**
+ * Computes the hash slot of a key
+ *
+ * Follows the Redis Cluster spec: if the key contains a non-empty `{...}`
+ * hash tag, only the tag is hashed, so related keys can share a slot.
+ *
+ * @param {string|Buffer} key - Redis key
+ * @returns {number} Hash slot between 0 and 16383
+ *
+ * @example
+ * ```javascript
+ * calculateSlot('user:{42}:profile') === calculateSlot('user:{42}:settings'); // true
+ * ```
+ */
+export function calculateSlot(key) {
+  let buffer = Buffer.isBuffer(key) ? key : Buffer.from(String(key));
+
+  const open = buffer.indexOf(0x7b); // '{'
+  if (open !== -1) {
+    const close = buffer.indexOf(0x7d, open + 1); // '}'
+    if (close > open + 1) {
+      buffer = buffer.subarray(open + 1, close);
+    }
+  }
+
+  let crc = 0;
+  for (const byte of buffer) {
+    crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[((crc >> 8) ^ byte) & 0xff];
+  }
+  return crc % SLOT_COUNT;
+}
+
+/**
+ * Turns a flat RESP2 [name, value, name, value, ...] reply into an object
+ *
+ * @private
+ * @param {Array} flat - Alternating field names and values
+ * @returns {Object} Fields by name
+ */
+function toObject(flat) {
+  const fields = {};
+  for (let i = 0; i < flat.length; i += 2) {
+    fields[flat[i]] = flat[i + 1];
+  }
+  return fields;
+}
+
+/**
+ * Reads master slot ranges from a CLUSTER SHARDS reply
+ *
+ * @private
+ * @param {Array} reply - CLUSTER SHARDS reply
+ * @param {string} fallbackHost - Host of the node that answered, for nodes announcing no endpoint
+ * @returns {Array<{start: number, end: number, host: string, port: number}>} Slot ranges
+ */
+function parseShards(reply, fallbackHost) {
+  const ranges = [];
+
+  for (const shard of reply) {
+    const { slots, nodes } = toObject(shard);
+    const master = nodes.map(toObject).find(node => node.role === 'master' && node.health === 'online');
+    if (!master) {
+      continue;
+    }
+
+    const endpoint = master.endpoint && master.endpoint !== '?' ? master.endpoint : master.ip;
+    const host = endpoint || fallbackHost;
+    const port = Number(master.port ?? master['tls-port']);
+    for (let i = 0; i < slots.length; i += 2) {
+      ranges.push({ start: Number(slots[i]), end: Number(slots[i + 1]), host, port });
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Reads master slot ranges from a CLUSTER SLOTS reply
+ *
+ * @private
+ * @param {Array} reply - CLUSTER SLOTS reply
+ * @param {string} fallbackHost - Host of the node that answered, for nodes announcing no endpoint
+ * @returns {Array<{start: number, end: number, host: string, port: number}>} Slot ranges
+ */
+function parseSlots(reply, fallbackHost) {
+  return reply.map(([start, end, [host, port]]) => ({
+    start: Number(start),
+    end: Number(end),
+    host: host && host !== '?' ? host : fallbackHost,
+    port: Number(port)
+  }));
+}
+
+/**
+ * Recognizes MOVED and ASK redirect errors
+ *
+ * @private
+ * @param {Error} error - Error thrown by a command
+ * @returns {{type: string, slot: number, node: string}|null} Redirect, or null for other errors
+ */
+function parseRedirect(error) {
+  const match = error && /^(MOVED|ASK) (\d+) (\S+)$/.exec(error.message);
+  return match ? { type: match[1], slot: Number(match[2]), node: match[3] } : null;
+}
+
+/**
+ * RedisClusterPoolManager - Slot-aware pooling for Redis Cluster
+ *
+ * @class RedisClusterPoolManager
+ * @extends EventEmitter
+ *
+ * @fires RedisClusterPoolManager#ready - Emitted once the topology is loaded and every master's pool is ready or has failed its first startup round
+ * @fires RedisClusterPoolManager#topology - Emitted when masters were added or removed by a refresh
+ * @fires RedisClusterPoolManager#redirect - Emitted when withConnection() follows a MOVED or ASK redirect
+ * @fires RedisClusterPoolManager#error - Emitted when loading the topology at startup failed, or a master's pool failed a startup round
+ */
+export class RedisClusterPoolManager extends EventEmitter {
+  /**
+   * Creates a new RedisClusterPoolManager instance
+   *
+   * @param {Object} config - Redis client configuration shared by every node (password, TLS, ...)
+   * @param {Array<{host: string, port: number}>} config.rootNodes - Nodes to load the topology from at startup
+   * @param {Object} [options={}] - Pool options applied to each master's pool, plus:
+   * @param {number} [options.maxRedirections=16] - Maximum MOVED/ASK redirects withConnection() follows per call
+   * @throws {InvalidOptionError} If rootNodes is empty or a cluster or pool option is invalid (code 'EINVALIDOPTION')
+   */
+  constructor(config, options = {}) {
+    super();
+
+    const { rootNodes, ...nodeConfig } = config;
+    // maxRedirections is ours; everything else goes to the per-master pools
+    const poolOptions = { ...options };
+    delete poolOptions.maxRedirections;
+    if (!Array.isArray(rootNodes) || rootNodes.length === 0) {
+      throw new InvalidOptionError('rootNodes', "rootNodes must list at least one cluster node");
+    }
+
+    // Store configuration
+    this.rootNodes = rootNodes;
+    this.nodeConfig = nodeConfig;
+    this.poolOptions = poolOptions;
+    this.name = stringOption(options, 'name', 'default');
+    this.maxRedirections = numberOption(options, 'maxRedirections', 16, { integer: true });
+    this.retryDelay = numberOption(options, 'retryDelay', 1000);
+    this.maxRetries = numberOption(options, 'maxRetries', 5, { integer: true });
+    RedisPoolManager.validateOptions(poolOptions);
+
+    // Logging configuration
+    this.logger = createLogger(options.logger || consoleLogger, options.logLevel ?? 'info');
+
+    // Topology
+    /** @type {Map<string, RedisPoolManager>} Pool per master, keyed by "host:port" */
+    this.pools = new Map();
+    /** @type {Set<string>} Masters whose pool has neither connected nor failed a startup round yet */
+    this.startingNodes = new Set();
+    /** @type {Function|null} Wakes initialize() when the masters have started or shutdown() is called */
+    this.onStarted = null;
+    /** @type {Array<string|null>} Owning master of each slot */
+    this.slots = new Array(SLOT_COUNT).fill(null);
+    /** @type {WeakMap<Object, RedisPoolManager>} Pool each handed-out client belongs to */
+    this.owners = new WeakMap();
+    /** @type {Promise<void>|null} Topology refresh in flight, shared by concurrent callers */
+    this.refreshPromise = null;
+    this.lastRefreshAt = 0;
+
+    // Cluster state management
+    this.isShuttingDown = false;
+    /** @type {Promise<Object>|null} Result of the first shutdown() call */
+    this.shutdownPromise = null;
+
+    // Statistics tracking
+    this.stats = {
+      refreshes: 0,    // Topology loads that succeeded
+      redirects: 0     // MOVED/ASK redirects followed
+    };
+
+    this.initialize();
+  }
+
+  /**
+   * Loads the topology, retrying with backoff, then waits for every master's pool
+   *
+   * A master's pool counts as started once it is ready or its first startup
+   * round failed, so one unreachable master doesn't hold up the others; its
+   * pool keeps retrying in the background. Returns early, without 'ready',
+   * if shutdown() is called first.
+   *
+   * @private
+   * @async
+   * @returns {Promise<void>}
+   * @emits RedisClusterPoolManager#ready - When every master pool has started
+   * @emits RedisClusterPoolManager#error - After each failed attempt, if anyone listens
+   */
+  async initialize() {
+    for (let attempt = 1; !this.isShuttingDown; attempt++) {
+      try {
+        await this.refreshTopology();
+        break;
+      } catch (error) {
+        const delay = this.getRetryDelay(Math.min(attempt, this.maxRetries));
+        this.logger.error({ event: 'init', delay, err: error }, 'Failed to load Redis cluster topology, retrying');
+        this.emitError(error);
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, delay);
+          this.onStarted = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+        this.onStarted = null;
+      }
+    }
+
+    await new Promise(resolve => {
+      this.onStarted = resolve;
+      this.checkStarted();
+    });
+    this.onStarted = null;
+
+    if (this.isShuttingDown) {
+      return;
+    }
+    this.logger.info({ event: 'ready', masters: this.pools.size }, 'Redis cluster pool initialized');
+    this.emit('ready');
+  }
+
+  /**
+   * Wakes initialize() once no master's pool is still starting, or on shutdown
+   *
+   * @private
+   * @returns {void}
+   */
+  checkStarted() {
+    if (this.onStarted && (this.startingNodes.size === 0 || this.isShuttingDown)) {
+      this.onStarted();
+    }
+  }
+
+  /**
+   * Emits 'error' if anyone listens
+   *
+   * Initialization goes on by itself, so an unhandled 'error' must not
+   * crash the process.
+   *
+   * @private
+   * @param {Error} error - Error to report
+   * @returns {void}
+   */
+  emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Computes the backoff delay before a retry attempt, see backoffDelay()
+   *
+   * @private
+   * @param {number} attempt - Retry attempt number, starting at 1
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt) {
+    return backoffDelay(attempt, this.retryDelay);
+  }
+
+  /**
+   * Reloads the slot map from the cluster
+   *
+   * Pools are created for new masters and shut down (draining busy
+   * connections) for masters that are gone. Concurrent callers share a
+   * single refresh.
+   *
+   * @async
+   * @returns {Promise<void>}
+   * @throws {Error} If no known node could provide the topology
+   * @emits RedisClusterPoolManager#topology - When the set of masters changed
+   */
+  refreshTopology() {
+    if (!this.refreshPromise) {
+      this.lastRefreshAt = Date.now();
+      this.refreshPromise = this.fetchSlotRanges()
+        .then(ranges => this.applyTopology(ranges))
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Asks known masters, then the root nodes, for the slot ranges
+   *
+   * @private
+   * @async
+   * @returns {Promise<Array<{start: number, end: number, host: string, port: number}>>} Slot ranges
+   * @throws {Error} If no node answered
+   */
+  async fetchSlotRanges() {
+    const candidates = [
+      ...[...this.pools.values()].map(pool => pool.config.socket),
+      ...this.rootNodes
+    ];
+    let lastError = null;
+
+    for (const { host, port } of candidates) {
+      const client = createClient({
+        ...this.nodeConfig,
+        socket: { ...this.nodeConfig.socket, host, port, reconnectStrategy: false }
+      });
+      // Failures surface through connect() and sendCommand() below
+      client.on('error', () => {});
+
+      try {
+        await client.connect();
+        try {
+          return parseShards(await client.sendCommand(['CLUSTER', 'SHARDS']), host);
+        } catch {
+          // CLUSTER SHARDS only exists from Redis 7.0
+          return parseSlots(await client.sendCommand(['CLUSTER', 'SLOTS']), host);
+        }
+      } catch (error) {
+        lastError = error;
+      } finally {
+        if (client.isOpen) {
+          client.disconnect().catch(() => {});
+        }
+      }
+    }
+
+    throw new Error(`Could not load cluster topology from any node: ${lastError && lastError.message}`);
+  }
+
+  /**
+   * Installs a new slot map and adds or removes master pools to match
+   *
+   * @private
+   * @param {Array<{start: number, end: number, host: string, port: number}>} ranges - Slot ranges
+   * @returns {void}
+   */
+  applyTopology(ranges) {
+    // Don't start pools that shutdown() would miss
+    if (this.isShuttingDown) {
+      return;
+    }
+    if (ranges.length === 0) {
+      throw new Error("Cluster reported no slot ranges");
+    }
+
+    const slots = new Array(SLOT_COUNT).fill(null);
+    const masters = new Map();
+    for (const { start, end, host, port } of ranges) {
+      const node = `${host}:${port}`;
+      masters.set(node, { host, port });
+      slots.fill(node, start, end + 1);
+    }
+
+    const added = [...masters.keys()].filter(node => !this.pools.has(node));
+    const removed = [...this.pools.keys()].filter(node => !masters.has(node));
+
+    for (const node of added) {
+      this.createNodePool(node, masters.get(node));
+    }
+    for (const node of removed) {
+      this.removeNodePool(node);
+    }
+
+    this.slots = slots;
+    this.stats.refreshes++;
+
+    if (added.length > 0 || removed.length > 0) {
+      const info = { masters: [...masters.keys()], added, removed };
+      this.logger.info({ event: 'topology', ...info }, 'Redis cluster topology changed');
+      this.emit('topology', info);
+    }
+  }
+
+  /**
+   * Creates the pool for a master
+   *
+   * @private
+   * @param {string} node - Master key, "host:port"
+   * @param {{host: string, port: number}} address - Master address
+   * @returns {void}
+   */
+  createNodePool(node, { host, port }) {
+    const pool = new RedisPoolManager(
+      { ...this.nodeConfig, socket: { ...this.nodeConfig.socket, host, port } },
+      { ...this.poolOptions, name: `${this.name}/${node}` }
+    );
+
+    this.startingNodes.add(node);
+    const started = () => {
+      this.startingNodes.delete(node);
+      this.checkStarted();
+    };
+    pool.once('ready', started);
+    // Each startup round that leaves the pool empty; the pool keeps retrying
+    pool.on('error', error => {
+      started();
+      this.emitError(error);
+    });
+
+    // A master that drops or refuses connections may have failed over
+    pool.on('reconnecting', () => this.handleNodeFailure(node));
+    pool.on('retry', () => this.handleNodeFailure(node));
+
+    this.pools.set(node, pool);
+  }
+
+  /**
+   * Shuts down the pool of a master that left the topology
+   *
+   * Busy connections stay with their callers and are closed when released.
+   *
+   * @private
+   * @param {string} node - Master key, "host:port"
+   * @returns {void}
+   */
+  removeNodePool(node) {
+    const pool = this.pools.get(node);
+    this.pools.delete(node);
+    this.startingNodes.delete(node);
+    this.checkStarted();
+
+    pool.shutdown().catch(error => {
+      this.logger.error({ event: 'shutdown', node, err: error }, 'Failed to shut down Redis cluster node pool');
+    });
+  }
+
+  /**
+   * Refreshes the topology when a master is failing, at most once per MIN_REFRESH_INTERVAL
+   *
+   * @private
+   * @param {string} node - Master key, "host:port"
+   * @returns {void}
+   */
+  handleNodeFailure(node) {
+    if (this.isShuttingDown || Date.now() - this.lastRefreshAt < MIN_REFRESH_INTERVAL) {
+      return;
+    }
+
+    this.logger.warn({ event: 'nodeFailure', node }, 'Redis cluster node failing, refreshing topology');
+    this.refreshTopology().catch(error => {
+      this.logger.error({ event: 'topology', err: error }, 'Failed to refresh Redis cluster topology');
+    });
+  }
+
+  /**
+   * Acquires a connection to the master that owns a key or slot
+   *
+   * Without a key or slot, a connection to an arbitrary master is returned.
+   * The remaining options (timeout, signal, priority) are passed to that
+   * master's pool.
+   *
+   * @async
+   * @param {Object} [options={}] - Routing and per-call acquire options
+   * @param {string|Buffer} [options.key] - Key whose hash slot picks the master
+   * @param {number} [options.slot] - Hash slot that picks the master
+   * @returns {Promise<Object>} Redis client; give it back with releaseConnection()
+   * @throws {Error} If the cluster is shutting down or the slot has no owner
+   *
+   * @example
+   * ```javascript
+   * const client = await cluster.acquireConnection({ key: 'user:42' });
+   * try {
+   *   await client.hSet('user:42', 'name', 'Ada');
+   * } finally {
+   *   cluster.releaseConnection(client);
+   * }
+   * ```
+   */
+  async acquireConnection(options = {}) {
+    const { key, slot, ...acquireOptions } = options;
+
+    if (key !== undefined) {
+      return this.acquireForSlot(calculateSlot(key), acquireOptions);
+    }
+    if (slot !== undefined) {
+      return this.acquireForSlot(slot, acquireOptions);
+    }
+
+    if (this.isShuttingDown) {
+      throw new PoolClosedError();
+    }
+    const [node] = this.pools.keys();
+    if (node === undefined) {
+      throw new Error("Cluster topology has not been loaded yet");
+    }
+    return this.acquireForNode(node, acquireOptions);
+  }
+
+  /**
+   * Acquires a connection to the master that owns a hash slot
+   *
+   * If no master is known for the slot, the topology is refreshed once
+   * before giving up.
+   *
+   * @async
+   * @param {number} slot - Hash slot between 0 and 16383
+   * @param {Object} [options={}] - Per-call acquire options (timeout, signal, priority)
+   * @returns {Promise<Object>} Redis client; give it back with releaseConnection()
+   * @throws {Error} If the cluster is shutting down or the slot has no owner
+   */
+  async acquireForSlot(slot, options = {}) {
+    if (this.isShuttingDown) {
+      throw new PoolClosedError();
+    }
+    if (!Number.isInteger(slot) || slot < 0 || slot >= SLOT_COUNT) {
+      throw new InvalidOptionError('slot', `Invalid hash slot ${slot}, expected an integer from 0 to ${SLOT_COUNT - 1}`);
+    }
+
+    if (!this.slots[slot]) {
+      await this.refreshTopology();
+    }
+    const node = this.slots[slot];
+    if (!node) {
+      throw new Error(`Hash slot ${slot} is not served by any cluster node`);
+    }
+
+    return this.acquireForNode(node, options);
+  }
+
+  /**
+   * Acquires a connection from one master's pool
+   *
+   * @private
+   * @async
+   * @param {string} node - Master key, "host:port"
+   * @param {Object} options - Per-call acquire options
+   * @returns {Promise<Object>} Redis client
+   * @throws {Error} If the node is not a known master
+   */
+  async acquireForNode(node, options) {
+    const pool = this.pools.get(node);
+    if (!pool) {
+      throw new Error(`Unknown cluster node ${node}`);
+    }
+
+    const client = await pool.acquireConnection(options);
+    this.owners.set(client, pool);
+    return client;
+  }
+
+  /**
+   * Releases a connection back to the pool it came from
+   *
+   * @param {Object} client - Redis client from acquireConnection() or acquireForSlot()
+   * @returns {void}
+   */
+  releaseConnection(client) {
+    const pool = this.owners.get(client);
+    if (!pool) {
+      this.logger.warn({ event: 'release', connectionId: client && client.connectionId }, 'Released a connection this cluster did not hand out');
+      return;
+    }
+
+    this.owners.delete(client);
+    pool.releaseConnection(client);
+  }
+
+  /**
+   * Runs fn with a connection to the right master, following cluster redirects
+   *
+   * On a MOVED error the topology is refreshed and fn runs again on the
+   * slot's new owner. On an ASK error fn runs again on the named node after
+   * ASKING, which only covers the first command fn sends; a node without a
+   * pool yet, such as a master just added to the cluster, gets a temporary
+   * connection for it. The connection is always released.
+   *
+   * @async
+   * @param {function(Object): Promise<*>} fn - Receives the client and returns a result
+   * @param {Object} [options={}] - Same as acquireConnection()
+   * @returns {Promise<*>} Whatever fn resolves with
+   * @throws {Error} Whatever fn throws, once maxRedirections is exceeded or for non-redirect errors
+   * @emits RedisClusterPoolManager#redirect - For each redirect followed
+   *
+   * @example
+   * ```javascript
+   * const name = await cluster.withConnection(client => client.hGet('user:42', 'name'), { key: 'user:42' });
+   * ```
+   */
+  async withConnection(fn, options = {}) {
+    let redirect = null;
+
+    for (let redirects = 0; ; redirects++) {
+      let client;
+      let temporary = false;
+      if (!redirect) {
+        client = await this.acquireConnection(options);
+      } else if (redirect.type === 'MOVED') {
+        // The node in the reply may be an IP for a master we know by hostname
+        client = await this.acquireConnection({ ...options, key: undefined, slot: redirect.slot });
+      } else if (this.pools.has(redirect.node)) {
+        client = await this.acquireForNode(redirect.node, options);
+      } else {
+        client = await this.openTemporaryConnection(redirect.node);
+        temporary = true;
+      }
+
+      try {
+        if (redirect && redirect.type === 'ASK') {
+          await client.sendCommand(['ASKING']);
+        }
+        return await fn(client);
+      } catch (error) {
+        const next = parseRedirect(error);
+        if (!next || redirects >= this.maxRedirections) {
+          throw error;
+        }
+
+        this.stats.redirects++;
+        this.emit('redirect', next);
+        if (next.type === 'MOVED') {
+          await this.refreshTopology().catch(refreshError => {
+            this.logger.error({ event: 'topology', err: refreshError }, 'Failed to refresh Redis cluster topology');
+          });
+        }
+        redirect = next;
+      } finally {
+        if (temporary) {
+          client.quit().catch(() => {});
+        } else {
+          this.releaseConnection(client);
+        }
+      }
+    }
+  }
+
+  /**
+   * Opens a one-off connection to a node that has no pool, for an ASK redirect
+   *
+   * @private
+   * @async
+   * @param {string} node - Node from the redirect, "host:port"
+   * @returns {Promise<Object>} Connected Redis client; quit it when done
+   * @throws {Error} If the node can't be reached
+   */
+  async openTemporaryConnection(node) {
+    // Split at the last colon, so IPv6 addresses keep theirs
+    const separator = node.lastIndexOf(':');
+    const host = node.slice(0, separator);
+    const port = Number(node.slice(separator + 1));
+
+    const client = createClient({
+      ...this.nodeConfig,
+      socket: { ...this.nodeConfig.socket, host, port, reconnectStrategy: false }
+    });
+    client.on('error', error => {
+      this.logger.warn({ event: 'redirect', node, err: error }, 'Redis cluster redirect connection error');
+    });
+
+    this.logger.debug({ event: 'redirect', node }, 'Opening temporary connection for ASK redirect');
+    await client.connect();
+    return client;
+  }
+
+  /**
+   * Returns statistics summed across all masters, plus each master's own
+   *
+   * Latency percentiles can't be combined across nodes, so they are only
+   * reported per master under `nodes`.
+   *
+   * @returns {Object} Cluster statistics
+   *
+   * @example
+   * ```javascript
+   * const { busy, pending, nodes } = cluster.getStats();
+   * for (const [node, stats] of Object.entries(nodes)) {
+   *   console.log(node, stats.acquireWait.p99);
+   * }
+   * ```
+   */
+  getStats() {
+    const totals = Object.fromEntries(SUMMED_STATS.map(stat => [stat, 0]));
+    const pendingByPriority = { high: 0, normal: 0, low: 0 };
+    const nodes = {};
+
+    for (const [node, pool] of this.pools) {
+      const stats = pool.getStats();
+      nodes[node] = stats;
+      for (const stat of SUMMED_STATS) {
+        totals[stat] += stats[stat];
+      }
+      for (const priority of Object.keys(pendingByPriority)) {
+        pendingByPriority[priority] += stats.pendingByPriority[priority];
+      }
+    }
+
+    return {
+      ...totals,
+      pendingByPriority,
+      masters: this.pools.size,
+      ...this.stats,
+      nodes
+    };
+  }
+
+  /**
+   * Renders every master's pool in the Prometheus text exposition format
+   *
+   * Each master is its own `pool` label, `<name>/<host>:<port>`.
+   *
+   * @returns {string} Metrics in text exposition format (version 0.0.4)
+   */
+  getMetrics() {
+    return renderMetrics([...this.pools.values()]);
+  }
+
+  /**
+   * Health checks every master's pool
+   *
+   * @async
+   * @returns {Promise<{passed: number, failed: number}>} Summed results
+   */
+  async healthCheck() {
+    const results = await Promise.all([...this.pools.values()].map(pool => pool.healthCheck()));
+    return results.reduce(
+      (sum, result) => ({ passed: sum.passed + result.passed, failed: sum.failed + result.failed }),
+      { passed: 0, failed: 0 }
+    );
+  }
+
+  /**
+   * Shuts down every master's pool
+   *
+   * Takes the same options as RedisPoolManager#shutdown() and resolves with
+   * the summaries summed across masters. Safe to call more than once.
+   *
+   * @async
+   * @param {Object} [options={}] - Shutdown options
+   * @param {number} [options.drainTimeout=5000] - Max time in ms to wait for busy connections
+   * @returns {Promise<Object>} Summed shutdown summary
+   * @throws {InvalidOptionError} Rejects with it if drainTimeout is not a finite number of at least 0 (code 'EINVALIDOPTION')
+   */
+  shutdown(options = {}) {
+    if (!this.shutdownPromise) {
+      // Check before any pool starts shutting down
+      try {
+        numberOption(options, 'drainTimeout', 5000);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+      this.isShuttingDown = true;
+      this.checkStarted();
+      this.shutdownPromise = Promise.all([...this.pools.values()].map(pool => pool.shutdown(options)))
+        .then(summaries => summaries.reduce(
+          (sum, summary) => ({
+            closed: sum.closed + summary.closed,
+            drained: sum.drained + summary.drained,
+            forced: sum.forced + summary.forced,
+            rejected: sum.rejected + summary.rejected
+          }),
+          { closed: 0, drained: 0, forced: 0, rejected: 0 }
+        ));
+    }
+    return this.shutdownPromise;
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Error classes for Redis Pool Manager
+ *
+ * Every error the pool raises itself is a RedisPoolError with a stable
+ * `code`, so callers can branch on `instanceof` or `error.code` instead of
+ * matching messages. Errors caused by another one carry it as `cause`.
+ * Re-exported from the package entry point.
+ */
+
+/**
+ * RedisPoolError - Base class of the pool's own errors
+ *
+ * @class RedisPoolError
+ * @extends Error
+ */
+export class RedisPoolError extends Error {
+  /**
+   * Creates a new RedisPoolError
+   *
+   * @param {string} message - Error message
+   * @param {string} code - Stable error code
+   * @param {Object} [options] - Error options
+   * @param {*} [options.cause] - Error that led to this one
+   */
+  constructor(message, code, options = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.code = code;
+    // Error only takes the cause option itself from Node 16.9
+    if ('cause' in options) {
+      Object.defineProperty(this, 'cause', { value: options.cause, writable: true, configurable: true });
+    }
+  }
+}
+
+/**
+ * PoolTimeoutError - A caller waited connectionTimeout (or its own timeout)
+ * without getting a connection
+ *
+ * @class PoolTimeoutError
+ * @extends RedisPoolError
+ */
+export class PoolTimeoutError extends RedisPoolError {
+  /**
+   * Creates a new PoolTimeoutError
+   *
+   * @param {number} timeout - Milliseconds the caller waited
+   */
+  constructor(timeout) {
+    super("Timeout waiting for Redis connection", 'EPOOLTIMEOUT');
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * PoolClosedError - The pool is shutting down and takes no new work
+ *
+ * @class PoolClosedError
+ * @extends RedisPoolError
+ */
+export class PoolClosedError extends RedisPoolError {
+  /**
+   * Creates a new PoolClosedError
+   */
+  constructor() {
+    super("Connection pool is shutting down", 'EPOOLCLOSED');
+  }
+}
+
+/**
+ * PoolExhaustedError - Every connection is in use, none can be created, and
+ * the caller asked not to wait (timeout 0)
+ *
+ * @class PoolExhaustedError
+ * @extends RedisPoolError
+ */
+export class PoolExhaustedError extends RedisPoolError {
+  /**
+   * Creates a new PoolExhaustedError
+   *
+   * @param {number} maxConnections - Size limit of the pool
+   */
+  constructor(maxConnections) {
+    super(`All ${maxConnections} Redis connections are in use`, 'EPOOLEXHAUSTED');
+    this.maxConnections = maxConnections;
+  }
+}
+
+/**
+ * ConnectionCreateError - A new connection could not be opened after all
+ * retries; the last connection error is the cause
+ *
+ * @class ConnectionCreateError
+ * @extends RedisPoolError
+ */
+export class ConnectionCreateError extends RedisPoolError {
+  /**
+   * Creates a new ConnectionCreateError
+   *
+   * @param {Error} cause - Last connection error
+   */
+  constructor(cause) {
+    super(`Failed to create new Redis connection: ${cause && cause.message}`, 'ECONNCREATE', { cause });
+  }
+}
+
+/**
+ * CircuitOpenError - The circuit breaker refused to open a connection
+ *
+ * @class CircuitOpenError
+ * @extends RedisPoolError
+ */
+export class CircuitOpenError extends RedisPoolError {
+  /**
+   * Creates a new CircuitOpenError
+   *
+   * @param {number} retryAt - Timestamp after which a probe connection will be allowed
+   */
+  constructor(retryAt) {
+    super("Circuit breaker is open, not connecting to Redis", 'ECIRCUITOPEN');
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * AbortError - An acquire was cancelled through its AbortSignal
+ *
+ * Mirrors the errors Node's own abortable APIs throw: name 'AbortError' and
+ * code 'ABORT_ERR', with the signal's reason as the cause.
+ *
+ * @class AbortError
+ * @extends RedisPoolError
+ */
+export class AbortError extends RedisPoolError {
+  /**
+   * Creates a new AbortError
+   *
+   * @param {AbortSignal} signal - The aborted signal
+   */
+  constructor(signal) {
+    // Signals only carry a reason from Node 17.2
+    const reason = signal.reason !== undefined ? signal.reason : new Error("This operation was aborted");
+    super("Connection acquisition was aborted", 'ABORT_ERR', { cause: reason });
+  }
+}
+
+/**
+ * TransactionConflictError - transaction() ran out of retries while its
+ * watched keys kept changing
+ *
+ * @class TransactionConflictError
+ * @extends RedisPoolError
+ */
+export class TransactionConflictError extends RedisPoolError {
+  /**
+   * Creates a new TransactionConflictError
+   *
+   * @param {string[]} keys - Watched keys
+   * @param {number} attempts - Attempts made, including the first
+   */
+  constructor(keys, attempts) {
+    super(`Transaction on ${keys.join(', ')} aborted after ${attempts} attempts: watched keys kept changing`, 'ETXCONFLICT');
+    this.keys = keys;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * InvalidOptionError - A constructor or per-call option has an invalid value
+ *
+ * @class InvalidOptionError
+ * @extends RedisPoolError
+ */
+export class InvalidOptionError extends RedisPoolError {
+  /**
+   * Creates a new InvalidOptionError
+   *
+   * @param {string} option - Name of the option
+   * @param {string} message - What is wrong with it
+   */
+  constructor(option, message) {
+    super(message, 'EINVALIDOPTION');
+    this.option = option;
+  }
+}
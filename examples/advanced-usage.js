@@ -14,7 +14,6 @@ class RedisService {
   constructor(config, options = {}) {
     this.pool = new RedisPoolManager(config, options);
     this.monitoringInterval = null;
-    this.healthCheckInterval = null;
     
     this.setupEventHandlers();
   }
@@ -29,6 +28,14 @@ class RedisService {
       console.error(' Pool error:', error.message);
       // In production, you might want to send this to your monitoring system
     });
+
+    this.pool.on('healthcheck', ({ passed, failed }) => {
+      console.log(`Health check completed: ${passed} passed, ${failed} failed`);
+    });
+
+    this.pool.on('leak', ({ connectionId, heldFor, stack }) => {
+      console.warn(`Connection ${connectionId} held for ${heldFor}ms, acquired at:\n${stack}`);
+    });
   }
 
   startMonitoring() {
@@ -37,30 +44,17 @@ class RedisService {
       const stats = this.pool.getStats();
       console.log(`Pool Stats - Available: ${stats.available}, Busy: ${stats.busy}, Errors: ${stats.errors}`);
     }, 10000);
-
-    // Run health checks every 30 seconds
-    this.healthCheckInterval = setInterval(async () => {
-      try {
-        await this.pool.healthCheck();
-        console.log('Health check completed');
-      } catch (error) {
-        console.error(' Health check failed:', error.message);
-      }
-    }, 30000);
   }
 
   /**
    * Safe Redis operation wrapper with automatic connection management
    */
   async safeOperation(operation, retries = 3) {
-    let client;
     let attempt = 0;
 
     while (attempt < retries) {
       try {
-        client = await this.pool.acquireConnection();
-        const result = await operation(client);
-        return result;
+        return await this.pool.withConnection(operation);
       } catch (error) {
         attempt++;
         console.error(` Operation failed (attempt ${attempt}/${retries}):`, error.message);
@@ -71,11 +65,6 @@ class RedisService {
         
         // Wait before retry
         await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-      } finally {
-        if (client) {
-          this.pool.releaseConnection(client);
-          client = null;
-        }
       }
     }
   }
@@ -84,17 +73,14 @@ class RedisService {
    * Batch operations with connection reuse
    */
   async batchOperations(operations) {
-    const client = await this.pool.acquireConnection();
-    try {
+    return this.pool.withConnection(async (client) => {
       const results = [];
       for (const operation of operations) {
         const result = await operation(client);
         results.push(result);
       }
       return results;
-    } finally {
-      this.pool.releaseConnection(client);
-    }
+    });
   }
 
   async shutdown() {
@@ -104,9 +90,6 @@ class RedisService {
     if (this.monitoringInterval) {
       clearInterval(this.monitoringInterval);
     }
-    if (this.healthCheckInterval) {
-      clearInterval(this.healthCheckInterval);
-    }
 
     // Shutdown the pool
     await this.pool.shutdown();
@@ -125,7 +108,10 @@ async function advancedExample() {
     {
       maxConnections: 20,
       minConnections: 5,
-      connectionTimeout: 5000
+      connectionTimeout: 5000,
+      leakDetectionThreshold: 10000,
+      healthCheckInterval: 30000,
+      testOnBorrow: true
     }
   );
 
@@ -0,0 +1,78 @@
+/**
+ * Redis Sentinel example for RedisPoolManager
+ *
+ * This example demonstrates:
+ * - Resolving the master through Sentinel
+ * - Following a failover without restarting the application
+ * - The failover event
+ *
+ * Start a master, a replica and a sentinel locally:
+ *
+ *   redis-server --port 6379
+ *   redis-server --port 6380 --replicaof 127.0.0.1 6379
+ *   printf 'port 26379\nsentinel monitor mymaster 127.0.0.1 6379 1\nsentinel down-after-milliseconds mymaster 2000\nsentinel failover-timeout mymaster 10000\n' > /tmp/sentinel.conf
+ *   redis-sentinel /tmp/sentinel.conf
+ *
+ * Then run this example and, while it is writing, trigger a failover with
+ * `redis-cli -p 26379 SENTINEL failover mymaster` (or stop the master).
+ */
+
+import RedisPoolManager from '../rpm.js';
+
+async function sentinelExample() {
+  const pool = new RedisPoolManager(
+    {
+      // password: 'your-redis-password', // if needed
+    },
+    {
+      maxConnections: 5,
+      minConnections: 2,
+      retryDelay: 200,
+      sentinel: {
+        sentinels: [{ host: '127.0.0.1', port: 26379 }],
+        masterName: 'mymaster'
+      }
+    }
+  );
+
+  pool.on('failover', ({ masterName, previous, current, closed, draining }) => {
+    console.log(`Failover of ${masterName}: ${previous.host}:${previous.port} -> ${current.host}:${current.port}`);
+    console.log(`   closed ${closed} idle connections, ${draining} still busy`);
+  });
+
+  pool.on('retry', ({ attempt, error }) => {
+    console.warn(`Connect attempt ${attempt} failed: ${error.message}`);
+  });
+
+  await new Promise((resolve) => {
+    pool.once('ready', resolve);
+  });
+
+  const { host, port } = pool.masterAddress;
+  console.log(`Pool is ready, master is ${host}:${port}`);
+
+  // Keep writing so the failover can be watched from the application's side
+  const timer = setInterval(async () => {
+    try {
+      const count = await pool.withConnection(client => client.incr('sentinel:example:counter'));
+      console.log(`counter = ${count} (master ${pool.masterAddress.host}:${pool.masterAddress.port})`);
+    } catch (error) {
+      console.error('Write failed:', error.message);
+    }
+  }, 500);
+
+  const stop = async () => {
+    clearInterval(timer);
+    console.log('\nShutting down pool...');
+    await pool.shutdown();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+// Run the example
+if (import.meta.url === `file://${process.argv[1]}`) {
+  sentinelExample().catch(console.error);
+}
@@ -1,7 +1,60 @@
 import { EventEmitter } from 'events';
 import { RedisClientType, RedisClientOptions } from 'redis';
+import { Histogram, LatencyWindow, LatencySummary } from './metrics.js';
+
+export { LatencySummary };
+
+/** Minimum severity the pool logs at; 'silent' disables logging */
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+/**
+ * Structured logger used by the pool. Each method receives an object of
+ * fields (such as `connectionId`, `event` and `err`) followed by a message,
+ * which matches pino's signature.
+ */
+export interface PoolLogger {
+  debug(fields: Record<string, unknown>, message: string): void;
+  info(fields: Record<string, unknown>, message: string): void;
+  warn(fields: Record<string, unknown>, message: string): void;
+  error(fields: Record<string, unknown>, message: string): void;
+}
+
+/** Acquisition priority lane; 'high' waiters are served first */
+export type AcquirePriority = 'high' | 'normal' | 'low';
+
+export interface PoolEndpoint {
+  host: string;
+  port: number;
+
+  /**
+   * Share of connections under the 'weighted' endpoint strategy
+   * @default 1
+   */
+  weight?: number;
+}
+
+/** Redis client configuration, optionally with a list of endpoints */
+export interface PoolConfig extends RedisClientOptions {
+  /** Standalone endpoints to spread or fail over new connections across */
+  endpoints?: PoolEndpoint[];
+}
+
+/** Which server an acquisition reads from */
+export type AcquireRole = 'primary' | 'replica';
+
+/**
+ * Picks one of the replica pools currently in rotation; `counter` increases
+ * by one on every call
+ */
+export type ReplicaStrategy = (replicas: RedisPoolManager[], counter: number) => RedisPoolManager;
 
 export interface PoolOptions {
+  /**
+   * Pool name, used as the `pool` label in metrics
+   * @default 'default'
+   */
+  name?: string;
+
   /**
    * Maximum number of connections in the pool
    * @default 10
@@ -9,11 +62,19 @@ export interface PoolOptions {
   maxConnections?: number;
 
   /**
-   * Minimum number of connections to maintain in the pool
-   * @default 2
+   * Minimum number of connections to maintain in the pool; 0 opens
+   * connections only on demand. Must not exceed maxConnections.
+   * @default 2, or maxConnections if smaller
    */
   minConnections?: number;
 
+  /**
+   * Number of connections that only 'high' priority callers may use; must
+   * be less than maxConnections
+   * @default 0
+   */
+  reservedConnections?: number;
+
   /**
    * Timeout in milliseconds when acquiring connections
    * @default 30000
@@ -21,197 +82,1667 @@ export interface PoolOptions {
   connectionTimeout?: number;
 
   /**
-   * Delay in milliseconds between connection retry attempts
+   * Base delay in milliseconds between connection retry attempts. The delay
+   * doubles with each attempt and is randomized by up to half.
    * @default 1000
    */
   retryDelay?: number;
 
   /**
-   * Maximum number of connection retry attempts
+   * Maximum number of retry attempts after a failed connection attempt
    * @default 5
    */
   maxRetries?: number;
-}
-
-export interface PoolStats {
-  /** Total connections created since pool start */
-  created: number;
-
-  /** Total connections destroyed */
-  destroyed: number;
 
-  /** Total connection acquisitions */
-  acquired: number;
-
-  /** Total connection releases */
-  released: number;
-
-  /** Total connection errors encountered */
-  errors: number;
-
-  /** Current number of available connections */
-  available: number;
-
-  /** Current number of busy connections */
-  busy: number;
+  /**
+   * Emit a 'leak' event when a connection is held longer than this many
+   * milliseconds. 0 disables leak detection.
+   * @default 0
+   */
+  leakDetectionThreshold?: number;
 
-  /** Current total number of connections */
-  total: number;
-}
+  /**
+   * Time in milliseconds an available connection may sit idle before the
+   * evictor closes it
+   * @default 30000
+   */
+  idleTimeoutMillis?: number;
 
-export interface RedisPoolClient extends RedisClientType {
-  /** Unique connection identifier assigned by the pool */
-  connectionId: string;
+  /**
+   * How often in milliseconds the evictor runs. 0 disables eviction.
+   * @default 0
+   */
+  evictionRunIntervalMillis?: number;
 
-  /** Timestamp of when the connection was last used */
-  lastUsed: number;
+  /**
+   * Retire connections older than this many milliseconds when they are
+   * released. Each connection's lifetime is shortened by up to 10% at
+   * random so they don't all expire at once. 0 disables.
+   * @default 0
+   */
+  maxLifetimeMillis?: number;
 
-  /** Whether the connection is considered healthy */
-  isHealthy: boolean;
-}
+  /**
+   * Retire connections after this many acquisitions when they are
+   * released. 0 disables.
+   * @default 0
+   */
+  maxUsesPerConnection?: number;
 
-/**
- * RedisPoolManager - A robust Redis connection pool manager
- * 
- * Manages a pool of Redis connections with automatic scaling, health monitoring,
- * error recovery, and connection lifecycle management.
- */
-export default class RedisPoolManager extends EventEmitter {
-  /** Redis client configuration */
-  readonly config: RedisClientOptions;
+  /**
+   * How often in milliseconds the pool runs healthCheck() on its own.
+   * 0 disables scheduled health checks.
+   * @default 0
+   */
+  healthCheckInterval?: number;
 
-  /** Maximum number of connections in pool */
-  readonly maxConnections: number;
+  /**
+   * Validate connections before acquireConnection() hands them out
+   * @default false
+   */
+  testOnBorrow?: boolean;
 
-  /** Minimum number of connections to maintain */
-  readonly minConnections: number;
+  /**
+   * Validate connections before releaseConnection() returns them to the pool
+   * @default false
+   */
+  testOnReturn?: boolean;
 
-  /** Connection acquisition timeout in milliseconds */
-  readonly connectionTimeout: number;
+  /**
+   * Custom connection validation used by health checks, testOnBorrow and
+   * testOnReturn. Resolve true when the connection is usable. Defaults to PING.
+   */
+  validator?: (client: RedisPoolClient) => boolean | Promise<boolean>;
 
-  /** Retry delay in milliseconds */
-  readonly retryDelay: number;
+  /**
+   * Logger that receives the pool's structured log calls
+   * @default console
+   */
+  logger?: PoolLogger;
 
-  /** Maximum retry attempts */
-  readonly maxRetries: number;
+  /**
+   * Minimum level to log, or 'silent' to disable logging
+   * @default 'info'
+   */
+  logLevel?: LogLevel;
 
-  /** Set of available connections ready for use */
-  readonly availableConnections: Set<RedisPoolClient>;
+  /**
+   * Rolling window in milliseconds for the latency percentiles in getStats()
+   * @default 60000
+   */
+  statsWindowMillis?: number;
 
-  /** Set of connections currently in use */
-  readonly busyConnections: Set<RedisPoolClient>;
+  /**
+   * Maximum latency samples kept per window
+   * @default 1024
+   */
+  statsMaxSamples?: number;
 
-  /** Map of pending connection creation promises */
-  readonly connectionPromises: Map<string, Promise<RedisPoolClient>>;
+  /**
+   * Resolve the master through Redis Sentinel instead of the config host/port,
+   * and follow it across failovers
+   */
+  sentinel?: SentinelOptions;
 
-  /** Whether the pool is shutting down */
-  readonly isShuttingDown: boolean;
+  /** Redis client configs of read replicas, each given its own sub-pool */
+  replicas?: RedisClientOptions[];
 
-  /** Pool statistics */
-  readonly stats: {
-    created: number;
-    destroyed: number;
-    acquired: number;
-    released: number;
-    errors: number;
-  };
+  /**
+   * How acquireConnection({ role: 'replica' }) picks a replica
+   * @default 'round-robin'
+   */
+  replicaStrategy?: 'round-robin' | 'least-busy' | ReplicaStrategy;
 
   /**
-   * Creates a new RedisPoolManager instance
-   * 
-   * @param config Redis client configuration object
-   * @param options Pool management options
+   * Take a replica out of rotation when its replication offset trails the
+   * primary by more than this many bytes (0 disables the lag check)
+   * @default 0
    */
-  constructor(config: RedisClientOptions, options?: PoolOptions);
+  maxReplicaLag?: number;
 
   /**
-   * Acquires a Redis connection from the pool for use
-   * 
-   * @returns Promise that resolves to a Redis client ready for use
-   * @throws Error if pool is shutting down, connection creation fails, or timeout occurs
+   * 'ordered' opens new connections on the first endpoint that is up;
+   * 'weighted' spreads them by endpoint weight
+   * @default 'ordered'
    */
-  acquireConnection(): Promise<RedisPoolClient>;
+  endpointStrategy?: 'ordered' | 'weighted';
 
   /**
-   * Releases a Redis connection back to the pool for reuse
-   * 
-   * @param client Redis client connection to release
+   * Consecutive connection failures that mark an endpoint down
+   * @default 3
    */
-  releaseConnection(client: RedisPoolClient): void;
+  endpointFailureThreshold?: number;
 
   /**
-   * Returns comprehensive statistics about the connection pool
-   * 
-   * @returns Pool statistics object with current and historical data
+   * How long in milliseconds an endpoint stays marked down
+   * @default 30000
    */
-  getStats(): PoolStats;
+  endpointCooldownMillis?: number;
 
   /**
-   * Performs health checks on all available connections in the pool
-   * 
-   * Pings each available connection and removes unhealthy ones.
-   * 
-   * @returns Promise that resolves when health checks are complete
+   * Connection failures within circuitBreakerWindowMillis that open the
+   * circuit breaker (0 disables it)
+   * @default 0
    */
-  healthCheck(): Promise<void>;
+  circuitBreakerThreshold?: number;
 
   /**
-   * Gracefully shuts down the connection pool
-   * 
-   * Prevents new connections from being acquired and closes all existing connections.
-   * 
-   * @returns Promise that resolves when shutdown is complete
+   * Window in milliseconds over which connection failures are counted
+   * @default 10000
    */
-  shutdown(): Promise<void>;
+  circuitBreakerWindowMillis?: number;
 
   /**
-   * Gets the total number of connections currently managed by the pool
-   * 
-   * @returns Total connection count (available + busy)
+   * How long in milliseconds the circuit stays open before a probe
+   * connection is tried
+   * @default 30000
    */
-  getTotalConnections(): number;
+  circuitBreakerCooldownMillis?: number;
 
-  // EventEmitter events
+  /**
+   * Maximum dedicated connections for subscribe(), shared by all subscriptions
+   * @default 1
+   */
+  maxSubscriberConnections?: number;
 
   /**
-   * Emitted when the pool is initialized and ready for use
+   * Times transaction() retries after watched keys changed
+   * @default 5
    */
-  on(event: 'ready', listener: () => void): this;
+  transactionRetries?: number;
 
   /**
-   * Emitted when pool-level errors occur
+   * Size limit of a separate sub-pool for blocking commands (0 disables it)
+   * @default 0
    */
-  on(event: 'error', listener: (error: Error) => void): this;
+  blockingMaxConnections?: number;
 
   /**
-   * Generic event listener for any event
+   * Connections the blocking sub-pool keeps open
+   * @default 1
    */
-  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  blockingMinConnections?: number;
 
   /**
-   * Emitted when the pool is initialized and ready for use
+   * Timeout in milliseconds when acquiring from the blocking sub-pool
+   * @default connectionTimeout
    */
-  once(event: 'ready', listener: () => void): this;
+  blockingConnectionTimeout?: number;
 
   /**
-   * Emitted when pool-level errors occur
+   * Most commands execute() sends in one pipeline
+   * @default 100
    */
-  once(event: 'error', listener: (error: Error) => void): this;
+  pipelineMaxBatchSize?: number;
 
   /**
-   * Generic event listener for any event (once)
+   * How long in milliseconds execute() collects commands before sending them
+   * (0 sends at the end of the current event-loop turn)
+   * @default 0
    */
-  once(event: string | symbol, listener: (...args: any[]) => void): this;
+  pipelineFlushIntervalMillis?: number;
 
   /**
-   * Emitted when the pool is initialized and ready for use
+   * Base delay in milliseconds between transaction() retries (doubles per
+   * attempt, with jitter)
+   * @default 10
    */
-  emit(event: 'ready'): boolean;
+  transactionRetryDelay?: number;
+}
 
+/** Called with each message published on a subscribed channel or matching pattern */
+export type MessageHandler = (message: string, channel: string) => void | Promise<void>;
+
+export interface SubscribeOptions {
   /**
-   * Emitted when pool-level errors occur
+   * Whether the name is a pattern (PSUBSCRIBE); detected from `*`, `?` or `[`
+   * in the name when omitted
    */
-  emit(event: 'error', error: Error): boolean;
+  pattern?: boolean;
+}
+
+export interface SubscriberStats {
+  /** Open subscriber connections */
+  connections: number;
+
+  /** Channels subscribed in Redis */
+  channels: number;
+
+  /** Patterns subscribed in Redis */
+  patterns: number;
+
+  /** Handlers across all channels and patterns */
+  handlers: number;
+
+  /** Messages dispatched to handlers */
+  messages: number;
+
+  /** Times a subscriber connection restored its subscriptions */
+  resubscribed: number;
+}
+
+export interface PipelineStats {
+  /** Commands sent */
+  commands: number;
+
+  /** Pipelines sent */
+  batches: number;
+
+  /** Commands answered with an error, or failed because no connection could be had */
+  errors: number;
+
+  /** Commands waiting for the next flush */
+  queued: number;
+
+  /** Pipelines sent and not yet answered */
+  inFlight: number;
+
+  /** Commands per pipeline over the rolling window */
+  batchSize: LatencySummary;
+}
+
+/** Argument accepted by execute(); numbers are sent as strings */
+export type CommandArgument = string | number | Buffer;
+
+/** Auto-pipelined commands as methods named after the command */
+export type PipelinedCommands = Record<string, (...args: CommandArgument[]) => Promise<any>>;
+
+/** Batches execute() commands into pipelines over pooled connections */
+export interface AutoPipeline {
+  readonly maxBatchSize: number;
+  readonly flushIntervalMillis: number;
+}
+
+/** Dedicated subscriber connections owned by a pool */
+export interface SubscriberSet extends EventEmitter {
+  readonly maxConnections: number;
+
+  /** Subscriber connection and subscription counts */
+  getStats(): SubscriberStats;
+}
+
+export interface ResubscribeInfo {
+  /** Subscriber connection that restored its subscriptions */
+  connectionId: string;
+
+  /** Channels and patterns it subscribed again */
+  subscriptions: number;
+}
+
+export interface SubscriberErrorInfo {
+  /** Channel the message was published on */
+  channel: string;
+
+  /** Pattern the handler subscribed to, or null for a channel subscription */
+  pattern: string | null;
+
+  /** What the handler threw or rejected with */
+  error: Error;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitOpenInfo {
+  /** State before the circuit opened */
+  previous: CircuitState;
+
+  /** Failures that opened it (1 when a half-open probe failed) */
+  failures: number;
+
+  /** Milliseconds until a probe connection is allowed */
+  cooldown: number;
+}
+
+export interface CircuitTransitionInfo {
+  /** State before the transition */
+  previous: CircuitState;
+}
+
+export interface CircuitStats {
+  /** Current breaker state */
+  state: CircuitState;
+
+  /** Connection failures within the window */
+  failures: number;
+
+  /** Times the circuit has opened */
+  opened: number;
+
+  /** Connection attempts refused while the circuit was open */
+  rejected: number;
+}
+
+export interface EndpointDownInfo {
+  /** Endpoint marked down, as "host:port" */
+  endpoint: string;
+
+  /** The connection error that reached the threshold */
+  error: Error;
+
+  /** Milliseconds until the endpoint is tried again */
+  cooldown: number;
+}
+
+export interface EndpointStats {
+  /** Endpoint as "host:port" */
+  endpoint: string;
+
+  /** Configured weight */
+  weight: number;
+
+  /** False while the endpoint is in its cooldown */
+  up: boolean;
+
+  /** Connections currently attached to the endpoint */
+  connections: number;
+}
+
+export interface ReplicaDownInfo {
+  /** Name of the replica pool */
+  replica: string;
+
+  /** Why the replica was taken out of rotation */
+  reason: 'healthcheck' | 'unreachable' | 'link down' | 'lag';
+
+  /** Replication lag in bytes, when it was measured */
+  lag: number | null;
+}
+
+export interface ReplicaUpInfo {
+  /** Name of the replica pool */
+  replica: string;
+
+  /** Replication lag in bytes, when it was measured */
+  lag: number | null;
+}
+
+export interface ReplicaStats extends PoolStats {
+  /** Name of the replica pool */
+  name: string;
+
+  /** Whether the replica is in read rotation */
+  healthy: boolean;
+
+  /** Replication lag in bytes at the last health check, when measured */
+  lag: number | null;
+}
+
+export interface BlockingPoolStats extends PoolStats {
+  /** Name of the blocking pool */
+  name: string;
+}
+
+/** A replica sub-pool with its rotation state */
+export interface ReplicaEntry {
+  pool: RedisPoolManager;
+  healthy: boolean;
+  lag: number | null;
+}
+
+export interface SentinelAddress {
+  host: string;
+  port: number;
+}
+
+export interface SentinelOptions {
+  /** Sentinels to query, in order of preference */
+  sentinels: SentinelAddress[];
+
+  /** Name of the master the sentinels monitor */
+  masterName: string;
+
+  /** Redis client options for the sentinel connections (password, TLS, ...) */
+  sentinelConfig?: RedisClientOptions;
+}
+
+/** Internal helper that resolves and watches the master through Sentinel */
+export interface SentinelMonitor extends EventEmitter {
+  readonly sentinels: SentinelAddress[];
+  readonly masterName: string;
+
+  /** Asks the sentinels, in order, for the current master address */
+  getMasterAddress(): Promise<SentinelAddress>;
+}
+
+export interface FailoverInfo {
+  /** Name of the master that failed over */
+  masterName: string;
+
+  /** Address of the demoted master */
+  previous: SentinelAddress;
+
+  /** Address of the new master */
+  current: SentinelAddress;
+
+  /** Idle connections closed right away */
+  closed: number;
+
+  /** Busy connections that will be closed when released */
+  draining: number;
+}
+
+export interface RetryInfo {
+  /** Retry attempt number, starting at 1 */
+  attempt: number;
+
+  /** Error from the attempt that just failed */
+  error: Error;
+
+  /** Milliseconds until the next attempt */
+  delay: number;
+}
+
+export interface ConnectionCreateInfo {
+  /** Identifier of the new connection */
+  connectionId: string;
+
+  /** Milliseconds it took to connect */
+  connectTime: number;
+}
+
+export interface ConnectionDestroyInfo {
+  /** Identifier of the closed connection */
+  connectionId: string;
+
+  /** Milliseconds since the connection was created */
+  age: number;
+}
+
+export interface AcquireInfo {
+  /** Identifier of the connection handed out */
+  connectionId: string;
+
+  /** Milliseconds from the acquireConnection() call until hand-out */
+  waitTime: number;
+}
+
+export interface ReleaseInfo {
+  /** Identifier of the released connection */
+  connectionId: string;
+
+  /** Milliseconds the connection was held */
+  holdTime: number;
+}
+
+export interface EnqueueInfo {
+  /** Callers waiting, including the one just queued */
+  pending: number;
+
+  /** Priority lane of the queued caller */
+  priority: AcquirePriority;
+}
+
+export interface TimeoutInfo {
+  /** Milliseconds the caller waited before timing out */
+  waitTime: number;
+
+  /** Callers still waiting */
+  pending: number;
+}
+
+export interface ConnectionErrorInfo {
+  /** Identifier of the connection that reported the error */
+  connectionId: string;
+
+  /** The error reported by the Redis client */
+  error: Error;
+}
+
+export interface ReconnectingInfo {
+  /** Identifier of the reconnecting connection */
+  connectionId: string;
+}
+
+export interface ShutdownOptions {
+  /**
+   * Maximum time in milliseconds to wait for busy connections to be released
+   * before force-disconnecting them
+   * @default 5000
+   */
+  drainTimeout?: number;
+}
+
+export interface ShutdownSummary {
+  /** Idle connections closed immediately */
+  closed: number;
+
+  /** Busy connections released and closed before the deadline */
+  drained: number;
+
+  /** Busy connections force-disconnected at the deadline */
+  forced: number;
+
+  /** Waiting callers rejected */
+  rejected: number;
+}
+
+export interface HealthCheckResult {
+  /** Connections that passed validation */
+  passed: number;
+
+  /** Connections that failed validation and were destroyed */
+  failed: number;
+}
+
+export interface EvictInfo {
+  /** Identifier of the evicted connection */
+  connectionId: string;
+
+  /** Milliseconds the connection had been idle */
+  idleFor: number;
+}
+
+export interface RetireInfo {
+  /** Identifier of the retired connection */
+  connectionId: string;
+
+  /** Which limit the connection reached, or 'resize' if resize() left no room for it */
+  reason: 'lifetime' | 'uses' | 'resize';
+
+  /** Milliseconds since the connection was created */
+  age: number;
+
+  /** Times the connection was acquired */
+  uses: number;
+}
+
+export interface ResizeOptions {
+  /** New minConnections; defaults to the current one, capped at max */
+  min?: number;
+
+  /** New maxConnections; defaults to the current one */
+  max?: number;
+}
+
+/** Pool bounds before or after a resize */
+export interface PoolSize {
+  min: number;
+  max: number;
+}
+
+export interface ResizeInfo {
+  /** Bounds before the resize */
+  previous: PoolSize;
+
+  /** Bounds after the resize */
+  current: PoolSize;
+}
+
+export interface LeakInfo {
+  /** Identifier of the connection that has not been released */
+  connectionId: string;
+
+  /** Milliseconds the connection has been held */
+  heldFor: number;
+
+  /** Stack trace captured when the connection was acquired */
+  stack: string | null;
+}
+
+export interface PoolStats {
+  /** Total connections created since pool start */
+  created: number;
+
+  /** Total connections destroyed */
+  destroyed: number;
+
+  /** Total connection acquisitions */
+  acquired: number;
+
+  /** Total connection releases */
+  released: number;
+
+  /** Total connection errors encountered */
+  errors: number;
+
+  /** Total idle connections closed by the evictor */
+  evicted: number;
+
+  /** Total connections retired for reaching maxLifetimeMillis or maxUsesPerConnection */
+  retired: number;
+
+  /** Total releases of connections with session state (SELECT, WATCH, MULTI, ...) left on them */
+  dirtyRelease: number;
+
+  /** Current number of available connections */
+  available: number;
+
+  /** Current number of busy connections */
+  busy: number;
+
+  /** Current total number of connections */
+  total: number;
+
+  /** Current number of callers waiting for a connection */
+  pending: number;
+
+  /** Current number of waiting callers per priority */
+  pendingByPriority: Record<AcquirePriority, number>;
+
+  /** Acquire wait time over the rolling window, in milliseconds */
+  acquireWait: LatencySummary;
+
+  /** Connection hold time over the rolling window, in milliseconds */
+  holdTime: LatencySummary;
+
+  /** Circuit breaker state and counters */
+  circuit: CircuitStats;
+
+  /** Each configured endpoint's state; empty without config.endpoints */
+  endpoints: EndpointStats[];
+
+  /** Each replica's rotation state and statistics */
+  replicas: ReplicaStats[];
+
+  /** The blocking sub-pool's own statistics, or null without one */
+  blocking: BlockingPoolStats | null;
+
+  /** Auto-pipelining through execute() */
+  pipeline: PipelineStats;
+
+  /** Subscriber connections, which the connection counts above don't include */
+  subscribers: SubscriberStats;
+}
+
+export interface RedisPoolClient extends RedisClientType {
+  /** Unique connection identifier assigned by the pool */
+  connectionId: string;
+
+  /** Timestamp of when the connection was last used */
+  lastUsed: number;
+
+  /** Whether the connection is considered healthy */
+  isHealthy: boolean;
+
+  /** Timestamp of when the connection was created */
+  createdAt: number;
+
+  /** Times the connection has been acquired */
+  uses: number;
+
+  /** Timestamp after which the connection is retired, or Infinity without maxLifetimeMillis */
+  expiresAt: number;
+
+  /** Timestamp of when the connection was last handed out */
+  acquiredAt?: number;
+
+  /** Failover generation the connection was opened in */
+  generation: number;
+
+  /** Server the connection is attached to, as "host:port" */
+  endpoint: string;
+
+  /**
+   * Kinds of session state left on the connection since it was last clean:
+   * 'db', 'watch', 'multi', 'name' or 'client'
+   */
+  sessionState: Set<'db' | 'watch' | 'multi' | 'name' | 'client'>;
+}
+
+export interface AcquireOptions {
+  /**
+   * Max time in milliseconds to wait for a connection, overriding the pool's
+   * connectionTimeout; must be finite. 0 fails with PoolExhaustedError
+   * instead of queueing.
+   */
+  timeout?: number;
+
+  /**
+   * Signal that cancels the acquisition; the promise rejects with an
+   * AbortError (code 'ABORT_ERR')
+   */
+  signal?: AbortSignal;
+
+  /**
+   * Priority lane; released connections go to the highest-priority waiter first
+   * @default 'normal'
+   */
+  priority?: AcquirePriority;
+
+  /**
+   * 'replica' reads from a replica in rotation, falling back to the primary
+   * when none is
+   * @default 'primary'
+   */
+  role?: AcquireRole;
+
+  /**
+   * Take the connection from the blocking sub-pool, for BLPOP, XREAD BLOCK
+   * and the like; needs blockingMaxConnections
+   * @default false
+   */
+  blocking?: boolean;
+}
+
+export interface TransactionOptions extends Omit<AcquireOptions, 'role'> {
+  /** Retries after a conflict, overriding the pool's transactionRetries */
+  retries?: number;
+}
+
+/** MULTI that transaction() callbacks queue their commands on */
+export type PoolMulti = ReturnType<RedisPoolClient['multi']>;
+
+export interface TransactionRetryInfo {
+  /** Watched keys */
+  keys: string[];
+
+  /** Attempt that conflicted, starting at 1 */
+  attempt: number;
+
+  /** Milliseconds until the next attempt */
+  delay: number;
+}
+
+/** A caller queued in `acquireConnection()` while the pool is at capacity */
+export interface PoolWaiter {
+  /** Resolves the caller's acquire promise with a connection */
+  resolve: (client: RedisPoolClient) => void;
+
+  /** Rejects the caller's acquire promise */
+  reject: (error: Error) => void;
+
+  /** Timer that rejects the caller after `connectionTimeout` */
+  timeout: ReturnType<typeof setTimeout> | null;
+
+  /** Stack captured at the acquire call when leak detection is enabled */
+  acquireStack: string | null;
+
+  /** Priority lane of the caller */
+  priority: AcquirePriority;
+
+  /** Timestamp of when the caller was queued */
+  enqueuedAt: number;
+
+  /** Signal that cancels the wait, if one was passed */
+  signal: AbortSignal | null;
+
+  /** Abort listener registered on `signal` */
+  onAbort: (() => void) | null;
+}
+
+/** Code carried by each of the pool's own errors */
+export type RedisPoolErrorCode =
+  | 'EPOOLTIMEOUT'
+  | 'EPOOLCLOSED'
+  | 'EPOOLEXHAUSTED'
+  | 'ECONNCREATE'
+  | 'ECIRCUITOPEN'
+  | 'ABORT_ERR'
+  | 'ETXCONFLICT'
+  | 'EINVALIDOPTION';
+
+/** Base class of the errors the pool raises itself */
+export class RedisPoolError extends Error {
+  constructor(message: string, code: RedisPoolErrorCode, options?: { cause?: unknown });
+
+  /** Stable error code to branch on instead of the message */
+  readonly code: RedisPoolErrorCode;
+
+  /** Error that led to this one, if any */
+  readonly cause?: unknown;
+}
+
+/** Thrown when a caller waited its timeout without getting a connection */
+export class PoolTimeoutError extends RedisPoolError {
+  constructor(timeout: number);
+  readonly name: 'PoolTimeoutError';
+  readonly code: 'EPOOLTIMEOUT';
+
+  /** Milliseconds the caller waited */
+  readonly timeout: number;
+}
+
+/** Thrown when the pool is shutting down and takes no new work */
+export class PoolClosedError extends RedisPoolError {
+  constructor();
+  readonly name: 'PoolClosedError';
+  readonly code: 'EPOOLCLOSED';
+}
+
+/** Thrown when every connection is in use and the caller asked not to wait (timeout 0) */
+export class PoolExhaustedError extends RedisPoolError {
+  constructor(maxConnections: number);
+  readonly name: 'PoolExhaustedError';
+  readonly code: 'EPOOLEXHAUSTED';
+
+  /** Size limit of the pool */
+  readonly maxConnections: number;
+}
+
+/** Thrown when a new connection could not be opened; the last connection error is the cause */
+export class ConnectionCreateError extends RedisPoolError {
+  constructor(cause: Error);
+  readonly name: 'ConnectionCreateError';
+  readonly code: 'ECONNCREATE';
+  readonly cause: Error;
+}
+
+/** Thrown while the circuit breaker refuses connection attempts */
+export class CircuitOpenError extends RedisPoolError {
+  constructor(retryAt: number);
+  readonly name: 'CircuitOpenError';
+  readonly code: 'ECIRCUITOPEN';
+
+  /** Timestamp after which a probe connection will be allowed */
+  readonly retryAt: number;
+}
+
+/** Thrown when an acquire is cancelled through its AbortSignal; the signal's reason is the cause */
+export class AbortError extends RedisPoolError {
+  constructor(signal: AbortSignal);
+  readonly name: 'AbortError';
+  readonly code: 'ABORT_ERR';
+}
+
+/** Thrown when transaction() still conflicts on its last attempt */
+export class TransactionConflictError extends RedisPoolError {
+  constructor(keys: string[], attempts: number);
+  readonly name: 'TransactionConflictError';
+  readonly code: 'ETXCONFLICT';
+
+  /** Watched keys */
+  readonly keys: string[];
+
+  /** Attempts made, including the first */
+  readonly attempts: number;
+}
+
+/** Thrown for a constructor or per-call option with an invalid value */
+export class InvalidOptionError extends RedisPoolError {
+  constructor(option: string, message: string);
+  readonly name: 'InvalidOptionError';
+  readonly code: 'EINVALIDOPTION';
+
+  /** Name of the offending option */
+  readonly option: string;
+}
+
+/**
+ * RedisPoolManager - A robust Redis connection pool manager
+ * 
+ * Manages a pool of Redis connections with automatic scaling, health monitoring,
+ * error recovery, and connection lifecycle management.
+ */
+export default class RedisPoolManager extends EventEmitter {
+  /** Redis client configuration */
+  readonly config: PoolConfig;
+
+  /** Pool name, used as the `pool` label in metrics */
+  readonly name: string;
+
+  /** Minimum level the pool logs at */
+  readonly logLevel: LogLevel;
+
+  /** Level-filtered logger the pool writes to */
+  readonly logger: PoolLogger;
+
+  /** Maximum number of connections in pool; changed with resize() */
+  maxConnections: number;
+
+  /** Minimum number of connections to maintain; changed with resize() */
+  minConnections: number;
+
+  /** Connections only 'high' priority callers may use */
+  readonly reservedConnections: number;
+
+  /** Connection acquisition timeout in milliseconds */
+  readonly connectionTimeout: number;
+
+  /** Retry delay in milliseconds */
+  readonly retryDelay: number;
+
+  /** Maximum retry attempts */
+  readonly maxRetries: number;
+
+  /** Hold time in milliseconds after which a 'leak' event fires (0 disables) */
+  readonly leakDetectionThreshold: number;
+
+  /** Idle time in milliseconds before a connection may be evicted */
+  readonly idleTimeoutMillis: number;
+
+  /** Evictor run interval in milliseconds (0 disables eviction) */
+  readonly evictionRunIntervalMillis: number;
+
+  /** Connection lifetime in milliseconds before retirement, less jitter (0 disables) */
+  readonly maxLifetimeMillis: number;
+
+  /** Acquisitions per connection before retirement (0 disables) */
+  readonly maxUsesPerConnection: number;
+
+  /** Scheduled health check interval in milliseconds (0 disables) */
+  readonly healthCheckInterval: number;
+
+  /** Whether connections are validated before being handed out */
+  readonly testOnBorrow: boolean;
+
+  /** Whether connections are validated before being returned to the pool */
+  readonly testOnReturn: boolean;
+
+  /** Custom connection validator, or null to use PING */
+  readonly validator: ((client: RedisPoolClient) => boolean | Promise<boolean>) | null;
+
+  /** Set of available connections ready for use */
+  readonly availableConnections: Set<RedisPoolClient>;
+
+  /** Set of connections currently in use */
+  readonly busyConnections: Set<RedisPoolClient>;
+
+  /** Map of pending connection creation promises */
+  readonly connectionPromises: Map<string, Promise<RedisPoolClient>>;
+
+  /** Callers waiting for a connection, highest priority then oldest first */
+  readonly waitingQueue: PoolWaiter[];
+
+  /** Whether the pool is shutting down */
+  readonly isShuttingDown: boolean;
+
+  /** Result of the first shutdown() call, or null if not shutting down */
+  readonly shutdownPromise: Promise<ShutdownSummary> | null;
+
+  /** Pool statistics */
+  readonly stats: {
+    created: number;
+    destroyed: number;
+    acquired: number;
+    released: number;
+    errors: number;
+    evicted: number;
+    retired: number;
+    dirtyRelease: number;
+  };
+
+  /** Histograms for metrics export: latencies in milliseconds, batch sizes in commands */
+  readonly histograms: {
+    /** Time from acquireConnection() until a connection was handed out */
+    acquireWait: Histogram;
+
+    /** Time from acquire until releaseConnection() */
+    holdTime: Histogram;
+
+    /** Commands per auto-pipelined batch */
+    batchSize: Histogram;
+  };
+
+  /** Rolling latency window in milliseconds */
+  readonly statsWindowMillis: number;
+
+  /** Maximum latency samples kept per window */
+  readonly statsMaxSamples: number;
+
+  /** Rolling latency windows backing the percentiles in getStats() */
+  readonly latency: {
+    acquireWait: LatencyWindow;
+    holdTime: LatencyWindow;
+    batchSize: LatencyWindow;
+  };
+
+  /** Master discovery, when the sentinel option is set */
+  readonly sentinel: SentinelMonitor | null;
+
+  /** Current master address in Sentinel mode */
+  readonly masterAddress: SentinelAddress | null;
+
+  /** Incremented on every failover */
+  readonly generation: number;
+
+  /** How replicas are picked for reads */
+  readonly replicaStrategy: 'round-robin' | 'least-busy' | ReplicaStrategy;
+
+  /** Replication lag in bytes beyond which a replica leaves rotation */
+  readonly maxReplicaLag: number;
+
+  /** Replica sub-pools with their rotation state */
+  readonly replicas: ReplicaEntry[];
+
+  /** Size limit of the blocking sub-pool (0 when there is none) */
+  readonly blockingMaxConnections: number;
+
+  /** Connections the blocking sub-pool keeps open */
+  readonly blockingMinConnections: number;
+
+  /** Timeout in milliseconds when acquiring from the blocking sub-pool */
+  readonly blockingConnectionTimeout: number;
+
+  /** Separate pool for blocking commands, when blockingMaxConnections is set */
+  readonly blockingPool: RedisPoolManager | null;
+
+  /** Most commands execute() sends in one pipeline */
+  readonly pipelineMaxBatchSize: number;
+
+  /** How long in milliseconds execute() collects commands before sending */
+  readonly pipelineFlushIntervalMillis: number;
+
+  /** Batches execute() commands into pipelines */
+  readonly pipeline: AutoPipeline;
+
+  /** Auto-pipelined commands as methods, e.g. `pool.commands.get('key')` */
+  readonly commands: PipelinedCommands;
+
+  /** Times transaction() retries after watched keys changed */
+  readonly transactionRetries: number;
+
+  /** Base delay in milliseconds between transaction() retries */
+  readonly transactionRetryDelay: number;
+
+  /** Maximum dedicated connections for subscribe() */
+  readonly maxSubscriberConnections: number;
+
+  /** Dedicated subscriber connections, outside the pool */
+  readonly subscribers: SubscriberSet;
+
+  /** Connection failures within the window that open the circuit breaker */
+  readonly circuitBreakerThreshold: number;
+
+  /** Window in milliseconds over which connection failures are counted */
+  readonly circuitBreakerWindowMillis: number;
+
+  /** How long in milliseconds the circuit stays open */
+  readonly circuitBreakerCooldownMillis: number;
+
+  /** Circuit breaker state */
+  readonly circuit: {
+    state: CircuitState;
+    failures: number[];
+    openedAt: number;
+    probing: boolean;
+    opened: number;
+    rejected: number;
+  };
+
+  /** How new connections pick an endpoint */
+  readonly endpointStrategy: 'ordered' | 'weighted';
+
+  /** Consecutive connection failures that mark an endpoint down */
+  readonly endpointFailureThreshold: number;
+
+  /** How long in milliseconds an endpoint stays marked down */
+  readonly endpointCooldownMillis: number;
+
+  /** Configured endpoints with their failure state */
+  readonly endpoints: Array<{
+    id: string;
+    host: string;
+    port: number;
+    weight: number;
+    connecting: number;
+    failures: number;
+    downUntil: number;
+  }>;
+
+  /**
+   * Creates a new RedisPoolManager instance
+   * 
+   * @param config Redis client configuration object
+   * @param options Pool management options
+   * @throws InvalidOptionError if an option is out of range or options contradict each other
+   */
+  constructor(config: PoolConfig, options?: PoolOptions);
+
+  /**
+   * Acquires a Redis connection from the pool for use
+   * 
+   * @param options Per-call timeout and cancellation
+   * @returns Promise that resolves to a Redis client ready for use
+   * @throws PoolClosedError if the pool is shutting down
+   * @throws PoolTimeoutError if no connection turned up within the timeout
+   * @throws PoolExhaustedError if timeout is 0 and no connection is free
+   * @throws ConnectionCreateError if a new connection could not be opened
+   * @throws CircuitOpenError if a new connection is needed while the circuit breaker is open
+   * @throws AbortError if the signal is aborted
+   * @throws InvalidOptionError if an acquire option is invalid
+   */
+  acquireConnection(options?: AcquireOptions): Promise<RedisPoolClient>;
+
+  /**
+   * Runs a callback with a pooled connection and always releases it afterwards
+   * 
+   * @param fn Callback that receives the Redis client
+   * @param options Acquire options, as for acquireConnection()
+   * @returns Promise that resolves to the callback's result
+   * @throws Error if acquiring fails, or the callback's own error
+   */
+  withConnection<T>(fn: (client: RedisPoolClient) => T | Promise<T>, options?: AcquireOptions): Promise<T>;
+
+  /**
+   * Runs a callback with a connection from the blocking sub-pool and always
+   * releases it afterwards
+   * 
+   * @param fn Callback that receives the Redis client
+   * @param options Acquire options, as for acquireConnection()
+   * @returns Promise that resolves to the callback's result
+   * @throws Error if there is no blocking sub-pool or acquiring fails, or the callback's own error
+   */
+  blocking<T>(fn: (client: RedisPoolClient) => T | Promise<T>, options?: AcquireOptions): Promise<T>;
+
+  /**
+   * Runs a single command through the auto-pipeline
+   * 
+   * @param command Command name, e.g. 'GET'
+   * @param args Command arguments
+   * @returns Promise that resolves to the command's raw reply
+   * @throws Error with the command's error reply, or if its batch could not be sent
+   */
+  execute(command: string, ...args: CommandArgument[]): Promise<any>;
+
+  /**
+   * Runs an optimistic WATCH/MULTI/EXEC transaction, retrying it when a
+   * watched key changed
+   * 
+   * @param keys Keys to WATCH
+   * @param fn Receives the client to read with and the MULTI to queue writes on
+   * @param options Retry limit, plus acquire options
+   * @returns Promise that resolves to the EXEC replies
+   * @throws TransactionConflictError if the keys still changed on the last attempt
+   * @throws Error if acquiring fails, or the callback's own error
+   */
+  transaction(keys: string | string[], fn: (client: RedisPoolClient, multi: PoolMulti) => void | Promise<void>, options?: TransactionOptions): Promise<unknown[]>;
+
+  /**
+   * Subscribes a handler to a channel or pattern on a dedicated subscriber connection
+   * 
+   * @param channel Channel or pattern to subscribe to
+   * @param handler Called with (message, channel) for each message
+   * @param options Subscribe options
+   * @returns Promise that resolves once subscribed, to a function removing this handler again
+   * @throws Error if the pool is shutting down or no subscriber connection could be opened
+   */
+  subscribe(channel: string, handler: MessageHandler, options?: SubscribeOptions): Promise<() => Promise<void>>;
+
+  /**
+   * Removes a handler, or every handler, from a channel or pattern
+   * 
+   * @param channel Channel or pattern passed to subscribe()
+   * @param handler Handler to remove; all of the channel's handlers if omitted
+   * @param options Unsubscribe options
+   */
+  unsubscribe(channel: string, handler?: MessageHandler, options?: SubscribeOptions): Promise<void>;
+
+  /**
+   * Releases a Redis connection back to the pool for reuse
+   * 
+   * @param client Redis client connection to release
+   */
+  releaseConnection(client: RedisPoolClient): void;
+
+  /**
+   * Returns comprehensive statistics about the connection pool
+   * 
+   * @returns Pool statistics object with current and historical data
+   */
+  getStats(): PoolStats;
+
+  /**
+   * Resets all statistics counters, latency windows and histograms
+   */
+  resetStats(): void;
+
+  /**
+   * Renders the pool's statistics in Prometheus text exposition format
+   * 
+   * @returns Metrics labelled with the pool name
+   */
+  getMetrics(): string;
+
+  /**
+   * Performs health checks on all available connections in the pool
+   * 
+   * Validates each available connection, removes unhealthy ones and refills
+   * the pool up to minConnections.
+   * 
+   * @returns Promise that resolves with pass/fail counts when health checks are complete
+   */
+  healthCheck(): Promise<HealthCheckResult>;
+
+  /**
+   * Gracefully shuts down the connection pool
+   * 
+   * Stops handing out connections, rejects queued waiters, closes idle
+   * connections, and waits up to drainTimeout for busy connections to be
+   * released before force-disconnecting them. Safe to call more than once.
+   * 
+   * @param options Shutdown options
+   * @returns Promise that resolves with a summary when shutdown is complete
+   * @throws InvalidOptionError if drainTimeout is not a finite number of at least 0
+   */
+  shutdown(options?: ShutdownOptions): Promise<ShutdownSummary>;
+
+  /**
+   * Changes minConnections and maxConnections at runtime
+   * 
+   * Growing opens connections up to the new minimum and for waiting
+   * callers. Shrinking closes surplus idle connections right away and busy
+   * ones as they are released. Replica and blocking sub-pools keep their sizes.
+   * 
+   * @param options New bounds; omitted ones (or all, if options is omitted) are left as they are
+   * @returns Promise that resolves once the pool has been filled up to the new minimum
+   * @throws PoolClosedError if the pool is shutting down
+   * @throws InvalidOptionError if a bound is invalid, min exceeds max, or max is not above reservedConnections
+   */
+  resize(options?: ResizeOptions): Promise<void>;
+
+  /**
+   * Gets the total number of connections currently managed by the pool
+   * 
+   * @returns Total connection count (available + busy)
+   */
+  getTotalConnections(): number;
+
+  // EventEmitter events
+
+  /**
+   * Emitted when the pool is initialized and ready for use
+   */
+  on(event: 'ready', listener: () => void): this;
+
+  /**
+   * Emitted when a startup round could not open any connection; the pool keeps retrying
+   */
+  on(event: 'error', listener: (error: Error) => void): this;
+
+  /**
+   * Emitted when a connection is held longer than leakDetectionThreshold
+   */
+  on(event: 'leak', listener: (info: LeakInfo) => void): this;
+
+  /**
+   * Emitted when the evictor closes an idle connection
+   */
+  on(event: 'evict', listener: (info: EvictInfo) => void): this;
+
+  /**
+   * Emitted when a connection is closed for reaching maxLifetimeMillis or maxUsesPerConnection, or after resize() shrank the pool
+   */
+  on(event: 'retire', listener: (info: RetireInfo) => void): this;
+
+  /**
+   * Emitted when resize() changed the pool's bounds
+   */
+  on(event: 'resize', listener: (info: ResizeInfo) => void): this;
+
+  /**
+   * Emitted after each health check with pass/fail counts
+   */
+  on(event: 'healthcheck', listener: (result: HealthCheckResult) => void): this;
+
+  /**
+   * Emitted before each connection creation retry
+   */
+  on(event: 'retry', listener: (info: RetryInfo) => void): this;
+
+  /**
+   * Emitted when a new connection is ready and has gone to a caller or the available set
+   */
+  on(event: 'create', listener: (info: ConnectionCreateInfo) => void): this;
+
+  /**
+   * Emitted when a connection has been closed by the pool
+   */
+  on(event: 'destroy', listener: (info: ConnectionDestroyInfo) => void): this;
+
+  /**
+   * Emitted when a connection is handed to a caller
+   */
+  on(event: 'acquire', listener: (info: AcquireInfo) => void): this;
+
+  /**
+   * Emitted when a caller releases a connection
+   */
+  on(event: 'release', listener: (info: ReleaseInfo) => void): this;
+
+  /**
+   * Emitted when a caller has to wait for a connection
+   */
+  on(event: 'enqueue', listener: (info: EnqueueInfo) => void): this;
+
+  /**
+   * Emitted when a waiting caller times out
+   */
+  on(event: 'timeout', listener: (info: TimeoutInfo) => void): this;
+
+  /**
+   * Emitted when the waiting queue becomes empty
+   */
+  on(event: 'drain', listener: () => void): this;
+
+  /**
+   * Emitted when a connection reports an error
+   */
+  on(event: 'connectionError', listener: (info: ConnectionErrorInfo) => void): this;
+
+  /**
+   * Emitted when a connection starts reconnecting
+   */
+  on(event: 'reconnecting', listener: (info: ReconnectingInfo) => void): this;
+
+  /**
+   * Emitted when Sentinel reports a new master and the pool repoints to it
+   */
+  on(event: 'failover', listener: (info: FailoverInfo) => void): this;
+
+  /**
+   * Emitted when a replica is taken out of read rotation
+   */
+  on(event: 'replicaDown', listener: (info: ReplicaDownInfo) => void): this;
+
+  /**
+   * Emitted when a replica is put back into read rotation
+   */
+  on(event: 'replicaUp', listener: (info: ReplicaUpInfo) => void): this;
+
+  /**
+   * Emitted when an endpoint is marked down after repeated connection failures
+   */
+  on(event: 'endpointDown', listener: (info: EndpointDownInfo) => void): this;
+
+  /**
+   * Emitted when repeated connection failures open the circuit breaker
+   */
+  on(event: 'circuitOpen', listener: (info: CircuitOpenInfo) => void): this;
+
+  /**
+   * Emitted when the breaker lets a probe connection through after its cooldown
+   */
+  on(event: 'circuitHalfOpen', listener: (info: CircuitTransitionInfo) => void): this;
+
+  /**
+   * Emitted when a successful connection closes the breaker again
+   */
+  on(event: 'circuitClose', listener: (info: CircuitTransitionInfo) => void): this;
+
+  /**
+   * Emitted when a subscriber connection restored its subscriptions after a reconnect or replacement
+   */
+  on(event: 'resubscribe', listener: (info: ResubscribeInfo) => void): this;
+
+  /**
+   * Emitted when a subscribe() handler throws or rejects
+   */
+  on(event: 'subscriberError', listener: (info: SubscriberErrorInfo) => void): this;
+
+  /**
+   * Emitted before a transaction() is retried after a conflict
+   */
+  on(event: 'transactionRetry', listener: (info: TransactionRetryInfo) => void): this;
+
+  /**
+   * Generic event listener for any event
+   */
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+
+  /**
+   * Emitted when the pool is initialized and ready for use
+   */
+  once(event: 'ready', listener: () => void): this;
+
+  /**
+   * Emitted when a startup round could not open any connection; the pool keeps retrying
+   */
+  once(event: 'error', listener: (error: Error) => void): this;
+
+  /**
+   * Emitted when a connection is held longer than leakDetectionThreshold
+   */
+  once(event: 'leak', listener: (info: LeakInfo) => void): this;
+
+  /**
+   * Emitted when the evictor closes an idle connection
+   */
+  once(event: 'evict', listener: (info: EvictInfo) => void): this;
+
+  /**
+   * Emitted when a connection is closed for reaching maxLifetimeMillis or maxUsesPerConnection, or after resize() shrank the pool
+   */
+  once(event: 'retire', listener: (info: RetireInfo) => void): this;
+
+  /**
+   * Emitted when resize() changed the pool's bounds
+   */
+  once(event: 'resize', listener: (info: ResizeInfo) => void): this;
+
+  /**
+   * Emitted after each health check with pass/fail counts
+   */
+  once(event: 'healthcheck', listener: (result: HealthCheckResult) => void): this;
+
+  /**
+   * Emitted before each connection creation retry
+   */
+  once(event: 'retry', listener: (info: RetryInfo) => void): this;
+
+  /**
+   * Emitted when a new connection is ready and has gone to a caller or the available set
+   */
+  once(event: 'create', listener: (info: ConnectionCreateInfo) => void): this;
+
+  /**
+   * Emitted when a connection has been closed by the pool
+   */
+  once(event: 'destroy', listener: (info: ConnectionDestroyInfo) => void): this;
+
+  /**
+   * Emitted when a connection is handed to a caller
+   */
+  once(event: 'acquire', listener: (info: AcquireInfo) => void): this;
+
+  /**
+   * Emitted when a caller releases a connection
+   */
+  once(event: 'release', listener: (info: ReleaseInfo) => void): this;
+
+  /**
+   * Emitted when a caller has to wait for a connection
+   */
+  once(event: 'enqueue', listener: (info: EnqueueInfo) => void): this;
+
+  /**
+   * Emitted when a waiting caller times out
+   */
+  once(event: 'timeout', listener: (info: TimeoutInfo) => void): this;
+
+  /**
+   * Emitted when the waiting queue becomes empty
+   */
+  once(event: 'drain', listener: () => void): this;
+
+  /**
+   * Emitted when a connection reports an error
+   */
+  once(event: 'connectionError', listener: (info: ConnectionErrorInfo) => void): this;
+
+  /**
+   * Emitted when a connection starts reconnecting
+   */
+  once(event: 'reconnecting', listener: (info: ReconnectingInfo) => void): this;
+
+  /**
+   * Emitted when Sentinel reports a new master and the pool repoints to it
+   */
+  once(event: 'failover', listener: (info: FailoverInfo) => void): this;
+
+  /**
+   * Emitted when a replica is taken out of read rotation
+   */
+  once(event: 'replicaDown', listener: (info: ReplicaDownInfo) => void): this;
+
+  /**
+   * Emitted when a replica is put back into read rotation
+   */
+  once(event: 'replicaUp', listener: (info: ReplicaUpInfo) => void): this;
+
+  /**
+   * Emitted when an endpoint is marked down after repeated connection failures
+   */
+  once(event: 'endpointDown', listener: (info: EndpointDownInfo) => void): this;
+
+  /**
+   * Emitted when repeated connection failures open the circuit breaker
+   */
+  once(event: 'circuitOpen', listener: (info: CircuitOpenInfo) => void): this;
+
+  /**
+   * Emitted when the breaker lets a probe connection through after its cooldown
+   */
+  once(event: 'circuitHalfOpen', listener: (info: CircuitTransitionInfo) => void): this;
+
+  /**
+   * Emitted when a successful connection closes the breaker again
+   */
+  once(event: 'circuitClose', listener: (info: CircuitTransitionInfo) => void): this;
+
+  /**
+   * Emitted when a subscriber connection restored its subscriptions after a reconnect or replacement
+   */
+  once(event: 'resubscribe', listener: (info: ResubscribeInfo) => void): this;
+
+  /**
+   * Emitted when a subscribe() handler throws or rejects
+   */
+  once(event: 'subscriberError', listener: (info: SubscriberErrorInfo) => void): this;
+
+  /**
+   * Emitted before a transaction() is retried after a conflict
+   */
+  once(event: 'transactionRetry', listener: (info: TransactionRetryInfo) => void): this;
+
+  /**
+   * Generic event listener for any event (once)
+   */
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+
+  /**
+   * Emitted when the pool is initialized and ready for use
+   */
+  emit(event: 'ready'): boolean;
+
+  /**
+   * Emitted when a startup round could not open any connection; the pool keeps retrying
+   */
+  emit(event: 'error', error: Error): boolean;
+
+  /**
+   * Emitted when a connection is held longer than leakDetectionThreshold
+   */
+  emit(event: 'leak', info: LeakInfo): boolean;
+
+  /**
+   * Emitted when the evictor closes an idle connection
+   */
+  emit(event: 'evict', info: EvictInfo): boolean;
+
+  /**
+   * Emitted when a connection is closed for reaching maxLifetimeMillis or maxUsesPerConnection, or after resize() shrank the pool
+   */
+  emit(event: 'retire', info: RetireInfo): boolean;
+
+  /**
+   * Emitted when resize() changed the pool's bounds
+   */
+  emit(event: 'resize', info: ResizeInfo): boolean;
+
+  /**
+   * Emitted after each health check with pass/fail counts
+   */
+  emit(event: 'healthcheck', result: HealthCheckResult): boolean;
+
+  /**
+   * Emitted before each connection creation retry
+   */
+  emit(event: 'retry', info: RetryInfo): boolean;
+
+  /**
+   * Emitted when a new connection is ready and has gone to a caller or the available set
+   */
+  emit(event: 'create', info: ConnectionCreateInfo): boolean;
+
+  /**
+   * Emitted when a connection has been closed by the pool
+   */
+  emit(event: 'destroy', info: ConnectionDestroyInfo): boolean;
+
+  /**
+   * Emitted when a connection is handed to a caller
+   */
+  emit(event: 'acquire', info: AcquireInfo): boolean;
+
+  /**
+   * Emitted when a caller releases a connection
+   */
+  emit(event: 'release', info: ReleaseInfo): boolean;
+
+  /**
+   * Emitted when a caller has to wait for a connection
+   */
+  emit(event: 'enqueue', info: EnqueueInfo): boolean;
+
+  /**
+   * Emitted when a waiting caller times out
+   */
+  emit(event: 'timeout', info: TimeoutInfo): boolean;
+
+  /**
+   * Emitted when the waiting queue becomes empty
+   */
+  emit(event: 'drain'): boolean;
+
+  /**
+   * Emitted when a connection reports an error
+   */
+  emit(event: 'connectionError', info: ConnectionErrorInfo): boolean;
+
+  /**
+   * Emitted when a connection starts reconnecting
+   */
+  emit(event: 'reconnecting', info: ReconnectingInfo): boolean;
+
+  /**
+   * Emitted when Sentinel reports a new master and the pool repoints to it
+   */
+  emit(event: 'failover', info: FailoverInfo): boolean;
+
+  /**
+   * Emitted when a replica is taken out of read rotation
+   */
+  emit(event: 'replicaDown', info: ReplicaDownInfo): boolean;
+
+  /**
+   * Emitted when a replica is put back into read rotation
+   */
+  emit(event: 'replicaUp', info: ReplicaUpInfo): boolean;
+
+  /**
+   * Emitted when an endpoint is marked down after repeated connection failures
+   */
+  emit(event: 'endpointDown', info: EndpointDownInfo): boolean;
+
+  /**
+   * Emitted when repeated connection failures open the circuit breaker
+   */
+  emit(event: 'circuitOpen', info: CircuitOpenInfo): boolean;
+
+  /**
+   * Emitted when the breaker lets a probe connection through after its cooldown
+   */
+  emit(event: 'circuitHalfOpen', info: CircuitTransitionInfo): boolean;
+
+  /**
+   * Emitted when a successful connection closes the breaker again
+   */
+  emit(event: 'circuitClose', info: CircuitTransitionInfo): boolean;
+
+  /**
+   * Emitted when a subscriber connection restored its subscriptions after a reconnect or replacement
+   */
+  emit(event: 'resubscribe', info: ResubscribeInfo): boolean;
+
+  /**
+   * Emitted when a subscribe() handler throws or rejects
+   */
+  emit(event: 'subscriberError', info: SubscriberErrorInfo): boolean;
+
+  /**
+   * Emitted before a transaction() is retried after a conflict
+   */
+  emit(event: 'transactionRetry', info: TransactionRetryInfo): boolean;
 
   /**
    * Generic event emitter
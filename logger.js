@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Structured logging helpers for Redis Pool Manager
+ *
+ * Loggers are called as (fields, message), the pino signature, and wrapped
+ * so that messages below the configured level are dropped.
+ */
+import { InvalidOptionError } from "./errors.js";
+
+/**
+ * Severity of each log level; a message is logged when its level is at or
+ * above the configured logLevel. 'silent' turns logging off entirely.
+ * 
+ * @private
+ * @type {Object<string, number>}
+ */
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+/**
+ * Default logger that writes to the console
+ * 
+ * Follows the same (fields, message) call signature the pool uses for any
+ * user-supplied logger.
+ * 
+ * @type {Object}
+ */
+export const consoleLogger = {
+  debug: (fields, message) => console.debug(message, fields),
+  info: (fields, message) => console.log(message, fields),
+  warn: (fields, message) => console.warn(message, fields),
+  error: (fields, message) => console.error(message, fields)
+};
+
+/**
+ * Wraps a logger so that messages below logLevel are dropped
+ * 
+ * @param {Object} logger - Object with debug/info/warn/error methods taking (fields, message)
+ * @param {string} logLevel - Minimum level to log, or 'silent'
+ * @returns {Object} Logger with the same four methods
+ * @throws {InvalidOptionError} If logLevel is not a known level
+ */
+export function createLogger(logger, logLevel) {
+  if (!(logLevel in LOG_LEVELS)) {
+    throw new InvalidOptionError('logLevel', `Invalid logLevel "${logLevel}", expected one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+
+  const threshold = LOG_LEVELS[logLevel];
+  const filtered = {};
+
+  for (const level of ['debug', 'info', 'warn', 'error']) {
+    filtered[level] = LOG_LEVELS[level] >= threshold && typeof logger[level] === 'function'
+      ? (fields, message) => logger[level](fields, message)
+      : () => {};
+  }
+
+  return filtered;
+}
@@ -0,0 +1,100 @@
+import RedisPoolManager from './index.js';
+
+/** Default histogram bucket upper bounds in milliseconds */
+export const DEFAULT_BUCKETS: number[];
+
+/**
+ * Cumulative histogram with fixed bucket boundaries, recording milliseconds
+ */
+export class Histogram {
+  /** Bucket upper bounds in milliseconds, ascending */
+  readonly buckets: number[];
+
+  /** Observations per bucket (not cumulative) */
+  readonly counts: number[];
+
+  /** Sum of all observed values */
+  readonly sum: number;
+
+  /** Number of observed values */
+  readonly count: number;
+
+  /**
+   * Creates a new histogram
+   * 
+   * @param buckets Bucket upper bounds in milliseconds
+   */
+  constructor(buckets?: number[]);
+
+  /**
+   * Records a value
+   * 
+   * @param value Observed value in milliseconds
+   */
+  observe(value: number): void;
+}
+
+/** Percentile summary of a latency window, in milliseconds */
+export interface LatencySummary {
+  /** Samples in the window */
+  count: number;
+
+  /** Median */
+  p50: number;
+
+  /** 95th percentile */
+  p95: number;
+
+  /** 99th percentile */
+  p99: number;
+
+  /** Largest sample */
+  max: number;
+}
+
+/**
+ * Bounded rolling window of samples for percentile summaries
+ */
+export class LatencyWindow {
+  /** How long samples count towards the summary, in milliseconds */
+  readonly windowMillis: number;
+
+  /** Maximum number of samples kept */
+  readonly maxSamples: number;
+
+  /**
+   * Creates a new rolling window
+   * 
+   * @param windowMillis How long samples count towards the summary
+   * @param maxSamples Maximum number of samples kept
+   */
+  constructor(windowMillis?: number, maxSamples?: number);
+
+  /**
+   * Records a value
+   * 
+   * @param value Observed value in milliseconds
+   */
+  observe(value: number): void;
+
+  /**
+   * Summarizes the samples still inside the window
+   */
+  summary(): LatencySummary;
+
+  /**
+   * Discards all samples
+   */
+  reset(): void;
+}
+
+/**
+ * Renders one or more pools in the Prometheus text exposition format
+ * 
+ * Every sample carries a `pool` label with the pool's name. Pass all pools
+ * in a single call so each metric family's HELP and TYPE lines appear once.
+ * 
+ * @param pools Pool or pools to render
+ * @returns Metrics in text exposition format (version 0.0.4)
+ */
+export function renderMetrics(pools: RedisPoolManager | RedisPoolManager[]): string;
@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Prometheus metrics for Redis Pool Manager
+ *
+ * Renders RedisPoolManager statistics in the Prometheus text exposition
+ * format, and provides the bucketed histogram and rolling percentile window
+ * the pool uses to record acquire-wait and hold times.
+ *
+ * @example
+ * // Expose several pools on one endpoint
+ * import { renderMetrics } from 'redis-pm/metrics';
+ *
+ * app.get('/metrics', (req, res) => {
+ *   res.type('text/plain; version=0.0.4');
+ *   res.send(renderMetrics([sessionPool, cachePool]));
+ * });
+ */
+
+/**
+ * Default histogram bucket upper bounds in milliseconds
+ *
+ * @type {number[]}
+ */
+export const DEFAULT_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Cumulative histogram with fixed bucket boundaries
+ *
+ * Values are recorded in milliseconds. Counts only ever grow, matching the
+ * semantics Prometheus expects from a histogram.
+ *
+ * @class Histogram
+ */
+export class Histogram {
+  /**
+   * Creates a new histogram
+   *
+   * @param {number[]} [buckets=DEFAULT_BUCKETS] - Bucket upper bounds in milliseconds
+   */
+  constructor(buckets = DEFAULT_BUCKETS) {
+    /** @type {number[]} Bucket upper bounds, ascending */
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    /** @type {number[]} Observations per bucket (not cumulative) */
+    this.counts = new Array(this.buckets.length).fill(0);
+    /** @type {number} Sum of all observed values */
+    this.sum = 0;
+    /** @type {number} Number of observed values */
+    this.count = 0;
+  }
+
+  /**
+   * Records a value
+   *
+   * @param {number} value - Observed value in milliseconds
+   * @returns {void}
+   */
+  observe(value) {
+    this.sum += value;
+    this.count++;
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      this.counts[index]++;
+    }
+  }
+}
+
+/**
+ * Bounded rolling window of samples for percentile summaries
+ *
+ * Keeps at most maxSamples values no older than windowMillis, dropping the
+ * oldest first, so memory stays fixed regardless of traffic.
+ *
+ * @class LatencyWindow
+ */
+export class LatencyWindow {
+  /**
+   * Creates a new rolling window
+   *
+   * @param {number} [windowMillis=60000] - How long samples count towards the summary
+   * @param {number} [maxSamples=1024] - Maximum number of samples kept
+   */
+  constructor(windowMillis = 60000, maxSamples = 1024) {
+    this.windowMillis = windowMillis;
+    this.maxSamples = maxSamples;
+    /** @type {Array<{time: number, value: number}>} Samples, oldest first */
+    this.samples = [];
+  }
+
+  /**
+   * Records a value
+   *
+   * @param {number} value - Observed value in milliseconds
+   * @returns {void}
+   */
+  observe(value) {
+    this.samples.push({ time: Date.now(), value });
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Summarizes the samples still inside the window
+   *
+   * @returns {Object} Summary in milliseconds
+   * @returns {number} returns.count - Samples in the window
+   * @returns {number} returns.p50 - Median
+   * @returns {number} returns.p95 - 95th percentile
+   * @returns {number} returns.p99 - 99th percentile
+   * @returns {number} returns.max - Largest sample
+   */
+  summary() {
+    // Samples are in time order, so expired ones are all at the front
+    const cutoff = Date.now() - this.windowMillis;
+    while (this.samples.length > 0 && this.samples[0].time < cutoff) {
+      this.samples.shift();
+    }
+
+    const values = this.samples.map(sample => sample.value).sort((a, b) => a - b);
+    const percentile = (p) => values.length === 0 ? 0 : values[Math.ceil((p / 100) * values.length) - 1];
+
+    return {
+      count: values.length,
+      p50: percentile(50),
+      p95: percentile(95),
+      p99: percentile(99),
+      max: values.length === 0 ? 0 : values[values.length - 1]
+    };
+  }
+
+  /**
+   * Discards all samples
+   *
+   * @returns {void}
+   */
+  reset() {
+    this.samples = [];
+  }
+}
+
+/**
+ * Escapes a label value for the text exposition format
+ *
+ * @private
+ * @param {string} value - Raw label value
+ * @returns {string} Escaped label value
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a label set as `{name="value",...}`
+ *
+ * @private
+ * @param {Object<string, string>} labels - Label names and values
+ * @returns {string} Formatted label set
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ * Simple counters and gauges, read from getStats() by key
+ *
+ * @private
+ * @type {Array<{name: string, type: string, help: string, stat: string}>}
+ */
+const STAT_METRICS = [
+  { name: 'redis_pool_connections_created_total', type: 'counter', help: 'Total connections created', stat: 'created' },
+  { name: 'redis_pool_connections_destroyed_total', type: 'counter', help: 'Total connections destroyed', stat: 'destroyed' },
+  { name: 'redis_pool_connections_evicted_total', type: 'counter', help: 'Total idle connections evicted', stat: 'evicted' },
+  { name: 'redis_pool_connections_retired_total', type: 'counter', help: 'Total connections retired for age or use count', stat: 'retired' },
+  { name: 'redis_pool_acquires_total', type: 'counter', help: 'Total connection acquisitions', stat: 'acquired' },
+  { name: 'redis_pool_releases_total', type: 'counter', help: 'Total connection releases', stat: 'released' },
+  { name: 'redis_pool_errors_total', type: 'counter', help: 'Total connection errors encountered', stat: 'errors' },
+  { name: 'redis_pool_dirty_releases_total', type: 'counter', help: 'Releases of connections with session state left on them', stat: 'dirtyRelease' },
+  { name: 'redis_pool_available_connections', type: 'gauge', help: 'Connections currently available', stat: 'available' },
+  { name: 'redis_pool_busy_connections', type: 'gauge', help: 'Connections currently in use', stat: 'busy' },
+  { name: 'redis_pool_connections', type: 'gauge', help: 'Connections currently managed by the pool', stat: 'total' },
+  { name: 'redis_pool_pending_requests', type: 'gauge', help: 'Callers waiting for a connection', stat: 'pending' }
+];
+
+/**
+ * Histograms kept by the pool, keyed by their property on pool.histograms
+ *
+ * Recorded values are divided by divisor on export, turning milliseconds
+ * into seconds for the latency histograms.
+ *
+ * @private
+ * @type {Array<{name: string, help: string, histogram: string, divisor: number}>}
+ */
+const HISTOGRAM_METRICS = [
+  { name: 'redis_pool_acquire_wait_seconds', help: 'Time from acquireConnection() until a connection was handed out', histogram: 'acquireWait', divisor: 1000 },
+  { name: 'redis_pool_connection_hold_seconds', help: 'Time from acquire until releaseConnection()', histogram: 'holdTime', divisor: 1000 },
+  { name: 'redis_pool_pipeline_batch_size', help: 'Commands per auto-pipelined batch sent by execute()', histogram: 'batchSize', divisor: 1 }
+];
+
+/**
+ * Renders one or more pools in the Prometheus text exposition format
+ *
+ * Every sample carries a `pool` label with the pool's name, so several
+ * pools in one process can be told apart. Pass all pools in a single call
+ * so each metric family's HELP and TYPE lines appear only once.
+ *
+ * @param {Object|Object[]} pools - RedisPoolManager instance or instances
+ * @returns {string} Metrics in text exposition format (version 0.0.4)
+ *
+ * @example
+ * ```javascript
+ * import { renderMetrics } from 'redis-pm/metrics';
+ *
+ * const body = renderMetrics([poolA, poolB]);
+ * ```
+ */
+export function renderMetrics(pools) {
+  const poolList = Array.isArray(pools) ? pools : [pools];
+  const snapshots = poolList.map(pool => ({
+    labels: { pool: pool.name },
+    stats: pool.getStats(),
+    pool
+  }));
+  const lines = [];
+
+  for (const metric of STAT_METRICS) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const { labels, stats } of snapshots) {
+      lines.push(`${metric.name}${formatLabels(labels)} ${stats[metric.stat]}`);
+    }
+  }
+
+  for (const metric of HISTOGRAM_METRICS) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} histogram`);
+    for (const { labels, pool } of snapshots) {
+      const histogram = pool.histograms[metric.histogram];
+      let cumulative = 0;
+
+      histogram.buckets.forEach((bound, index) => {
+        cumulative += histogram.counts[index];
+        const bucketLabels = formatLabels({ ...labels, le: String(bound / metric.divisor) });
+        lines.push(`${metric.name}_bucket${bucketLabels} ${cumulative}`);
+      });
+
+      lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${histogram.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(labels)} ${histogram.sum / metric.divisor}`);
+      lines.push(`${metric.name}_count${formatLabels(labels)} ${histogram.count}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
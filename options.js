@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Option validation for Redis Pool Manager
+ *
+ * Shared by RedisPoolManager and RedisClusterPoolManager so both read their
+ * options the same way: defaults apply only to unset options, and invalid
+ * values throw an InvalidOptionError naming the option.
+ */
+import { InvalidOptionError } from "./errors.js";
+
+/**
+ * Shows a rejected value in an error message
+ *
+ * @private
+ * @param {*} value - Option value
+ * @returns {string} Strings quoted, everything else as String() gives it
+ */
+function show(value) {
+  return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+/**
+ * Reads a numeric option, using the default only when it is unset
+ * 
+ * Unlike `options.x || default`, an explicit 0 is kept. Counts may be
+ * Infinity, durations may not: timers treat Infinity as about 1 ms.
+ * 
+ * @param {Object} options - Options object
+ * @param {string} name - Option name
+ * @param {number} defaultValue - Value used when the option is undefined or null
+ * @param {Object} [range={}] - Accepted values
+ * @param {number} [range.min=0] - Smallest accepted value
+ * @param {boolean} [range.integer=false] - Whether only whole numbers (or Infinity) are accepted; otherwise only finite numbers
+ * @returns {number} Option value
+ * @throws {InvalidOptionError} If the value is not a number in range
+ */
+export function numberOption(options, name, defaultValue, { min = 0, integer = false } = {}) {
+  const value = options[name] ?? defaultValue;
+  if (typeof value !== 'number' || Number.isNaN(value) || value < min ||
+      (integer ? !Number.isInteger(value) && value !== Infinity : !Number.isFinite(value))) {
+    throw new InvalidOptionError(name, `Invalid ${name} ${show(value)}, expected ${integer ? 'an integer' : 'a finite number'} of at least ${min}`);
+  }
+  return value;
+}
+
+/**
+ * Reads a boolean option, using the default only when it is unset
+ * 
+ * @param {Object} options - Options object
+ * @param {string} name - Option name
+ * @param {boolean} defaultValue - Value used when the option is undefined or null
+ * @returns {boolean} Option value
+ * @throws {InvalidOptionError} If the value is not a boolean
+ */
+export function booleanOption(options, name, defaultValue) {
+  const value = options[name] ?? defaultValue;
+  if (typeof value !== 'boolean') {
+    throw new InvalidOptionError(name, `Invalid ${name} ${show(value)}, expected true or false`);
+  }
+  return value;
+}
+
+/**
+ * Reads a string option, using the default only when it is unset
+ * 
+ * @param {Object} options - Options object
+ * @param {string} name - Option name
+ * @param {string} defaultValue - Value used when the option is undefined or null
+ * @returns {string} Option value
+ * @throws {InvalidOptionError} If the value is not a non-empty string
+ */
+export function stringOption(options, name, defaultValue) {
+  const value = options[name] ?? defaultValue;
+  if (typeof value !== 'string' || value === '') {
+    throw new InvalidOptionError(name, `Invalid ${name} ${show(value)}, expected a non-empty string`);
+  }
+  return value;
+}
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Auto-pipelining for Redis Pool Manager
+ *
+ * Collects commands issued through RedisPoolManager's execute() and
+ * commands proxy, and sends the ones issued close together as a single
+ * pipeline on one pooled connection instead of acquiring a connection per
+ * command. Used internally by RedisPoolManager.
+ */
+import { PoolClosedError } from "./errors.js";
+
+/**
+ * AutoPipeline - Batches single commands into pipelines over pooled connections
+ *
+ * @class AutoPipeline
+ */
+export class AutoPipeline {
+  /**
+   * Creates a new AutoPipeline
+   *
+   * @param {Object} options - Pipeline options
+   * @param {function(function(Object): Promise<void>): Promise<void>} options.withConnection - Runs a callback with a pooled connection
+   * @param {number} [options.maxBatchSize=100] - Most commands sent in one pipeline
+   * @param {number} [options.flushIntervalMillis=0] - How long in ms to collect commands before sending (0 sends at the end of the current event-loop turn)
+   * @param {function(number): void} [options.onBatch] - Called with the size of every batch sent
+   */
+  constructor(options) {
+    this.withConnection = options.withConnection;
+    this.maxBatchSize = options.maxBatchSize ?? 100;
+    this.flushIntervalMillis = options.flushIntervalMillis ?? 0;
+    this.onBatch = options.onBatch || (() => {});
+
+    /** @type {Array<Object>} Commands waiting for the next flush */
+    this.queue = [];
+    /** @type {NodeJS.Immediate|NodeJS.Timeout|null} Scheduled flush */
+    this.flushTimer = null;
+    /** @type {number} Batches sent and not yet answered */
+    this.inFlight = 0;
+    this.isStopped = false;
+
+    this.stats = {
+      commands: 0,   // Commands sent
+      batches: 0,    // Pipelines sent
+      errors: 0      // Commands answered with an error
+    };
+  }
+
+  /**
+   * Queues a command for the next pipeline
+   *
+   * @param {Array<string|Buffer>} args - Command name followed by its arguments
+   * @returns {Promise<*>} The command's reply
+   * @throws {Error} The command's error reply, or the error that kept its batch from being sent
+   */
+  execute(args) {
+    if (this.isStopped) {
+      return Promise.reject(new PoolClosedError());
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ args, resolve, reject });
+
+      if (this.queue.length >= this.maxBatchSize) {
+        this.flush();
+      } else if (!this.flushTimer) {
+        this.flushTimer = this.flushIntervalMillis > 0
+          ? setTimeout(() => this.flush(), this.flushIntervalMillis)
+          : setImmediate(() => this.flush());
+      }
+    });
+  }
+
+  /**
+   * Sends everything queued, maxBatchSize commands per pipeline
+   *
+   * Each batch takes its own connection, so several batches run on
+   * several connections at once.
+   *
+   * @private
+   * @returns {void}
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      clearImmediate(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    while (this.queue.length > 0) {
+      this.sendBatch(this.queue.splice(0, this.maxBatchSize));
+    }
+  }
+
+  /**
+   * Sends one batch as a pipeline and settles each caller with its own reply
+   *
+   * node-redis writes all commands sent on a client in the same tick
+   * together, so issuing the whole batch at once pipelines it.
+   *
+   * @private
+   * @async
+   * @param {Array<Object>} batch - Queued commands
+   * @returns {Promise<void>}
+   */
+  async sendBatch(batch) {
+    this.inFlight++;
+    this.stats.batches++;
+    this.stats.commands += batch.length;
+    this.onBatch(batch.length);
+
+    try {
+      await this.withConnection(async (client) => {
+        const results = await Promise.allSettled(batch.map(command => client.sendCommand(command.args)));
+        results.forEach((result, index) => {
+          if (result.status === 'fulfilled') {
+            batch[index].resolve(result.value);
+          } else {
+            this.stats.errors++;
+            batch[index].reject(result.reason);
+          }
+        });
+      });
+    } catch (error) {
+      // No connection could be had; nothing in the batch was sent
+      this.stats.errors += batch.length;
+      for (const command of batch) {
+        command.reject(error);
+      }
+    } finally {
+      this.inFlight--;
+    }
+  }
+
+  /**
+   * Returns pipeline counters and current queue depth
+   *
+   * @returns {Object} Pipeline statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      queued: this.queue.length,
+      inFlight: this.inFlight
+    };
+  }
+
+  /**
+   * Zeros the counters
+   *
+   * @returns {void}
+   */
+  resetStats() {
+    for (const key of Object.keys(this.stats)) {
+      this.stats[key] = 0;
+    }
+  }
+
+  /**
+   * Rejects everything still queued and refuses new commands
+   *
+   * Batches already sent are left to finish on their connections.
+   *
+   * @returns {number} Number of queued commands rejected
+   */
+  stop() {
+    this.isStopped = true;
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      clearImmediate(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    const queued = this.queue.splice(0);
+    for (const command of queued) {
+      command.reject(new PoolClosedError());
+    }
+    return queued.length;
+  }
+}
@@ -0,0 +1,394 @@
+/**
+ * @fileoverview Managed Pub/Sub subscriptions for Redis Pool Manager
+ *
+ * Subscribing puts a Redis connection into subscriber mode, where it can no
+ * longer run ordinary commands, so subscriptions get their own connections
+ * outside the pool. Many handlers share a few of them, and every
+ * subscription is restored when a connection reconnects or is replaced.
+ * Used internally by RedisPoolManager's subscribe() and unsubscribe().
+ */
+import EventEmitter from "events";
+import { PoolClosedError } from "./errors.js";
+
+/**
+ * SubscriberSet - Owns the subscriber connections of a pool
+ *
+ * @class SubscriberSet
+ * @extends EventEmitter
+ *
+ * @fires SubscriberSet#resubscribe - Emitted when a subscriber connection restored its subscriptions
+ * @fires SubscriberSet#replace - Emitted when a dead subscriber connection is about to be replaced
+ * @fires SubscriberSet#handlerError - Emitted when a message handler throws or rejects
+ * @fires SubscriberSet#error - Emitted when restoring the subscriptions of a replaced connection failed
+ */
+export class SubscriberSet extends EventEmitter {
+  /**
+   * Creates a new SubscriberSet
+   *
+   * @param {Object} options - Subscriber options
+   * @param {function(function(Error): void): Promise<Object>} options.openConnection - Opens a connected client; its argument is called if the client later stops reconnecting
+   * @param {number} [options.maxConnections=1] - Maximum number of subscriber connections
+   * @param {number} [options.maxRetries=5] - Retries when opening the first connection for a subscribe() call
+   * @param {function(number): number} options.getRetryDelay - Delay in ms before a retry, given the attempt number
+   */
+  constructor(options) {
+    super();
+
+    this.openConnection = options.openConnection;
+    this.maxConnections = options.maxConnections ?? 1;
+    this.maxRetries = options.maxRetries ?? 5;
+    this.getRetryDelay = options.getRetryDelay;
+
+    /** @type {Array<Object>} Subscriber connections with the subscriptions they carry */
+    this.subscribers = [];
+    /** @type {Map<string, Object>} Subscriptions keyed by "channel:<name>" or "pattern:<name>" */
+    this.subscriptions = new Map();
+    this.isStopped = false;
+
+    this.stats = {
+      messages: 0,      // Messages dispatched to handlers
+      resubscribed: 0   // Times a connection restored its subscriptions
+    };
+  }
+
+  /**
+   * Adds a handler for a channel or pattern
+   *
+   * The Redis subscription is made once per channel or pattern; further
+   * handlers are added to it without a round trip.
+   *
+   * @async
+   * @param {string} name - Channel or pattern
+   * @param {function(string, string): void} handler - Called with (message, channel)
+   * @param {boolean} pattern - Whether name is a pattern (PSUBSCRIBE)
+   * @returns {Promise<void>} Resolves once Redis confirmed the subscription
+   * @throws {PoolClosedError} If the set has been stopped
+   * @throws {Error} If no subscriber connection could be opened
+   */
+  async subscribe(name, handler, pattern) {
+    if (this.isStopped) {
+      throw new PoolClosedError();
+    }
+
+    const key = `${pattern ? 'pattern' : 'channel'}:${name}`;
+    let subscription = this.subscriptions.get(key);
+    if (subscription) {
+      subscription.handlers.add(handler);
+      await subscription.ready;
+      return;
+    }
+
+    subscription = {
+      key,
+      name,
+      pattern,
+      handlers: new Set([handler]),
+      subscriber: this.selectSubscriber(),
+      client: null,
+      ready: null
+    };
+    subscription.listener = (message, channel) => this.dispatch(subscription, message, channel);
+    subscription.subscriber.subscriptions.add(key);
+    this.subscriptions.set(key, subscription);
+
+    subscription.ready = (async () => {
+      await subscription.subscriber.ready;
+      await this.listen(subscription);
+    })();
+
+    try {
+      await subscription.ready;
+    } catch (error) {
+      // Only forget it if nothing replaced it meanwhile
+      if (this.subscriptions.get(key) === subscription) {
+        this.subscriptions.delete(key);
+        subscription.subscriber.subscriptions.delete(key);
+        this.closeIfEmpty(subscription.subscriber);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Removes one handler, or all handlers, from a channel or pattern
+   *
+   * The Redis subscription is dropped with the last handler, and a
+   * subscriber connection left without subscriptions is closed.
+   *
+   * @async
+   * @param {string} name - Channel or pattern
+   * @param {Function} [handler] - Handler to remove; all of them if omitted
+   * @param {boolean} pattern - Whether name is a pattern (PUNSUBSCRIBE)
+   * @returns {Promise<void>}
+   */
+  async unsubscribe(name, handler, pattern) {
+    const key = `${pattern ? 'pattern' : 'channel'}:${name}`;
+    const subscription = this.subscriptions.get(key);
+    if (!subscription) {
+      return;
+    }
+
+    if (handler) {
+      subscription.handlers.delete(handler);
+    } else {
+      subscription.handlers.clear();
+    }
+    if (subscription.handlers.size > 0) {
+      return;
+    }
+
+    this.subscriptions.delete(key);
+    const { subscriber, client } = subscription;
+    subscriber.subscriptions.delete(key);
+
+    // A connection that is being replaced won't subscribe it again
+    if (client && client === subscriber.client && client.isReady) {
+      const unsubscribe = pattern ? client.pUnsubscribe(name, subscription.listener) : client.unsubscribe(name, subscription.listener);
+      await unsubscribe.catch(() => {});
+    }
+    this.closeIfEmpty(subscriber);
+  }
+
+  /**
+   * Picks the subscriber connection for a new subscription
+   *
+   * Opens another connection while below maxConnections, otherwise takes
+   * the one carrying the fewest subscriptions.
+   *
+   * @private
+   * @returns {Object} Subscriber entry
+   */
+  selectSubscriber() {
+    if (this.subscribers.length < this.maxConnections) {
+      const subscriber = { client: null, subscriptions: new Set(), ready: null, replacing: null };
+      subscriber.ready = this.connect(subscriber, this.maxRetries);
+      // subscribe() reports the failure; don't leave it unhandled meanwhile
+      subscriber.ready.catch(() => {});
+      this.subscribers.push(subscriber);
+      return subscriber;
+    }
+
+    return this.subscribers.reduce((least, subscriber) =>
+      subscriber.subscriptions.size < least.subscriptions.size ? subscriber : least
+    );
+  }
+
+  /**
+   * Opens a client for a subscriber entry, retrying with backoff
+   *
+   * @private
+   * @async
+   * @param {Object} subscriber - Subscriber entry
+   * @param {number} maxRetries - Retries before giving up (Infinity keeps trying until stopped)
+   * @returns {Promise<void>}
+   * @throws {Error} The last connection error once all retries are used up
+   */
+  async connect(subscriber, maxRetries) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const client = await this.openConnection(() => this.replace(subscriber));
+        if (this.isStopped || !this.subscribers.includes(subscriber)) {
+          await client.quit().catch(() => {});
+          throw new Error("Subscriber connection is no longer needed");
+        }
+
+        subscriber.client = client;
+        // Any later 'ready' is a reconnect, after which node-redis has
+        // restored the subscriptions itself
+        client.on('ready', () => {
+          this.stats.resubscribed++;
+          this.emit('resubscribe', { connectionId: client.connectionId, subscriptions: subscriber.subscriptions.size });
+        });
+        return;
+      } catch (error) {
+        if (attempt > maxRetries || this.isStopped || !this.subscribers.includes(subscriber)) {
+          if (this.subscribers.includes(subscriber) && maxRetries !== Infinity) {
+            this.subscribers.splice(this.subscribers.indexOf(subscriber), 1);
+          }
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.getRetryDelay(Math.min(attempt, this.maxRetries))));
+      }
+    }
+  }
+
+  /**
+   * Registers a subscription on its subscriber's current client
+   *
+   * Does nothing if it is already registered there, so a subscription added
+   * while its connection was being replaced isn't registered twice.
+   *
+   * @private
+   * @async
+   * @param {Object} subscription - Subscription entry
+   * @returns {Promise<void>}
+   */
+  async listen(subscription) {
+    const client = subscription.subscriber.client;
+    if (subscription.client === client || this.subscriptions.get(subscription.key) !== subscription) {
+      return;
+    }
+
+    subscription.client = client;
+    if (subscription.pattern) {
+      await client.pSubscribe(subscription.name, subscription.listener);
+    } else {
+      await client.subscribe(subscription.name, subscription.listener);
+    }
+  }
+
+  /**
+   * Replaces a subscriber's client and subscribes everything it carried again
+   *
+   * Called when a client stops reconnecting, and for every subscriber after
+   * a failover. Keeps trying with backoff until it succeeds or the set is
+   * stopped.
+   *
+   * @async
+   * @param {Object} subscriber - Subscriber entry
+   * @returns {Promise<void>}
+   */
+  replace(subscriber) {
+    if (this.isStopped || !this.subscribers.includes(subscriber) || subscriber.replacing) {
+      return subscriber.replacing || Promise.resolve();
+    }
+
+    const previous = subscriber.client;
+    subscriber.client = null;
+    if (previous && previous.isOpen) {
+      previous.disconnect().catch(() => {});
+    }
+    this.emit('replace', {
+      connectionId: previous && previous.connectionId,
+      subscriptions: subscriber.subscriptions.size
+    });
+
+    subscriber.replacing = (async () => {
+      try {
+        subscriber.ready = this.connect(subscriber, Infinity);
+        await subscriber.ready;
+        const subscriptions = [...subscriber.subscriptions]
+          .map(key => this.subscriptions.get(key))
+          .filter(Boolean);
+        await Promise.all(subscriptions.map(subscription => this.listen(subscription)));
+        this.stats.resubscribed++;
+        this.emit('resubscribe', { connectionId: subscriber.client.connectionId, subscriptions: subscriptions.length });
+      } catch (error) {
+        // connect() only gives up once stopped
+        if (!this.isStopped) {
+          this.emit('error', error);
+        }
+      } finally {
+        subscriber.replacing = null;
+      }
+    })();
+    return subscriber.replacing;
+  }
+
+  /**
+   * Replaces every subscriber's client, e.g. after the master moved
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async replaceAll() {
+    await Promise.all(this.subscribers.map(subscriber => this.replace(subscriber)));
+  }
+
+  /**
+   * Calls every handler of a subscription with a message
+   *
+   * A failing handler doesn't stop the others from being called.
+   *
+   * @private
+   * @param {Object} subscription - Subscription entry
+   * @param {string} message - Message payload
+   * @param {string} channel - Channel the message was published on
+   * @returns {void}
+   * @emits SubscriberSet#handlerError - When a handler throws or rejects
+   */
+  dispatch(subscription, message, channel) {
+    this.stats.messages++;
+    const onError = error => this.emit('handlerError', { channel, pattern: subscription.pattern ? subscription.name : null, error });
+
+    for (const handler of [...subscription.handlers]) {
+      try {
+        const result = handler(message, channel);
+        if (result && typeof result.catch === 'function') {
+          result.catch(onError);
+        }
+      } catch (error) {
+        onError(error);
+      }
+    }
+  }
+
+  /**
+   * Closes a subscriber connection once it carries no subscriptions
+   *
+   * @private
+   * @param {Object} subscriber - Subscriber entry
+   * @returns {void}
+   */
+  closeIfEmpty(subscriber) {
+    if (subscriber.subscriptions.size > 0 || !this.subscribers.includes(subscriber)) {
+      return;
+    }
+
+    this.subscribers.splice(this.subscribers.indexOf(subscriber), 1);
+    if (subscriber.client && subscriber.client.isOpen) {
+      subscriber.client.quit().catch(() => {});
+    }
+  }
+
+  /**
+   * Returns subscriber connection and subscription counts
+   *
+   * @returns {Object} Subscriber statistics
+   */
+  getStats() {
+    let channels = 0;
+    let handlers = 0;
+    for (const subscription of this.subscriptions.values()) {
+      if (!subscription.pattern) {
+        channels++;
+      }
+      handlers += subscription.handlers.size;
+    }
+
+    return {
+      connections: this.subscribers.filter(subscriber => subscriber.client).length,
+      channels,
+      patterns: this.subscriptions.size - channels,
+      handlers,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Zeros the message and resubscribe counters
+   *
+   * @returns {void}
+   */
+  resetStats() {
+    for (const key of Object.keys(this.stats)) {
+      this.stats[key] = 0;
+    }
+  }
+
+  /**
+   * Closes every subscriber connection and forgets all subscriptions
+   *
+   * @async
+   * @returns {Promise<number>} Number of connections closed
+   */
+  async stop() {
+    this.isStopped = true;
+    const clients = this.subscribers.map(subscriber => subscriber.client).filter(client => client && client.isOpen);
+    this.subscribers = [];
+    this.subscriptions.clear();
+
+    await Promise.allSettled(clients.map(client => client.quit()));
+    return clients.length;
+  }
+}
@@ -68,8 +68,254 @@
  * // Graceful shutdown
  * process.on('SIGTERM', () => pool.shutdown());
  */
-import { createClient } from "redis";
+import { createClient, WatchError } from "redis";
 import EventEmitter from "events";
+import { Histogram, LatencyWindow, renderMetrics } from "./metrics.js";
+import { SentinelMonitor } from "./sentinel.js";
+import { SubscriberSet } from "./pubsub.js";
+import { AutoPipeline } from "./pipeline.js";
+import { consoleLogger, createLogger } from "./logger.js";
+import { backoffDelay } from "./backoff.js";
+import { booleanOption, numberOption, stringOption } from "./options.js";
+import {
+  AbortError,
+  CircuitOpenError,
+  ConnectionCreateError,
+  InvalidOptionError,
+  PoolClosedError,
+  PoolExhaustedError,
+  PoolTimeoutError,
+  RedisPoolError,
+  TransactionConflictError
+} from "./errors.js";
+
+/**
+ * Acquisition priority lanes; lower rank is served first
+ * 
+ * @private
+ * @type {Object<string, number>}
+ */
+const PRIORITIES = {
+  high: 0,
+  normal: 1,
+  low: 2
+};
+
+/**
+ * Built-in replica selection strategies
+ * 
+ * Each receives the replica pools currently in rotation and returns one.
+ * 'round-robin' is given a running counter as its second argument.
+ * 
+ * @private
+ * @type {Object<string, Function>}
+ */
+const REPLICA_STRATEGIES = {
+  'round-robin': (pools, counter) => pools[counter % pools.length],
+  'least-busy': (pools) => pools.reduce((best, pool) =>
+    pool.busyConnections.size + pool.waitingQueue.length < best.busyConnections.size + best.waitingQueue.length
+      ? pool
+      : best
+  )
+};
+
+/**
+ * Parses the text returned by INFO into an object of fields
+ * 
+ * @private
+ * @param {string} info - INFO reply
+ * @returns {Object<string, string>} Field values by name
+ */
+function parseInfo(info) {
+  const fields = {};
+  for (const line of info.split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0 && !line.startsWith('#')) {
+      fields[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Histogram bucket upper bounds for auto-pipelined batch sizes, in commands
+ * 
+ * @private
+ * @type {number[]}
+ */
+const BATCH_SIZE_BUCKETS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000];
+
+/**
+ * Names the `commands` proxy leaves undefined besides Object.prototype's
+ * 
+ * Promise and JSON code probe for these; a function under `then` would
+ * make the proxy a thenable, so `await pool.commands` would send THEN.
+ * 
+ * @private
+ * @type {Set<string>}
+ */
+const NON_COMMAND_PROPERTIES = new Set(['then', 'catch', 'finally', 'toJSON']);
+
+/**
+ * Glob characters that make subscribe() treat a name as a pattern
+ * 
+ * @private
+ * @type {RegExp}
+ */
+const PATTERN_CHARS = /[*?[]/;
+
+/**
+ * Largest share of maxLifetimeMillis taken off a connection's lifetime at
+ * random, so connections opened together don't all expire together
+ * 
+ * @private
+ * @type {number}
+ */
+const LIFETIME_JITTER = 0.1;
+
+/**
+ * Option key that makes the constructor stop after checking its options
+ * 
+ * @private
+ * @type {symbol}
+ */
+const VALIDATE_ONLY = Symbol('validateOnly');
+
+/**
+ * Commands that leave per-connection session state behind, by the kind of
+ * state they change
+ *
+ * 'db', 'watch', 'multi' and 'name' can be undone with targeted commands;
+ * 'client' is state only RESET undoes, such as tracking or another user.
+ *
+ * @private
+ * @type {Object<string, string>}
+ */
+const SESSION_COMMANDS = {
+  SELECT: 'db',
+  WATCH: 'watch',
+  MULTI: 'multi',
+  AUTH: 'client',
+  HELLO: 'client',
+  READONLY: 'client',
+  READWRITE: 'client',
+  RESET: 'client'
+};
+
+/**
+ * CLIENT subcommands that leave session state behind, by kind
+ *
+ * @private
+ * @type {Object<string, string>}
+ */
+const SESSION_CLIENT_SUBCOMMANDS = {
+  SETNAME: 'name',
+  TRACKING: 'client',
+  REPLY: 'client',
+  'NO-EVICT': 'client',
+  'NO-TOUCH': 'client'
+};
+
+/**
+ * Typed client methods that send session commands, with the arguments
+ * recorded for them
+ *
+ * These bypass client.sendCommand(), so they are wrapped one by one.
+ *
+ * @private
+ * @type {Object<string, string[]>}
+ */
+const SESSION_METHODS = {
+  SELECT: ['SELECT'],
+  select: ['SELECT'],
+  WATCH: ['WATCH'],
+  watch: ['WATCH'],
+  UNWATCH: ['UNWATCH'],
+  unwatch: ['UNWATCH'],
+  AUTH: ['AUTH'],
+  auth: ['AUTH'],
+  HELLO: ['HELLO'],
+  hello: ['HELLO'],
+  READONLY: ['READONLY'],
+  readonly: ['READONLY'],
+  READWRITE: ['READWRITE'],
+  readwrite: ['READWRITE'],
+  CLIENT_SETNAME: ['CLIENT', 'SETNAME'],
+  clientSetName: ['CLIENT', 'SETNAME'],
+  CLIENT_TRACKING: ['CLIENT', 'TRACKING'],
+  clientTracking: ['CLIENT', 'TRACKING'],
+  'CLIENT_NO-EVICT': ['CLIENT', 'NO-EVICT'],
+  clientNoEvict: ['CLIENT', 'NO-EVICT'],
+  'CLIENT_NO-TOUCH': ['CLIENT', 'NO-TOUCH'],
+  clientNoTouch: ['CLIENT', 'NO-TOUCH']
+};
+
+/**
+ * Makes a pooled client record the session state its commands leave behind
+ *
+ * client.sessionState collects the kinds of state changed since the
+ * connection was last clean; EXEC, DISCARD and UNWATCH remove what they end.
+ * Commands sent inside client.multi() aren't seen.
+ *
+ * @private
+ * @param {Object} client - Redis client
+ * @returns {void}
+ */
+function trackSessionState(client) {
+  client.sessionState = new Set();
+
+  const record = (args) => {
+    const command = String(args[0]).toUpperCase();
+    if (command === 'EXEC' || command === 'DISCARD') {
+      client.sessionState.delete('multi');
+      client.sessionState.delete('watch');
+    } else if (command === 'UNWATCH') {
+      client.sessionState.delete('watch');
+    } else {
+      const kind = command === 'CLIENT'
+        ? SESSION_CLIENT_SUBCOMMANDS[String(args[1]).toUpperCase()]
+        : SESSION_COMMANDS[command];
+      if (kind) {
+        client.sessionState.add(kind);
+      }
+    }
+  };
+
+  const sendCommand = client.sendCommand;
+  client.sendCommand = function (args, options) {
+    record(args);
+    return sendCommand.call(this, args, options);
+  };
+
+  for (const [method, args] of Object.entries(SESSION_METHODS)) {
+    const original = client[method];
+    if (typeof original === 'function') {
+      client[method] = function (...params) {
+        record(args);
+        return original.apply(this, params);
+      };
+    }
+  }
+}
+
+/**
+ * Ends any MULTI and WATCH open on a connection
+ *
+ * @private
+ * @async
+ * @param {Object} client - Redis client
+ * @returns {Promise<void>}
+ * @throws {Error} If either command failed
+ */
+async function discardTransaction(client) {
+  // DISCARD without an open MULTI is an error reply, which is fine here
+  await client.sendCommand(['DISCARD']).catch(error => {
+    if (!/DISCARD without MULTI/.test(error.message)) {
+      throw error;
+    }
+  });
+  await client.sendCommand(['UNWATCH']);
+}
 
 /**
  * RedisPoolManager - A robust Redis connection pool manager
@@ -104,7 +350,32 @@ import EventEmitter from "events";
  * ```
  * 
  * @fires RedisPoolManager#ready - Emitted when the pool is initialized and ready
- * @fires RedisPoolManager#error - Emitted when pool-level errors occur
+ * @fires RedisPoolManager#error - Emitted when a startup round failed to open any connection; the pool keeps retrying
+ * @fires RedisPoolManager#leak - Emitted when a connection is held past leakDetectionThreshold
+ * @fires RedisPoolManager#evict - Emitted when an idle connection is closed by the evictor
+ * @fires RedisPoolManager#retire - Emitted when a connection is closed for reaching maxLifetimeMillis or maxUsesPerConnection, or for resize()
+ * @fires RedisPoolManager#resize - Emitted when resize() changed the pool's bounds
+ * @fires RedisPoolManager#healthcheck - Emitted after each health check with pass/fail counts
+ * @fires RedisPoolManager#retry - Emitted before each connection creation retry
+ * @fires RedisPoolManager#create - Emitted when a new connection is ready and has gone to a caller or the available set
+ * @fires RedisPoolManager#destroy - Emitted when a connection has been closed by the pool
+ * @fires RedisPoolManager#acquire - Emitted when a connection is handed to a caller
+ * @fires RedisPoolManager#release - Emitted when a caller releases a connection
+ * @fires RedisPoolManager#enqueue - Emitted when a caller has to wait for a connection
+ * @fires RedisPoolManager#timeout - Emitted when a waiting caller times out
+ * @fires RedisPoolManager#drain - Emitted when the waiting queue becomes empty
+ * @fires RedisPoolManager#connectionError - Emitted when a connection reports an error
+ * @fires RedisPoolManager#reconnecting - Emitted when a connection starts reconnecting
+ * @fires RedisPoolManager#failover - Emitted when Sentinel reports a new master and the pool repoints to it
+ * @fires RedisPoolManager#replicaDown - Emitted when a replica is taken out of read rotation
+ * @fires RedisPoolManager#replicaUp - Emitted when a replica is put back into read rotation
+ * @fires RedisPoolManager#endpointDown - Emitted when an endpoint is marked down after repeated connection failures
+ * @fires RedisPoolManager#circuitOpen - Emitted when repeated connection failures open the circuit breaker
+ * @fires RedisPoolManager#circuitHalfOpen - Emitted when the breaker lets a probe connection through after its cooldown
+ * @fires RedisPoolManager#circuitClose - Emitted when a successful connection closes the breaker again
+ * @fires RedisPoolManager#resubscribe - Emitted when a subscriber connection restored its subscriptions
+ * @fires RedisPoolManager#subscriberError - Emitted when a subscribe() handler throws or rejects
+ * @fires RedisPoolManager#transactionRetry - Emitted before a transaction() is retried after a conflict
  */
 class RedisPoolManager extends EventEmitter {
   /**
@@ -115,27 +386,104 @@ class RedisPoolManager extends EventEmitter {
    * @param {number} [config.port=6379] - Redis server port
    * @param {string} [config.password] - Redis authentication password
    * @param {number} [config.db=0] - Redis database number
+   * @param {Array<{host: string, port: number, weight?: number}>} [config.endpoints] - Standalone endpoints to spread or fail over new connections across
    * @param {Object} [options={}] - Pool management options
+   * @param {string} [options.name='default'] - Pool name, used as the `pool` label in metrics
    * @param {number} [options.maxConnections=10] - Maximum number of connections in pool
-   * @param {number} [options.minConnections=2] - Minimum number of connections to maintain
+   * @param {number} [options.minConnections=2] - Minimum number of connections to maintain (at most maxConnections)
+   * @param {number} [options.reservedConnections=0] - Connections only 'high' priority callers may use
    * @param {number} [options.connectionTimeout=30000] - Timeout in ms when acquiring connections
-   * @param {number} [options.retryDelay=1000] - Delay in ms between connection retry attempts
+   * @param {number} [options.retryDelay=1000] - Base delay in ms between connection retry attempts (doubles per attempt, with jitter)
    * @param {number} [options.maxRetries=5] - Maximum number of connection retry attempts
+   * @param {number} [options.leakDetectionThreshold=0] - Emit 'leak' when a connection is held longer than this many ms (0 disables)
+   * @param {number} [options.idleTimeoutMillis=30000] - Idle time in ms after which an available connection may be evicted
+   * @param {number} [options.evictionRunIntervalMillis=0] - How often in ms the evictor runs (0 disables eviction)
+   * @param {number} [options.maxLifetimeMillis=0] - Retire connections older than this many ms, less up to 10% jitter each (0 disables)
+   * @param {number} [options.maxUsesPerConnection=0] - Retire connections after this many acquisitions (0 disables)
+   * @param {number} [options.healthCheckInterval=0] - How often in ms the pool runs healthCheck() itself (0 disables)
+   * @param {boolean} [options.testOnBorrow=false] - Validate connections before acquireConnection() hands them out
+   * @param {boolean} [options.testOnReturn=false] - Validate connections before releaseConnection() puts them back
+   * @param {function(Object): (boolean|Promise<boolean>)} [options.validator] - Custom validation, resolving true when usable (defaults to PING)
+   * @param {Object} [options.logger] - Logger with debug/info/warn/error methods called as (fields, message); defaults to the console
+   * @param {string} [options.logLevel='info'] - Minimum level to log: 'debug', 'info', 'warn', 'error' or 'silent'
+   * @param {number} [options.statsWindowMillis=60000] - Rolling window in ms for the latency percentiles in getStats()
+   * @param {number} [options.statsMaxSamples=1024] - Maximum latency samples kept per window
+   * @param {Object} [options.sentinel] - Resolve the master through Redis Sentinel instead of config host/port
+   * @param {Array<{host: string, port: number}>} options.sentinel.sentinels - Sentinels to query, in order of preference
+   * @param {string} options.sentinel.masterName - Name of the master the sentinels monitor
+   * @param {Object} [options.sentinel.sentinelConfig] - Redis client options for the sentinel connections (password, TLS, ...)
+   * @param {Object[]} [options.replicas=[]] - Redis client configs of read replicas, each given its own sub-pool
+   * @param {string|Function} [options.replicaStrategy='round-robin'] - 'round-robin', 'least-busy', or a function picking one of the replica pools in rotation
+   * @param {number} [options.maxReplicaLag=0] - Take a replica out of rotation when its replication offset trails the primary by more than this many bytes (0 disables)
+   * @param {string} [options.endpointStrategy='ordered'] - 'ordered' uses the first endpoint that is up; 'weighted' spreads connections by endpoint weight
+   * @param {number} [options.endpointFailureThreshold=3] - Consecutive connection failures that mark an endpoint down
+   * @param {number} [options.endpointCooldownMillis=30000] - How long in ms an endpoint stays marked down
+   * @param {number} [options.circuitBreakerThreshold=0] - Connection failures within the window that open the circuit breaker (0 disables it)
+   * @param {number} [options.circuitBreakerWindowMillis=10000] - Window in ms over which connection failures are counted
+   * @param {number} [options.circuitBreakerCooldownMillis=30000] - How long in ms the circuit stays open before a probe connection is tried
+   * @param {number} [options.maxSubscriberConnections=1] - Maximum dedicated connections for subscribe(), shared by all subscriptions
+   * @param {number} [options.pipelineMaxBatchSize=100] - Most commands execute() sends in one pipeline
+   * @param {number} [options.pipelineFlushIntervalMillis=0] - How long in ms execute() collects commands before sending them (0 sends at the end of the current event-loop turn)
+   * @param {number} [options.blockingMaxConnections=0] - Size limit of a separate sub-pool for blocking commands (0 disables it)
+   * @param {number} [options.blockingMinConnections=1] - Connections the blocking sub-pool keeps open
+   * @param {number} [options.blockingConnectionTimeout=connectionTimeout] - Timeout in ms when acquiring from the blocking sub-pool
+   * @param {number} [options.transactionRetries=5] - Times transaction() retries after watched keys changed
+   * @param {number} [options.transactionRetryDelay=10] - Base delay in ms between transaction() retries (doubles per attempt, with jitter)
+   * @throws {InvalidOptionError} If an option has the wrong type or is out of range, or options contradict each other (code 'EINVALIDOPTION')
    */
   constructor(config, options = {}) {
     super();
     
     // Store configuration
     this.config = config;
+    this.name = stringOption(options, 'name', 'default');
+    
+    // Logging configuration
+    this.logLevel = options.logLevel ?? 'info';
+    this.logger = createLogger(options.logger || consoleLogger, this.logLevel);
     
     // Pool sizing configuration
-    this.maxConnections = options.maxConnections || 10;
-    this.minConnections = options.minConnections || 2;
+    this.maxConnections = numberOption(options, 'maxConnections', 10, { min: 1, integer: true });
+    // Default to 2, but never more than a small maxConnections allows
+    this.minConnections = numberOption(options, 'minConnections', Math.min(2, this.maxConnections), { integer: true });
+    if (this.minConnections > this.maxConnections) {
+      throw new InvalidOptionError('minConnections', `minConnections (${this.minConnections}) cannot be greater than maxConnections (${this.maxConnections})`);
+    }
+    this.reservedConnections = numberOption(options, 'reservedConnections', 0, { integer: true });
+    if (this.reservedConnections >= this.maxConnections) {
+      throw new InvalidOptionError('reservedConnections', `reservedConnections (${this.reservedConnections}) must be less than maxConnections (${this.maxConnections})`);
+    }
     
     // Timeout and retry configuration
-    this.connectionTimeout = options.connectionTimeout || 30000;
-    this.retryDelay = options.retryDelay || 1000;
-    this.maxRetries = options.maxRetries || 5;
+    this.connectionTimeout = numberOption(options, 'connectionTimeout', 30000);
+    this.retryDelay = numberOption(options, 'retryDelay', 1000);
+    this.maxRetries = numberOption(options, 'maxRetries', 5, { integer: true });
+    this.transactionRetries = numberOption(options, 'transactionRetries', 5, { integer: true });
+    this.transactionRetryDelay = numberOption(options, 'transactionRetryDelay', 10);
+    
+    // Leak detection configuration
+    this.leakDetectionThreshold = numberOption(options, 'leakDetectionThreshold', 0);
+    
+    // Idle eviction configuration
+    this.idleTimeoutMillis = numberOption(options, 'idleTimeoutMillis', 30000);
+    this.evictionRunIntervalMillis = numberOption(options, 'evictionRunIntervalMillis', 0);
+    /** @type {NodeJS.Timeout|null} Background evictor timer */
+    this.evictionTimer = null;
+    
+    // Connection recycling configuration
+    this.maxLifetimeMillis = numberOption(options, 'maxLifetimeMillis', 0);
+    this.maxUsesPerConnection = numberOption(options, 'maxUsesPerConnection', 0, { integer: true });
+    
+    // Health check and validation configuration
+    this.healthCheckInterval = numberOption(options, 'healthCheckInterval', 0);
+    this.testOnBorrow = booleanOption(options, 'testOnBorrow', false);
+    this.testOnReturn = booleanOption(options, 'testOnReturn', false);
+    this.validator = options.validator ?? null;
+    if (this.validator !== null && typeof this.validator !== 'function') {
+      throw new InvalidOptionError('validator', "validator must be a function");
+    }
+    /** @type {NodeJS.Timeout|null} Scheduled health check timer */
+    this.healthCheckTimer = null;
     
     // Connection tracking collections
     /** @type {Set<Object>} Available connections ready for use */
@@ -144,9 +492,17 @@ class RedisPoolManager extends EventEmitter {
     this.busyConnections = new Set();
     /** @type {Map<string, Promise>} Pending connection creation promises */
     this.connectionPromises = new Map();
+    /** @type {Array<Object>} Callers waiting for a connection, highest priority then oldest first */
+    this.waitingQueue = [];
+    /** @type {boolean} Whether released connections are cleaned with RESET; cleared once the server rejects it */
+    this.supportsReset = true;
     
     // Pool state management
     this.isShuttingDown = false;
+    /** @type {Promise<Object>|null} Result of the first shutdown() call */
+    this.shutdownPromise = null;
+    /** @type {Function|null} Called when the last busy connection leaves during shutdown */
+    this.onBusyDrained = null;
     
     // Statistics tracking
     this.stats = {
@@ -154,307 +510,2325 @@ class RedisPoolManager extends EventEmitter {
       destroyed: 0,    // Total connections destroyed
       acquired: 0,     // Total connection acquisitions
       released: 0,     // Total connection releases
-      errors: 0        // Total connection errors encountered
+      errors: 0,       // Total connection errors encountered
+      evicted: 0,      // Total idle connections evicted
+      retired: 0,      // Total connections retired for age or use count
+      dirtyRelease: 0  // Releases of connections with session state left on them
     };
     
+    // Histograms for metrics export: latencies in milliseconds, batch sizes in commands
+    this.histograms = {
+      acquireWait: new Histogram(),                   // acquireConnection() call until hand-out
+      holdTime: new Histogram(),                      // Acquire until releaseConnection()
+      batchSize: new Histogram(BATCH_SIZE_BUCKETS)    // Commands per auto-pipelined batch
+    };
+    
+    // Rolling windows for percentiles in getStats()
+    this.statsWindowMillis = numberOption(options, 'statsWindowMillis', 60000, { min: 1 });
+    this.statsMaxSamples = numberOption(options, 'statsMaxSamples', 1024, { min: 1, integer: true });
+    this.latency = {
+      acquireWait: new LatencyWindow(this.statsWindowMillis, this.statsMaxSamples),
+      holdTime: new LatencyWindow(this.statsWindowMillis, this.statsMaxSamples),
+      batchSize: new LatencyWindow(this.statsWindowMillis, this.statsMaxSamples)
+    };
+    
+    // Circuit breaker configuration
+    this.circuitBreakerThreshold = numberOption(options, 'circuitBreakerThreshold', 0, { integer: true });
+    this.circuitBreakerWindowMillis = numberOption(options, 'circuitBreakerWindowMillis', 10000, { min: 1 });
+    this.circuitBreakerCooldownMillis = numberOption(options, 'circuitBreakerCooldownMillis', 30000);
+    this.circuit = {
+      state: 'closed',   // 'closed', 'open' or 'half-open'
+      failures: [],      // Timestamps of recent connection failures
+      openedAt: 0,       // When the circuit last opened
+      probing: false,    // Whether the half-open probe is in flight
+      opened: 0,         // Times the circuit has opened
+      rejected: 0        // Connection attempts refused while open
+    };
+    
+    // Endpoint list configuration
+    this.endpointStrategy = options.endpointStrategy ?? 'ordered';
+    if (this.endpointStrategy !== 'ordered' && this.endpointStrategy !== 'weighted') {
+      throw new InvalidOptionError('endpointStrategy', `Invalid endpointStrategy "${this.endpointStrategy}", expected 'ordered' or 'weighted'`);
+    }
+    this.endpointFailureThreshold = numberOption(options, 'endpointFailureThreshold', 3, { min: 1, integer: true });
+    this.endpointCooldownMillis = numberOption(options, 'endpointCooldownMillis', 30000);
+    /** @type {Array<Object>} Configured endpoints with their failure state */
+    this.endpoints = ((config && config.endpoints) || []).map(({ host, port, weight = 1 }) => ({
+      id: `${host}:${port}`,
+      host,
+      port,
+      weight,
+      connecting: 0,
+      failures: 0,
+      downUntil: 0
+    }));
+    if (this.endpoints.length > 0 && options.sentinel) {
+      throw new InvalidOptionError('sentinel', "config.endpoints and options.sentinel cannot be used together");
+    }
+    
+    // Sentinel configuration
+    /** @type {SentinelMonitor|null} Master discovery, when options.sentinel is set */
+    this.sentinel = options.sentinel ? new SentinelMonitor(options.sentinel) : null;
+    /** @type {{host: string, port: number}|null} Current master address in Sentinel mode */
+    this.masterAddress = null;
+    /** @type {Promise<Object>|null} Master lookup in flight, shared by concurrent callers */
+    this.masterPromise = null;
+    /** @type {number} Bumped on every failover; connections from older generations are retired */
+    this.generation = 0;
+    
+    // Read replica configuration
+    this.replicaStrategy = options.replicaStrategy ?? 'round-robin';
+    if (typeof this.replicaStrategy !== 'function' && !(this.replicaStrategy in REPLICA_STRATEGIES)) {
+      throw new InvalidOptionError('replicaStrategy', `Invalid replicaStrategy "${this.replicaStrategy}", expected a function or one of: ${Object.keys(REPLICA_STRATEGIES).join(', ')}`);
+    }
+    this.maxReplicaLag = numberOption(options, 'maxReplicaLag', 0);
+    /** @type {number} Round-robin position */
+    this.replicaCounter = 0;
+    /** @type {WeakMap<Object, RedisPoolManager>} Sub-pool (replica or blocking) of each connection handed out from one */
+    this.subPoolOwners = new WeakMap();
+    
+    // Blocking sub-pool configuration
+    this.blockingMinConnections = numberOption(options, 'blockingMinConnections', 1, { integer: true });
+    this.blockingMaxConnections = numberOption(options, 'blockingMaxConnections', 0, { integer: true });
+    this.blockingConnectionTimeout = numberOption(options, 'blockingConnectionTimeout', this.connectionTimeout);
+    if (this.blockingMaxConnections > 0 && this.blockingMinConnections > this.blockingMaxConnections) {
+      throw new InvalidOptionError('blockingMinConnections', `blockingMinConnections (${this.blockingMinConnections}) cannot be greater than blockingMaxConnections (${this.blockingMaxConnections})`);
+    }
+    // Auto-pipelining configuration
+    this.pipelineMaxBatchSize = numberOption(options, 'pipelineMaxBatchSize', 100, { min: 1, integer: true });
+    this.pipelineFlushIntervalMillis = numberOption(options, 'pipelineFlushIntervalMillis', 0);
+    /** @type {AutoPipeline} Batches execute() commands into pipelines */
+    this.pipeline = new AutoPipeline({
+      withConnection: fn => this.withConnection(fn),
+      maxBatchSize: this.pipelineMaxBatchSize,
+      flushIntervalMillis: this.pipelineFlushIntervalMillis,
+      onBatch: size => this.recordBatchSize(size)
+    });
+    /** @type {Object|null} Lazily created proxy behind the commands getter */
+    this.commandsProxy = null;
+    
+    // Pub/Sub configuration
+    this.maxSubscriberConnections = numberOption(options, 'maxSubscriberConnections', 1, { min: 1, integer: true });
+    /** @type {SubscriberSet} Dedicated subscriber connections, outside the pool */
+    this.subscribers = new SubscriberSet({
+      openConnection: onGiveUp => this.openSubscriberConnection(onGiveUp),
+      maxConnections: this.maxSubscriberConnections,
+      maxRetries: this.maxRetries,
+      getRetryDelay: attempt => this.getRetryDelay(attempt)
+    });
+    this.subscribers.on('resubscribe', (info) => {
+      this.logger.info({ event: 'resubscribe', ...info }, 'Restored Redis subscriptions');
+      this.emit('resubscribe', info);
+    });
+    this.subscribers.on('replace', (info) => {
+      this.logger.warn({ event: 'resubscribe', ...info }, 'Replacing Redis subscriber connection');
+    });
+    this.subscribers.on('handlerError', (info) => {
+      this.logger.error({ event: 'subscriberError', channel: info.channel, err: info.error }, 'Redis subscription handler failed');
+      this.emit('subscriberError', info);
+    });
+    this.subscribers.on('error', (error) => {
+      this.logger.error({ event: 'resubscribe', err: error }, 'Failed to restore Redis subscriptions');
+    });
+    
+    // Everything is checked; validateOptions() stops before anything connects
+    if (options[VALIDATE_ONLY]) {
+      return;
+    }
+    
+    // Sub-pools start connecting as soon as they exist, so they come last
+    /** @type {Array<Object>} Replica sub-pools with their rotation state */
+    this.replicas = (options.replicas || []).map((replicaConfig, index) => ({
+      pool: new RedisPoolManager(replicaConfig, {
+        ...options,
+        name: `${this.name}/replica-${index}`,
+        replicas: [],
+        blockingMaxConnections: 0,
+        sentinel: null,
+        // The primary's health checks cover its replicas
+        healthCheckInterval: 0
+      }),
+      healthy: true,
+      lag: null
+    }));
+    /** @type {RedisPoolManager|null} Separate pool for blocking commands, when blockingMaxConnections is set */
+    this.blockingPool = this.blockingMaxConnections > 0
+      ? new RedisPoolManager(config, {
+        ...options,
+        name: `${this.name}/blocking`,
+        minConnections: this.blockingMinConnections,
+        maxConnections: this.blockingMaxConnections,
+        connectionTimeout: this.blockingConnectionTimeout,
+        reservedConnections: 0,
+        replicas: [],
+        blockingMaxConnections: 0,
+        // Holding a connection for a long time is what this pool is for
+        leakDetectionThreshold: 0,
+        // The main pool's health checks cover the blocking pool
+        healthCheckInterval: 0
+      })
+      : null;
+    
     // Start pool initialization
     this.initializePool();
+    this.startEvictor();
+    this.startHealthChecks();
+    this.startSentinel();
+  }
+
+  /**
+   * Checks pool options the way the constructor does, without creating a pool
+   * 
+   * For RedisClusterPoolManager, whose per-master pools are only created
+   * once the topology is known.
+   * 
+   * @private
+   * @param {Object} [options={}] - Pool options
+   * @returns {void}
+   * @throws {InvalidOptionError} If an option is invalid (code 'EINVALIDOPTION')
+   */
+  static validateOptions(options = {}) {
+    new RedisPoolManager({}, { ...options, [VALIDATE_ONLY]: true });
   }
 
   /**
    * Initializes the connection pool by creating the minimum required connections
    * 
    * This method is called automatically during construction and creates the
-   * minimum number of connections specified in the configuration. It emits
-   * 'ready' event when successful or 'error' event if initialization fails.
+   * minimum number of connections specified in the configuration. Each
+   * connection retries on its own; if a whole round still leaves the pool
+   * empty, initialization backs off and tries again until at least one
+   * connection exists. It emits 'ready' as soon as the pool is usable, even
+   * if some of the minimum connections could not be created yet.
    * 
    * @private
    * @async
    * @returns {Promise<void>}
    * @emits RedisPoolManager#ready - When pool initialization is complete
-   * @emits RedisPoolManager#error - When pool initialization fails
+   * @emits RedisPoolManager#error - After each round that left the pool empty, if anyone listens
    */
   async initializePool() {
-    console.log(` Initializing Redis connection pool (min: ${this.minConnections}, max: ${this.maxConnections})`);
+    this.logger.info({
+      event: 'init',
+      minConnections: this.minConnections,
+      maxConnections: this.maxConnections
+    }, 'Initializing Redis connection pool');
     
-    // Create minimum connections concurrently for faster startup
-    const initPromises = [];
-    for (let i = 0; i < this.minConnections; i++) {
-      initPromises.push(this.createConnection());
+    for (let round = 1; !this.isShuttingDown; round++) {
+      // Create minimum connections concurrently for faster startup
+      const initPromises = [];
+      for (let i = this.getCommittedConnections(); i < this.minConnections; i++) {
+        initPromises.push(this.createIdleConnection());
+      }
+      
+      // Creations already in flight for callers decide this round too
+      const results = await Promise.allSettled(new Set([...initPromises, ...this.connectionPromises.values()]));
+      const failures = results.filter(result => result.status === 'rejected');
+      
+      if (this.getTotalConnections() > 0 || this.minConnections === 0) {
+        if (failures.length > 0) {
+          this.logger.warn({
+            event: 'init',
+            missing: failures.length,
+            minConnections: this.minConnections,
+            err: failures[0].reason
+          }, 'Redis pool started below its minimum size');
+        }
+        this.logger.info({
+          event: 'ready',
+          connections: this.availableConnections.size
+        }, 'Redis pool initialized');
+        this.emit('ready');
+        return;
+      }
+      
+      // Nothing connected at all; back off before the next round, and don't
+      // spin while the circuit breaker is refusing attempts anyway
+      const backoff = this.getRetryDelay(Math.min(round, this.maxRetries));
+      const reason = failures[0].reason;
+      const delay = reason instanceof CircuitOpenError ? Math.max(backoff, reason.retryAt - Date.now()) : backoff;
+      this.logger.error({
+        event: 'init',
+        delay,
+        err: failures[0].reason
+      }, 'Failed to initialize Redis pool, retrying');
+      // The pool keeps retrying, so an unhandled 'error' must not crash the process
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', reason instanceof RedisPoolError ? reason : new ConnectionCreateError(reason));
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
     }
-    
-    try {
-      await Promise.all(initPromises);
-      console.log(`Redis pool initialized with ${this.availableConnections.size} connections`);
-      this.emit('ready');
-    } catch (error) {
-      console.error("Failed to initialize Redis pool:", error);
-      this.emit('error', error);
+  }
+
+  /**
+   * Computes the backoff delay before a retry attempt, see backoffDelay()
+   * 
+   * @private
+   * @param {number} attempt - Retry attempt number, starting at 1
+   * @param {number} [initialDelay=this.retryDelay] - Delay in ms before the first retry
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt, initialDelay = this.retryDelay) {
+    return backoffDelay(attempt, initialDelay);
+  }
+
+  /**
+   * Creates a new Redis connection, retrying with exponential backoff
+   * 
+   * Makes up to maxRetries further attempts after the first one fails,
+   * waiting getRetryDelay() between them. Gives up early if the pool
+   * starts shutting down or the circuit breaker opens. The creation is
+   * tracked in connectionPromises until it settles, so capacity checks
+   * count it against maxConnections.
+   * 
+   * The new client belongs to nobody until claim() runs, which happens
+   * synchronously once it is connected, so no other caller can take it
+   * in between.
+   * 
+   * @private
+   * @async
+   * @param {function(Object): void} claim - Puts the connected client in the available or busy set
+   * @returns {Promise<Object>} Redis client instance with additional pool metadata
+   * @throws {Error} The last connection error once all retries are used up
+   * @throws {CircuitOpenError} While the circuit breaker is open (code 'ECIRCUITOPEN')
+   * @emits RedisPoolManager#retry - Before each retry, with attempt number, error and delay
+   * @emits RedisPoolManager#create - Once the new client has been claimed
+   */
+  createConnection(claim) {
+    const creationId = `create_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const promise = this.connectWithRetries(client => {
+      // From here on it counts as an open connection rather than a creation
+      this.connectionPromises.delete(creationId);
+      claim(client);
+    }).finally(() => {
+      this.connectionPromises.delete(creationId);
+    });
+    this.connectionPromises.set(creationId, promise);
+    return promise;
+  }
+
+  /**
+   * Creates a connection for the pool itself rather than for one caller
+   * 
+   * Callers may have queued while it was being created, so it goes to the
+   * first waiter if there is one.
+   * 
+   * @private
+   * @async
+   * @returns {Promise<Object>} Redis client, handed out or available
+   * @throws {Error} As createConnection()
+   */
+  createIdleConnection() {
+    return this.createConnection(client => this.handOffConnection(client));
+  }
+
+  /**
+   * Counts connections open or being opened, against maxConnections
+   * 
+   * @private
+   * @returns {number} Open connections plus creations in flight
+   */
+  getCommittedConnections() {
+    return this.getTotalConnections() + this.connectionPromises.size;
+  }
+
+  /**
+   * Connection attempts with retries, for createConnection()
+   * 
+   * @private
+   * @async
+   * @param {function(Object): void} claim - Called with the client as soon as it is connected
+   * @returns {Promise<Object>} Redis client instance with additional pool metadata
+   * @throws {Error} The last connection error, or CircuitOpenError
+   */
+  async connectWithRetries(claim) {
+    for (let attempt = 1; ; attempt++) {
+      this.enterCircuit();
+      try {
+        const connectStart = Date.now();
+        const client = await this.openConnection();
+        this.recordCircuitSuccess();
+        claim(client);
+        // Only once it has an owner, so listeners can't take a connection promised to someone else
+        this.emit('create', { connectionId: client.connectionId, connectTime: client.createdAt - connectStart });
+        return client;
+      } catch (error) {
+        if (!this.isShuttingDown) {
+          this.recordCircuitFailure();
+        }
+        if (attempt > this.maxRetries || this.isShuttingDown || this.circuit.state === 'open') {
+          throw error;
+        }
+        
+        const delay = this.getRetryDelay(attempt);
+        this.emit('retry', { attempt, error, delay });
+        await new Promise(resolve => setTimeout(resolve, delay));
+        
+        // The master may have moved; ask the sentinels again before retrying
+        if (this.sentinel) {
+          await this.resolveMaster().catch(() => {});
+        }
+      }
+    }
+  }
+
+  /**
+   * Lets a connection attempt through the circuit breaker, or refuses it
+   * 
+   * Closed lets everything through. Open refuses everything until the
+   * cooldown has passed, then turns half-open, where a single probe is let
+   * through and every other attempt is refused until it settles.
+   * 
+   * @private
+   * @returns {void}
+   * @throws {CircuitOpenError} If the attempt is refused (code 'ECIRCUITOPEN')
+   * @emits RedisPoolManager#circuitHalfOpen - When the cooldown is over
+   */
+  enterCircuit() {
+    const circuit = this.circuit;
+    if (this.circuitBreakerThreshold <= 0 || circuit.state === 'closed') {
+      return;
+    }
+
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= this.circuitBreakerCooldownMillis) {
+      this.setCircuitState('half-open', {});
+    }
+    if (circuit.state === 'half-open' && !circuit.probing) {
+      circuit.probing = true;
+      return;
+    }
+
+    circuit.rejected++;
+    throw new CircuitOpenError(circuit.openedAt + this.circuitBreakerCooldownMillis);
+  }
+
+  /**
+   * Records a successful connect, closing the circuit if it wasn't already
+   * 
+   * @private
+   * @returns {void}
+   * @emits RedisPoolManager#circuitClose - If the circuit was open or half-open
+   */
+  recordCircuitSuccess() {
+    const circuit = this.circuit;
+    if (this.circuitBreakerThreshold <= 0) {
+      return;
     }
+
+    circuit.failures = [];
+    if (circuit.state !== 'closed') {
+      circuit.probing = false;
+      this.setCircuitState('closed', {});
+    }
+  }
+
+  /**
+   * Records a failed connect, opening the circuit at the threshold or when a probe fails
+   * 
+   * @private
+   * @returns {void}
+   * @emits RedisPoolManager#circuitOpen - When the circuit opens
+   */
+  recordCircuitFailure() {
+    const circuit = this.circuit;
+    if (this.circuitBreakerThreshold <= 0 || circuit.state === 'open') {
+      return;
+    }
+
+    const now = Date.now();
+    circuit.failures = circuit.failures.filter(time => now - time < this.circuitBreakerWindowMillis);
+    circuit.failures.push(now);
+
+    if (circuit.state === 'half-open' || circuit.failures.length >= this.circuitBreakerThreshold) {
+      const failures = circuit.failures.length;
+      circuit.failures = [];
+      circuit.probing = false;
+      circuit.openedAt = now;
+      circuit.opened++;
+      this.setCircuitState('open', { failures, cooldown: this.circuitBreakerCooldownMillis });
+    }
+  }
+
+  /**
+   * Moves the circuit breaker to a new state, logging and emitting the transition
+   * 
+   * @private
+   * @param {string} state - 'closed', 'open' or 'half-open'
+   * @param {Object} info - Extra event payload
+   * @returns {void}
+   */
+  setCircuitState(state, info) {
+    const previous = this.circuit.state;
+    this.circuit.state = state;
+
+    const event = { closed: 'circuitClose', open: 'circuitOpen', 'half-open': 'circuitHalfOpen' }[state];
+    const level = state === 'open' ? 'warn' : 'info';
+    this.logger[level]({ event, previous, ...info }, `Redis circuit breaker ${state}`);
+    this.emit(event, { previous, ...info });
   }
 
   /**
-   * Creates a new Redis connection with comprehensive error handling and monitoring
+   * Opens a single Redis connection with comprehensive error handling and monitoring
    * 
    * Each connection is assigned a unique ID and configured with event listeners
-   * for connection state monitoring. The connection is automatically added to
-   * the available connections pool upon successful creation.
+   * for connection state monitoring. The connection is in neither the available
+   * nor the busy set yet; createConnection() hands it to its claim callback.
+   * 
+   * Until the first successful connect the client is told not to reconnect on
+   * its own, so a failure rejects here and createConnection() can back off.
+   * After that, the configured socket.reconnectStrategy (or the redis default)
+   * applies as usual.
+   * 
+   * In Sentinel mode the host and port come from the current master address
+   * rather than config, and a connection whose master changed while it was
+   * connecting is discarded. With config.endpoints they come from
+   * selectEndpoint(), and failed connects count against that endpoint.
    * 
    * @private
    * @async
    * @returns {Promise<Object>} Redis client instance with additional pool metadata
    * @throws {Error} If connection creation or establishment fails
    */
-  async createConnection() {
+  async openConnection() {
     // Generate unique connection identifier
     const connectionId = `redis_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const generation = this.generation;
+    let established = false;
+    let endpoint = null;
+    let client;
     
     try {
+      const master = this.sentinel ? (this.masterAddress || await this.resolveMaster()) : null;
+      endpoint = this.endpoints.length > 0 ? this.selectEndpoint() : null;
+      if (endpoint) {
+        endpoint.connecting++;
+      }
+      const address = master || endpoint;
+      
       // Create Redis client with pool configuration
-      const client = createClient({
-        ...this.config,
-        name: connectionId
-      });
+      client = this.createRedisClient(connectionId, address, () => established);
 
       // Enhanced error handling for each connection
       client.on('error', (error) => {
-        console.error(`Redis connection ${connectionId} error:`, error);
+        this.logger.error({ connectionId, event: 'error', err: error }, 'Redis connection error');
         this.stats.errors++;
-        this.handleConnectionError(client, error);
+        this.emit('connectionError', { connectionId, error });
+        // Failed connects are handled by createConnection(), not as pool errors
+        if (established) {
+          this.handleConnectionError(client, error);
+        }
       });
 
       client.on('connect', () => {
-        console.log(`Redis connection ${connectionId} established`);
+        this.logger.debug({ connectionId, event: 'connect' }, 'Redis connection established');
       });
 
       client.on('ready', () => {
-        console.log(`Redis connection ${connectionId} ready`);
+        this.logger.debug({ connectionId, event: 'ready' }, 'Redis connection ready');
       });
 
       client.on('reconnecting', () => {
-        console.log(`Redis connection ${connectionId} reconnecting...`);
+        this.logger.warn({ connectionId, event: 'reconnecting' }, 'Redis connection reconnecting');
+        this.emit('reconnecting', { connectionId });
       });
 
       client.on('end', () => {
-        console.log(`Redis connection ${connectionId} ended`);
+        this.logger.debug({ connectionId, event: 'end' }, 'Redis connection ended');
         this.removeConnection(client);
       });
 
       // Establish connection to Redis server
       await client.connect();
+      established = true;
+      
+      // The pool started shutting down while we were connecting
+      if (this.isShuttingDown) {
+        await client.quit();
+        throw new PoolClosedError();
+      }
+      
+      // A failover happened while we were connecting to the old master
+      if (generation !== this.generation) {
+        await client.quit();
+        throw new Error("Redis master changed while connecting");
+      }
       
       // Add pool-specific metadata to client
       client.connectionId = connectionId;
-      client.lastUsed = Date.now();
+      client.generation = generation;
+      client.endpoint = `${client.options.socket.host ?? 'localhost'}:${client.options.socket.port ?? 6379}`;
+      client.createdAt = Date.now();
+      client.lastUsed = client.createdAt;
+      client.uses = 0;
+      client.expiresAt = this.maxLifetimeMillis > 0
+        ? client.createdAt + this.maxLifetimeMillis - Math.floor(Math.random() * this.maxLifetimeMillis * LIFETIME_JITTER)
+        : Infinity;
       client.isHealthy = true;
+      trackSessionState(client);
+
+      if (endpoint) {
+        endpoint.failures = 0;
+      }
       
-      // Add to available connections pool
-      this.availableConnections.add(client);
       this.stats.created++;
       
       return client;
     } catch (error) {
-      console.error(`Failed to create Redis connection ${connectionId}:`, error);
+      this.logger.warn({ connectionId, event: 'createError', err: error }, 'Failed to create Redis connection');
+      if (endpoint && !established) {
+        this.recordEndpointFailure(endpoint, error);
+      }
+      // Don't leave a half-open client behind between retries
+      if (client && client.isOpen) {
+        client.disconnect().catch(() => {});
+      }
       throw error;
+    } finally {
+      if (endpoint) {
+        endpoint.connecting--;
+      }
     }
   }
 
   /**
-   * Acquires a Redis connection from the pool for use
-   * 
-   * This method implements a three-tier acquisition strategy:
-   * 1. Return immediately available connection if one exists
-   * 2. Create new connection if under the maximum limit
-   * 3. Wait for a connection to become available (with timeout)
+   * Creates a Redis client with the pool's configuration
    * 
-   * @async
-   * @returns {Promise<Object>} Redis client connection ready for use
-   * @throws {Error} If pool is shutting down, connection creation fails, or timeout occurs
+   * Until isEstablished() returns true, a failed connect is not retried by
+   * the client, so the caller's own retry policy applies. Afterwards it
+   * reconnects with config.socket.reconnectStrategy, or the redis default
+   * when none is configured.
    * 
-   * @example
-   * ```javascript
-   * const client = await pool.acquireConnection();
-   * try {
-   *   await client.set('key', 'value');
-   *   const value = await client.get('key');
-   * } finally {
-   *   pool.releaseConnection(client);
-   * }
-   * ```
+   * @private
+   * @param {string} connectionId - Client name
+   * @param {{host: string, port: number}|null} address - Server to connect to instead of config host/port
+   * @param {function(): boolean} isEstablished - Whether the first connect succeeded
+   * @param {function(): void} [onGiveUp] - Called when the reconnect strategy stops reconnecting an established client
+   * @returns {Object} Redis client, not yet connected
    */
-  async acquireConnection() {
-    if (this.isShuttingDown) {
-      throw new Error("Connection pool is shutting down");
-    }
-
-    this.stats.acquired++;
+  createRedisClient(connectionId, address, isEstablished, onGiveUp) {
+    const socketOptions = (this.config && this.config.socket) || {};
+    const userReconnectStrategy = socketOptions.reconnectStrategy;
 
-    // Strategy 1: Try to get an available connection immediately
-    if (this.availableConnections.size > 0) {
+    return createClient({
+      ...this.config,
+      endpoints: undefined,
+      name: connectionId,
+      socket: {
+        ...socketOptions,
+        ...(address && { host: address.host, port: address.port }),
+        reconnectStrategy: (retries, cause) => {
+          if (!isEstablished()) {
+            return false;
+          }
+          let delay;
+          if (typeof userReconnectStrategy === 'function') {
+            delay = userReconnectStrategy(retries, cause);
+          } else {
+            // Mirror the redis client's own default when none is configured
+            delay = userReconnectStrategy !== undefined
+              ? userReconnectStrategy
+              : Math.min(retries * 50, 500);
+          }
+          if (typeof delay !== 'number' && onGiveUp) {
+            onGiveUp();
+          }
+          return delay;
+        }
+      }
+    });
+  }
+
+  /**
+   * Opens a dedicated connection for subscribe()
+   * 
+   * Subscriber connections follow the Sentinel master and the endpoint list
+   * like pooled ones, but never enter availableConnections and are not
+   * counted in the pool's statistics.
+   * 
+   * @private
+   * @async
+   * @param {function(): void} onGiveUp - Called if the connection later stops reconnecting
+   * @returns {Promise<Object>} Connected Redis client
+   * @throws {Error} If the connection could not be established
+   */
+  async openSubscriberConnection(onGiveUp) {
+    const connectionId = `redis_sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const address = this.sentinel
+      ? (this.masterAddress || await this.resolveMaster())
+      : (this.endpoints.length > 0 ? this.selectEndpoint() : null);
+    let established = false;
+
+    const client = this.createRedisClient(connectionId, address, () => established, onGiveUp);
+    client.on('error', (error) => {
+      this.logger.warn({ connectionId, event: 'error', err: error }, 'Redis subscriber connection error');
+    });
+    client.on('reconnecting', () => {
+      this.logger.warn({ connectionId, event: 'reconnecting' }, 'Redis subscriber connection reconnecting');
+    });
+
+    try {
+      await client.connect();
+    } catch (error) {
+      if (client.isOpen) {
+        client.disconnect().catch(() => {});
+      }
+      throw error;
+    }
+    established = true;
+    client.connectionId = connectionId;
+    return client;
+  }
+
+  /**
+   * Picks the endpoint for a new connection
+   * 
+   * Endpoints marked down are skipped until their cooldown ends. 'ordered'
+   * takes the first endpoint that is up; 'weighted' takes the one with the
+   * fewest connections (open or being opened) relative to its weight. If every endpoint is down,
+   * the one whose cooldown ends first is tried anyway.
+   * 
+   * @private
+   * @returns {Object} Endpoint from this.endpoints
+   */
+  selectEndpoint() {
+    const now = Date.now();
+    const up = this.endpoints.filter(endpoint => endpoint.downUntil <= now);
+    if (up.length === 0) {
+      return this.endpoints.reduce((soonest, endpoint) => endpoint.downUntil < soonest.downUntil ? endpoint : soonest);
+    }
+
+    if (this.endpointStrategy === 'ordered') {
+      return up[0];
+    }
+
+    const load = (endpoint) => (this.countEndpointConnections(endpoint.id) + endpoint.connecting) / endpoint.weight;
+    return up.reduce((best, endpoint) => load(endpoint) < load(best) ? endpoint : best);
+  }
+
+  /**
+   * Counts the pool's connections attached to an endpoint
+   * 
+   * @private
+   * @param {string} id - Endpoint "host:port"
+   * @returns {number} Available and busy connections to that endpoint
+   */
+  countEndpointConnections(id) {
+    let count = 0;
+    for (const client of [...this.availableConnections, ...this.busyConnections]) {
+      if (client.endpoint === id) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Counts a failed connect against an endpoint, marking it down at the threshold
+   * 
+   * @private
+   * @param {Object} endpoint - Endpoint from this.endpoints
+   * @param {Error} error - The connection error
+   * @returns {void}
+   * @emits RedisPoolManager#endpointDown - When the endpoint is marked down
+   */
+  recordEndpointFailure(endpoint, error) {
+    endpoint.failures++;
+    if (endpoint.failures < this.endpointFailureThreshold) {
+      return;
+    }
+
+    endpoint.failures = 0;
+    endpoint.downUntil = Date.now() + this.endpointCooldownMillis;
+    this.logger.warn({
+      event: 'endpointDown',
+      endpoint: endpoint.id,
+      cooldown: this.endpointCooldownMillis,
+      err: error
+    }, 'Redis endpoint marked down');
+    this.emit('endpointDown', { endpoint: endpoint.id, error, cooldown: this.endpointCooldownMillis });
+  }
+
+  /**
+   * Acquires a Redis connection from the pool for use
+   * 
+   * This method implements a three-tier acquisition strategy:
+   * 1. Return immediately available connection if one exists
+   * 2. Create new connection if under the maximum limit
+   * 3. Join the FIFO waiting queue until a connection is released (with timeout)
+   * 
+   * With testOnBorrow enabled, each connection is validated before it is
+   * returned; connections that fail are destroyed and acquisition starts over.
+   * 
+   * Aborting the signal removes the caller from the waiting queue and rejects
+   * with an AbortError. A connection that turns up after the abort (from a
+   * creation or validation already in flight) goes straight back to the pool.
+   * 
+   * Waiters are served highest priority first, oldest first within a
+   * priority. Only 'high' priority callers may use the last
+   * reservedConnections connections.
+   * 
+   * @async
+   * @param {Object} [options={}] - Per-call options
+   * @param {number} [options.timeout] - Max time in ms to wait for a connection, queued or being created, overriding connectionTimeout (0 fails at once instead of queueing)
+   * @param {AbortSignal} [options.signal] - Signal that cancels the acquisition
+   * @param {string} [options.priority='normal'] - 'high', 'normal' or 'low'
+   * @param {string} [options.role='primary'] - 'replica' to read from a replica in rotation, falling back to the next replica when one can't be
+   *   connected to (it leaves rotation) and to the primary when none is left
+   * @param {boolean} [options.blocking=false] - Take the connection from the blocking sub-pool, for BLPOP, XREAD BLOCK and the like
+   * @returns {Promise<Object>} Redis client connection ready for use
+   * @throws {PoolClosedError} If the pool is shutting down (code 'EPOOLCLOSED')
+   * @throws {PoolTimeoutError} If no connection turned up within the timeout (code 'EPOOLTIMEOUT')
+   * @throws {PoolExhaustedError} If timeout is 0 and no connection is free (code 'EPOOLEXHAUSTED')
+   * @throws {ConnectionCreateError} If a new connection was needed and could not be opened, with the last connection error as cause (code 'ECONNCREATE')
+   * @throws {CircuitOpenError} If a new connection is needed while the circuit breaker is open (code 'ECIRCUITOPEN')
+   * @throws {AbortError} If the signal is aborted (code 'ABORT_ERR')
+   * @throws {InvalidOptionError} If timeout, priority or role is invalid, or blocking is set without blockingMaxConnections (code 'EINVALIDOPTION')
+   * 
+   * @example
+   * ```javascript
+   * const client = await pool.acquireConnection();
+   * try {
+   *   await client.set('key', 'value');
+   *   const value = await client.get('key');
+   * } finally {
+   *   pool.releaseConnection(client);
+   * }
+   * ```
+   * 
+   * @example
+   * ```javascript
+   * // Give up after 2s, or as soon as the HTTP client goes away
+   * const controller = new AbortController();
+   * req.on('close', () => controller.abort());
+   * const client = await pool.acquireConnection({ timeout: 2000, signal: controller.signal });
+   * ```
+   */
+  async acquireConnection(options = {}) {
+    if (this.isShuttingDown) {
+      throw new PoolClosedError();
+    }
+
+    const { signal, priority = 'normal', role = 'primary', blocking = false } = options;
+    if (signal && signal.aborted) {
+      throw new AbortError(signal);
+    }
+    if (!(priority in PRIORITIES)) {
+      throw new InvalidOptionError('priority', `Invalid priority "${priority}", expected one of: ${Object.keys(PRIORITIES).join(', ')}`);
+    }
+    if (role !== 'primary' && role !== 'replica') {
+      throw new InvalidOptionError('role', `Invalid role "${role}", expected 'primary' or 'replica'`);
+    }
+    if (options.timeout !== undefined && !(Number.isFinite(options.timeout) && options.timeout >= 0)) {
+      throw new InvalidOptionError('timeout', `Invalid timeout ${options.timeout}, expected a finite number of at least 0`);
+    }
+
+    if (blocking) {
+      if (!this.blockingPool) {
+        throw new InvalidOptionError('blocking', "Blocking acquisitions need a blocking sub-pool; set the blockingMaxConnections option");
+      }
+      const client = await this.blockingPool.acquireConnection({ timeout: options.timeout, signal, priority });
+      this.subPoolOwners.set(client, this.blockingPool);
+      return client;
+    }
+
+    if (role === 'replica') {
+      // A replica that can't give us a connection leaves rotation, so this ends
+      for (let replicaPool = this.selectReplica(); replicaPool; replicaPool = this.selectReplica()) {
+        try {
+          const client = await replicaPool.acquireConnection({ timeout: options.timeout, signal, priority });
+          this.subPoolOwners.set(client, replicaPool);
+          return client;
+        } catch (error) {
+          // Timeouts and aborts are the caller's; only a dead replica is worth another try
+          if (!(error instanceof ConnectionCreateError || error instanceof CircuitOpenError)) {
+            throw error;
+          }
+          const replica = this.replicas.find(entry => entry.pool === replicaPool);
+          this.logger.warn({ event: 'acquire', replica: replicaPool.name, err: error }, 'Failed to connect to Redis replica, trying elsewhere');
+          this.setReplicaHealth(replica, 'unreachable', null);
+        }
+      }
+      this.logger.debug({ event: 'acquire', role }, 'No Redis replica in rotation, reading from the primary');
+    }
+
+    this.stats.acquired++;
+    const acquireStart = Date.now();
+
+    const request = {
+      timeout: options.timeout ?? this.connectionTimeout,
+      signal,
+      priority,
+      // Capture the caller's stack up front so leak reports point at user code
+      acquireStack: this.leakDetectionThreshold > 0
+        ? new Error("Connection acquired here").stack
+        : null
+    };
+
+    for (;;) {
+      const client = await this.obtainConnection(request);
+      const valid = !this.testOnBorrow || await this.validateConnection(client);
+
+      // The caller gave up while we were creating or validating; don't strand the connection
+      if (signal && signal.aborted) {
+        this.clearLeakTimer(client);
+        this.returnConnection(client, valid);
+        throw new AbortError(signal);
+      }
+
+      if (valid) {
+        const waitTime = Date.now() - acquireStart;
+        this.recordLatency('acquireWait', waitTime);
+        this.emit('acquire', { connectionId: client.connectionId, waitTime });
+        return client;
+      }
+
+      // Never hand out a dead connection; drop it and try again
+      this.destroyConnection(client);
+    }
+  }
+
+  /**
+   * Runs the three-tier acquisition strategy and checks out the result
+   * 
+   * @private
+   * @async
+   * @param {Object} request - Acquire request built by acquireConnection()
+   * @param {number} request.timeout - Max time in ms to wait in the queue or for a new connection
+   * @param {AbortSignal} [request.signal] - Signal that cancels the wait
+   * @param {string} request.priority - Priority lane of the caller
+   * @param {string|null} request.acquireStack - Stack captured at the acquire call
+   * @returns {Promise<Object>} Redis client, already marked busy
+   * @throws {Error} As acquireConnection(), when creation fails, the timeout passes or the signal is aborted
+   */
+  async obtainConnection(request) {
+    const { acquireStack, priority } = request;
+
+    // Strategy 1: Try to get an available connection immediately
+    if (this.availableConnections.size > 0 && this.mayCheckOut(priority)) {
       const client = this.availableConnections.values().next().value;
       this.availableConnections.delete(client);
-      this.busyConnections.add(client);
-      client.lastUsed = Date.now();
+      this.checkOutConnection(client, acquireStack);
       return client;
     }
 
-    // Strategy 2: Create new connection if under limit
-    if (this.getTotalConnections() < this.maxConnections) {
-      try {
-        const client = await this.createConnection();
-        this.availableConnections.delete(client);
-        this.busyConnections.add(client);
-        return client;
-      } catch (error) {
-        throw new Error(`Failed to create new Redis connection: ${error.message}`);
-      }
+    // Strategy 2: Create new connection if under limit
+    if (this.getCommittedConnections() < this.maxConnections && this.mayCheckOut(priority)) {
+      try {
+        return await this.createForRequest(request);
+      } catch (error) {
+        // Keep the pool's own errors (circuit breaker, timeout, abort) distinct
+        if (error instanceof RedisPoolError) {
+          throw error;
+        }
+        throw new ConnectionCreateError(error);
+      }
+    }
+
+    // A caller that won't wait has nothing to queue for
+    if (request.timeout === 0) {
+      throw new PoolExhaustedError(this.maxConnections);
+    }
+
+    // Strategy 3: Queue up and wait for a connection to be released to us
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve,
+        reject,
+        timeout: null,
+        acquireStack,
+        priority,
+        enqueuedAt: Date.now(),
+        signal: request.signal || null,
+        onAbort: null
+      };
+
+      waiter.timeout = setTimeout(() => {
+        this.removeWaiter(waiter);
+        this.emit('timeout', {
+          waitTime: Date.now() - waiter.enqueuedAt,
+          pending: this.waitingQueue.length
+        });
+        reject(new PoolTimeoutError(request.timeout));
+      }, request.timeout);
+
+      if (waiter.signal) {
+        waiter.onAbort = () => {
+          this.removeWaiter(waiter);
+          reject(new AbortError(waiter.signal));
+        };
+        waiter.signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+
+      // Queue behind everyone of the same or higher priority
+      const index = this.waitingQueue.findIndex(other => PRIORITIES[other.priority] > PRIORITIES[priority]);
+      if (index === -1) {
+        this.waitingQueue.push(waiter);
+      } else {
+        this.waitingQueue.splice(index, 0, waiter);
+      }
+      this.emit('enqueue', { pending: this.waitingQueue.length, priority });
+    });
+  }
+
+  /**
+   * Creates a connection for one caller, within the caller's timeout and
+   * abort signal
+   * 
+   * The connection is checked out to the caller the moment it is connected,
+   * so it never sits in the available set where another caller could take
+   * it. Creating can take a whole retry cycle, so a caller that gives up
+   * first isn't kept waiting for it; the connection then joins the pool when
+   * it arrives, going to the first waiter if there is one.
+   * 
+   * @private
+   * @param {Object} request - Acquire request built by acquireConnection()
+   * @returns {Promise<Object>} The created Redis client, already marked busy
+   * @throws {PoolTimeoutError} If request.timeout passes first (code 'EPOOLTIMEOUT')
+   * @throws {AbortError} If request.signal is aborted first (code 'ABORT_ERR')
+   * @throws {Error} As createConnection()
+   * @emits RedisPoolManager#timeout - When the caller's timeout passes first
+   */
+  createForRequest(request) {
+    const { signal, acquireStack } = request;
+    const startedAt = Date.now();
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      let onAbort = null;
+      let settled = false;
+
+      const settle = () => {
+        settled = true;
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      const giveUp = error => {
+        if (settled) {
+          return;
+        }
+        settle();
+        reject(error);
+      };
+
+      // A timeout of 0 only rules out queueing; this caller is already creating
+      if (request.timeout > 0) {
+        timer = setTimeout(() => {
+          this.emit('timeout', { waitTime: Date.now() - startedAt, pending: this.waitingQueue.length });
+          giveUp(new PoolTimeoutError(request.timeout));
+        }, request.timeout);
+      }
+      if (signal) {
+        onAbort = () => giveUp(new AbortError(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      this.createConnection(client => {
+        if (settled) {
+          // The caller gave up; the connection is the pool's now
+          this.handOffConnection(client);
+          return;
+        }
+        settle();
+        this.checkOutConnection(client, acquireStack);
+        resolve(client);
+      }).catch(error => {
+        if (settled) {
+          this.logger.debug({ event: 'createError', err: error }, 'Redis connection an acquire gave up on failed');
+          return;
+        }
+        settle();
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Takes a waiter out of the queue after it timed out or was aborted
+   * 
+   * Stops its timer and abort listener so nothing fires for it again, and
+   * emits 'drain' if it was the last one waiting.
+   * 
+   * @private
+   * @param {Object} waiter - Waiter to remove
+   * @returns {void}
+   */
+  removeWaiter(waiter) {
+    this.settleWaiter(waiter);
+
+    // Drop the waiter so a later release doesn't hand it a connection
+    const index = this.waitingQueue.indexOf(waiter);
+    if (index !== -1) {
+      this.waitingQueue.splice(index, 1);
+      if (this.waitingQueue.length === 0) {
+        this.emit('drain');
+      }
+    }
+  }
+
+  /**
+   * Stops a waiter's timeout and abort listener once it is being settled
+   * 
+   * @private
+   * @param {Object} waiter - Waiter that is about to be resolved or rejected
+   * @returns {void}
+   */
+  settleWaiter(waiter) {
+    clearTimeout(waiter.timeout);
+    if (waiter.signal) {
+      waiter.signal.removeEventListener('abort', waiter.onAbort);
+    }
+  }
+
+  /**
+   * Runs a callback with a pooled connection and always releases it afterwards
+   * 
+   * The connection is released whether the callback resolves or throws, so
+   * callers never need their own acquire/try/finally boilerplate.
+   * 
+   * @async
+   * @template T
+   * @param {function(Object): (T|Promise<T>)} fn - Callback that receives the Redis client
+   * @param {Object} [options] - Acquire options, as for acquireConnection()
+   * @returns {Promise<T>} Whatever the callback returns
+   * @throws {Error} If acquiring fails, or rethrows the callback's error
+   * 
+   * @example
+   * ```javascript
+   * const value = await pool.withConnection(async (client) => {
+   *   await client.set('key', 'value');
+   *   return client.get('key');
+   * });
+   * ```
+   */
+  async withConnection(fn, options) {
+    const client = await this.acquireConnection(options);
+    try {
+      return await fn(client);
+    } finally {
+      this.releaseConnection(client);
+    }
+  }
+
+  /**
+   * Runs a callback with a connection from the blocking sub-pool
+   * 
+   * Shorthand for withConnection(fn, { ...options, blocking: true }), for
+   * BLPOP, BRPOP, XREAD BLOCK, WAIT and other commands that hold a
+   * connection for a long time. They wait in their own queue against
+   * blockingMaxConnections, so they can't starve ordinary requests.
+   * 
+   * @async
+   * @template T
+   * @param {function(Object): (T|Promise<T>)} fn - Callback that receives the Redis client
+   * @param {Object} [options] - Acquire options, as for acquireConnection()
+   * @returns {Promise<T>} Whatever the callback returns
+   * @throws {Error} If there is no blocking sub-pool or acquiring fails, or rethrows the callback's error
+   * 
+   * @example
+   * ```javascript
+   * const pool = new RedisPoolManager(config, { blockingMaxConnections: 8 });
+   * 
+   * const job = await pool.blocking(client => client.blPop('jobs', 5));
+   * ```
+   */
+  async blocking(fn, options = {}) {
+    return this.withConnection(fn, { ...options, blocking: true });
+  }
+
+  /**
+   * Runs a single command through the auto-pipeline
+   * 
+   * Commands issued in the same event-loop turn (or within
+   * pipelineFlushIntervalMillis, if set) are collected and sent as
+   * pipelines of up to pipelineMaxBatchSize commands, each batch on its own
+   * pooled connection. Every caller gets its own reply or error. Replies
+   * are raw, as from sendCommand(), without node-redis's per-command
+   * transformations.
+   * 
+   * Commands that depend on connection state (SELECT, WATCH, MULTI,
+   * SUBSCRIBE, blocking commands, ...) don't belong here, since consecutive
+   * calls may run on different connections.
+   * 
+   * @async
+   * @param {string} command - Command name, e.g. 'GET'
+   * @param {...(string|number|Buffer)} args - Command arguments; numbers are sent as strings
+   * @returns {Promise<*>} The command's reply
+   * @throws {Error} The command's error reply, or the error that kept its batch from being sent
+   * 
+   * @example
+   * ```javascript
+   * await Promise.all(events.map(event => pool.execute('LPUSH', 'events', JSON.stringify(event))));
+   * ```
+   */
+  execute(command, ...args) {
+    return this.pipeline.execute([command, ...args].map(arg => typeof arg === 'number' ? String(arg) : arg));
+  }
+
+  /**
+   * Auto-pipelined commands as methods, e.g. `pool.commands.get('key')`
+   * 
+   * Each method calls execute() with its name upper-cased as the command,
+   * so `pool.commands.hSet('h', 'f', 'v')` sends HSET. Names that aren't
+   * commands, such as `then`, `toJSON`, `constructor` and symbols, are
+   * undefined, so the object can be awaited or logged safely.
+   * 
+   * @type {Object<string, function(...(string|number|Buffer)): Promise<*>>}
+   * 
+   * @example
+   * ```javascript
+   * const { get, incr } = pool.commands;
+   * const [views] = await Promise.all([incr('views'), get('title')]);
+   * ```
+   */
+  get commands() {
+    if (!this.commandsProxy) {
+      this.commandsProxy = new Proxy({}, {
+        get: (target, name) => typeof name === 'string' && !(name in Object.prototype) && !NON_COMMAND_PROPERTIES.has(name)
+          ? (...args) => this.execute(name.toUpperCase(), ...args)
+          : undefined
+      });
+    }
+    return this.commandsProxy;
+  }
+
+  /**
+   * Runs an optimistic (WATCH/MULTI/EXEC) transaction, retrying on conflict
+   * 
+   * Acquires a connection, WATCHes the keys and calls fn with the client
+   * and a MULTI. fn reads through the client and queues its writes on the
+   * MULTI, which is then EXECed. If a watched key changed meanwhile, EXEC
+   * does nothing and the whole transaction, fn included, is retried after a
+   * backoff, up to transactionRetries times.
+   * 
+   * If fn throws or EXEC fails, the connection is DISCARDed and UNWATCHed
+   * before it goes back to the pool, so no transaction state leaks to the
+   * next caller; if that cleanup fails, the connection is destroyed
+   * instead.
+   * 
+   * @async
+   * @param {string|string[]} keys - Keys to WATCH
+   * @param {function(Object, Object): (void|Promise<void>)} fn - Receives the client and the MULTI to queue commands on
+   * @param {Object} [options={}] - Transaction options; anything else is passed to acquireConnection()
+   * @param {number} [options.retries=this.transactionRetries] - Retries after a conflict
+   * @returns {Promise<Array>} EXEC replies, one per queued command
+   * @throws {TransactionConflictError} If the keys still changed on the last attempt (code 'ETXCONFLICT')
+   * @throws {Error} If acquiring fails, or rethrows fn's error
+   * @emits RedisPoolManager#transactionRetry - Before each retry, with keys, attempt number and delay
+   * 
+   * @example
+   * ```javascript
+   * await pool.transaction('balance', async (client, multi) => {
+   *   const balance = Number(await client.get('balance'));
+   *   if (balance < amount) throw new Error('Insufficient funds');
+   *   multi.set('balance', String(balance - amount));
+   * });
+   * ```
+   */
+  async transaction(keys, fn, options = {}) {
+    const { retries = this.transactionRetries, ...acquireOptions } = options;
+    const watchKeys = Array.isArray(keys) ? keys : [keys];
+
+    for (let attempt = 1; ; attempt++) {
+      // Watched keys only exist on the primary
+      const client = await this.acquireConnection({ ...acquireOptions, role: 'primary' });
+      let replies;
+      try {
+        replies = await this.runTransaction(client, watchKeys, fn);
+      } finally {
+        this.releaseConnection(client);
+      }
+
+      if (replies !== null) {
+        return replies;
+      }
+      if (attempt > retries) {
+        throw new TransactionConflictError(watchKeys, attempt);
+      }
+
+      const delay = this.getRetryDelay(attempt, this.transactionRetryDelay);
+      this.logger.debug({ event: 'transactionRetry', keys: watchKeys, attempt, delay }, 'Watched keys changed, retrying transaction');
+      this.emit('transactionRetry', { keys: watchKeys, attempt, delay });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Runs one attempt of transaction() on an acquired connection
+   * 
+   * @private
+   * @async
+   * @param {Object} client - Redis client
+   * @param {string[]} keys - Keys to WATCH
+   * @param {function(Object, Object): (void|Promise<void>)} fn - Transaction callback
+   * @returns {Promise<Array|null>} EXEC replies, or null if a watched key changed
+   * @throws {Error} fn's error, or an EXEC failure other than a conflict
+   */
+  async runTransaction(client, keys, fn) {
+    // EXEC ends both the WATCH and the MULTI, whether it ran or not
+    let settled = false;
+    try {
+      if (keys.length > 0) {
+        await client.watch(keys);
+      }
+      const multi = client.multi();
+      await fn(client, multi);
+
+      let replies;
+      try {
+        replies = await multi.exec();
+      } catch (error) {
+        // node-redis reports the null EXEC reply of a conflict as a WatchError
+        if (!(error instanceof WatchError)) {
+          throw error;
+        }
+        replies = null;
+      }
+      settled = true;
+      client.sessionState.delete('watch');
+      return replies ?? null;
+    } finally {
+      if (!settled) {
+        await this.resetTransactionState(client);
+      }
+    }
+  }
+
+  /**
+   * Drops any MULTI or WATCH a failed transaction left on a connection
+   * 
+   * A connection that can't be cleaned up is marked unhealthy, so
+   * releaseConnection() destroys it rather than handing it out again.
+   * 
+   * @private
+   * @async
+   * @param {Object} client - Redis client
+   * @returns {Promise<void>}
+   */
+  async resetTransactionState(client) {
+    try {
+      await discardTransaction(client);
+    } catch (error) {
+      this.logger.warn({ connectionId: client.connectionId, event: 'transaction', err: error }, 'Failed to reset transaction state, destroying connection');
+      client.isHealthy = false;
+    }
+  }
+
+  /**
+   * Subscribes a handler to a channel or pattern
+   * 
+   * Subscriptions run on dedicated connections owned by the pool, never on
+   * pooled ones, so a client in subscriber mode can't end up back in
+   * availableConnections. All handlers share up to maxSubscriberConnections
+   * connections, and each channel or pattern is subscribed in Redis only
+   * once. After a reconnect, a failover or a replaced connection, every
+   * subscription is restored automatically.
+   * 
+   * Names containing `*`, `?` or `[` are treated as patterns (PSUBSCRIBE)
+   * unless options.pattern says otherwise.
+   * 
+   * @async
+   * @param {string} channel - Channel or pattern to subscribe to
+   * @param {function(string, string): (void|Promise<void>)} handler - Called with (message, channel) for each message
+   * @param {Object} [options={}] - Subscribe options
+   * @param {boolean} [options.pattern] - Whether channel is a pattern; detected from the name when omitted
+   * @returns {Promise<function(): Promise<void>>} Resolves once subscribed, with a function that removes this handler again
+   * @throws {PoolClosedError} If the pool is shutting down
+   * @throws {Error} If no subscriber connection could be opened
+   * 
+   * @example
+   * ```javascript
+   * const unsubscribe = await pool.subscribe('orders:*', (message, channel) => {
+   *   console.log(`${channel}: ${message}`);
+   * });
+   * 
+   * // Later
+   * await unsubscribe();
+   * ```
+   */
+  async subscribe(channel, handler, options = {}) {
+    if (this.isShuttingDown) {
+      throw new PoolClosedError();
+    }
+    if (typeof handler !== 'function') {
+      throw new TypeError("subscribe() requires a handler function");
+    }
+
+    const pattern = options.pattern ?? PATTERN_CHARS.test(channel);
+    await this.subscribers.subscribe(channel, handler, pattern);
+    return () => this.subscribers.unsubscribe(channel, handler, pattern);
+  }
+
+  /**
+   * Removes a handler, or every handler, from a channel or pattern
+   * 
+   * The Redis subscription is dropped once no handler is left, and a
+   * subscriber connection that no longer carries any subscription is closed.
+   * 
+   * @async
+   * @param {string} channel - Channel or pattern passed to subscribe()
+   * @param {Function} [handler] - Handler to remove; all of the channel's handlers if omitted
+   * @param {Object} [options={}] - Unsubscribe options
+   * @param {boolean} [options.pattern] - Whether channel is a pattern; detected from the name when omitted
+   * @returns {Promise<void>}
+   */
+  async unsubscribe(channel, handler, options = {}) {
+    const pattern = options.pattern ?? PATTERN_CHARS.test(channel);
+    await this.subscribers.unsubscribe(channel, handler, pattern);
+  }
+
+  /**
+   * Releases a Redis connection back to the pool for reuse
+   * 
+   * Moves the connection from busy to available state if it's healthy,
+   * or destroys it if it's in an unhealthy state. This method is safe
+   * to call multiple times with the same connection.
+   * 
+   * @param {Object} client - Redis client connection to release
+   * @returns {void}
+   * 
+   * @example
+   * ```javascript
+   * const client = await pool.acquireConnection();
+   * try {
+   *   // Use the connection
+   *   await client.get('some-key');
+   * } finally {
+   *   // Always release the connection back to the pool
+   *   pool.releaseConnection(client);
+   * }
+   * ```
+   */
+  releaseConnection(client) {
+    if (!client || !client.connectionId) {
+      return;
+    }
+
+    // Replica and blocking connections go back to their own sub-pool
+    const subPool = this.subPoolOwners.get(client);
+    if (subPool) {
+      this.subPoolOwners.delete(client);
+      subPool.releaseConnection(client);
+      return;
+    }
+
+    this.stats.released++;
+    
+    if (!this.busyConnections.has(client)) {
+      return;
+    }
+
+    this.clearLeakTimer(client);
+    const holdTime = Date.now() - client.acquiredAt;
+    this.recordLatency('holdTime', holdTime);
+    this.emit('release', { connectionId: client.connectionId, holdTime });
+
+    const dirty = client.isPubSubActive || client.sessionState.size > 0;
+    if (dirty) {
+      this.stats.dirtyRelease++;
+      this.logger.debug({
+        connectionId: client.connectionId,
+        event: 'dirtyRelease',
+        state: client.isPubSubActive ? ['pubsub'] : [...client.sessionState]
+      }, 'Released Redis connection has session state left on it');
+    }
+
+    // Stay busy while cleaning up or validating so the slot isn't counted as free
+    if ((dirty || this.testOnReturn) && client.isHealthy && client.isReady) {
+      (async () => {
+        let valid = !dirty || await this.restoreSessionState(client);
+        if (valid && this.testOnReturn) {
+          valid = await this.validateConnection(client);
+        }
+        this.returnConnection(client, valid);
+      })();
+      return;
+    }
+
+    this.returnConnection(client, true);
+  }
+
+  /**
+   * Puts a released connection back into the state it was opened in
+   *
+   * Uses RESET where the server has it (Redis 6.2+), then restores what
+   * the connection was set up with: credentials, READONLY, database and
+   * client name. Otherwise DISCARD, UNWATCH, SELECT and CLIENT SETNAME undo
+   * what they can. Connections in subscriber mode, or with state neither
+   * can undo, are reported as unusable so they get destroyed.
+   *
+   * @private
+   * @async
+   * @param {Object} client - Released Redis client
+   * @returns {Promise<boolean>} True if the connection is clean again
+   */
+  async restoreSessionState(client) {
+    // What node-redis connected with, including credentials and database from a url
+    const config = client.options || {};
+    // The commands sent below are recorded too
+    const state = new Set(client.sessionState);
+
+    try {
+      // node-redis keeps its own subscription state, which RESET would leave stale
+      if (client.isPubSubActive) {
+        throw new Error("Connection is in subscriber mode");
+      }
+
+      if (this.supportsReset) {
+        try {
+          await client.sendCommand(['RESET']);
+        } catch (error) {
+          if (!/unknown command/i.test(error.message)) {
+            throw error;
+          }
+          this.logger.info({ event: 'dirtyRelease' }, 'Redis server has no RESET, cleaning released connections with targeted commands');
+          this.supportsReset = false;
+        }
+      }
+
+      if (this.supportsReset) {
+        if (config.password) {
+          await client.sendCommand(config.username ? ['AUTH', config.username, config.password] : ['AUTH', config.password]);
+        }
+        if (config.readonly) {
+          await client.sendCommand(['READONLY']);
+        }
+        // Also brings node-redis's idea of the selected database back in line
+        await client.select(config.database || 0);
+        await client.sendCommand(['CLIENT', 'SETNAME', client.connectionId]);
+      } else {
+        if (state.has('client')) {
+          throw new Error("Only RESET can clean up this connection");
+        }
+        if (state.has('multi') || state.has('watch')) {
+          await discardTransaction(client);
+        }
+        if (state.has('db')) {
+          await client.select(config.database || 0);
+        }
+        if (state.has('name')) {
+          await client.sendCommand(['CLIENT', 'SETNAME', client.connectionId]);
+        }
+      }
+
+      client.sessionState.clear();
+      return true;
+    } catch (error) {
+      this.logger.warn({
+        connectionId: client.connectionId,
+        event: 'dirtyRelease',
+        err: error
+      }, 'Failed to reset released Redis connection, destroying it');
+      return false;
+    }
+  }
+
+  /**
+   * Moves a released connection out of busy state, recycling or destroying it
+   * 
+   * @private
+   * @param {Object} client - Redis client being released
+   * @param {boolean} valid - Whether the connection passed return validation
+   * @returns {void}
+   */
+  returnConnection(client, valid) {
+    // It may have errored and been dropped while it was being validated
+    if (!this.busyConnections.delete(client)) {
+      return;
+    }
+
+    // A draining pool closes connections as they come back
+    if (this.isShuttingDown) {
+      this.destroyConnection(client);
+      return;
+    }
+
+    // Only return healthy, ready connections to the current master to the pool
+    if (valid && client.isHealthy && client.isReady && client.generation === this.generation) {
+      // No room for it if resize() shrank the pool while it was busy
+      const reason = this.getCommittedConnections() >= this.maxConnections ? 'resize' : this.getRetireReason(client);
+      if (reason) {
+        this.retireConnection(client, reason);
+      } else {
+        this.handOffConnection(client);
+      }
+    } else if (client.generation !== this.generation && this.waitingQueue.length === 0) {
+      // Left over from before a failover; replace it on the new master if the pool is short
+      this.destroyConnection(client);
+      if (this.getCommittedConnections() < this.minConnections) {
+        this.createIdleConnection().catch(error => {
+          this.logger.error({ event: 'createError', err: error }, 'Failed to replace Redis connection after failover');
+        });
+      }
+    } else {
+      // Connection is unhealthy, destroy it and replace it for any waiter
+      this.destroyConnection(client);
+      this.createConnectionForWaiter();
+    }
+  }
+
+  /**
+   * Tells whether a connection has reached maxLifetimeMillis or maxUsesPerConnection
+   * 
+   * @private
+   * @param {Object} client - Redis client
+   * @returns {string|null} 'lifetime' or 'uses' if it should be retired, otherwise null
+   */
+  getRetireReason(client) {
+    if (client.expiresAt <= Date.now()) {
+      return 'lifetime';
+    }
+    if (this.maxUsesPerConnection > 0 && client.uses >= this.maxUsesPerConnection) {
+      return 'uses';
+    }
+    return null;
+  }
+
+  /**
+   * Closes a connection that reached its lifetime or use limit, or no longer
+   * fits after resize(), and opens a replacement in the background
+   * 
+   * The replacement goes to the first waiter, if any, like any new
+   * connection. None is opened while the pool is at maxConnections, so a
+   * shrinking pool isn't refilled.
+   * 
+   * @private
+   * @param {Object} client - Redis client no longer in use
+   * @param {string} reason - 'lifetime', 'uses' or 'resize'
+   * @returns {void}
+   * @emits RedisPoolManager#retire
+   */
+  retireConnection(client, reason) {
+    this.stats.retired++;
+    this.logger.debug({
+      connectionId: client.connectionId,
+      event: 'retire',
+      reason,
+      uses: client.uses
+    }, 'Retiring Redis connection');
+    this.emit('retire', {
+      connectionId: client.connectionId,
+      reason,
+      age: Date.now() - client.createdAt,
+      uses: client.uses
+    });
+    this.destroyConnection(client);
+
+    if (!this.isShuttingDown && this.getCommittedConnections() < this.maxConnections) {
+      this.createIdleConnection().catch(error => {
+        this.logger.error({ event: 'createError', err: error }, 'Failed to replace retired Redis connection');
+      });
+    }
+  }
+
+  /**
+   * Checks that a connection is still usable
+   * 
+   * Uses the configured validator when there is one, otherwise a PING.
+   * Errors thrown by either count as a failed validation.
+   * 
+   * @private
+   * @async
+   * @param {Object} client - Redis client to validate
+   * @returns {Promise<boolean>} True if the connection can be used
+   */
+  async validateConnection(client) {
+    try {
+      if (this.validator) {
+        return Boolean(await this.validator(client));
+      }
+      await client.ping();
+      return true;
+    } catch (error) {
+      this.logger.warn({
+        connectionId: client.connectionId,
+        event: 'validationFailed',
+        err: error
+      }, 'Redis connection failed validation');
+      return false;
+    }
+  }
+
+  /**
+   * Checks whether a caller of the given priority may take another connection
+   * 
+   * The last reservedConnections connections are kept for 'high' priority.
+   * 
+   * @private
+   * @param {string} priority - Priority lane of the caller
+   * @returns {boolean} True if the caller may check out a connection now
+   */
+  mayCheckOut(priority) {
+    return priority === 'high' ||
+      this.busyConnections.size < this.maxConnections - this.reservedConnections;
+  }
+
+  /**
+   * Hands a free connection to the first waiter in line, or parks it as available
+   * 
+   * Connections passed to a waiter go straight from busy to busy, so no other
+   * caller can grab them in between. The queue is ordered by priority, so if
+   * the head may not use a reserved connection, nobody behind it may either.
+   * 
+   * @private
+   * @param {Object} client - Healthy Redis client that is no longer in use
+   * @returns {void}
+   */
+  handOffConnection(client) {
+    const head = this.waitingQueue[0];
+    const waiter = head && this.mayCheckOut(head.priority)
+      ? this.waitingQueue.shift()
+      : null;
+
+    if (!waiter) {
+      // Idle time is measured from here, so the evictor leaves it alone for now
+      client.lastUsed = Date.now();
+      this.availableConnections.add(client);
+      return;
+    }
+
+    this.settleWaiter(waiter);
+    this.checkOutConnection(client, waiter.acquireStack);
+    waiter.resolve(client);
+
+    if (this.waitingQueue.length === 0) {
+      this.emit('drain');
+    }
+  }
+
+  /**
+   * Marks a connection as busy and arms leak detection for it
+   * 
+   * @private
+   * @param {Object} client - Redis client being handed to a caller
+   * @param {string|null} acquireStack - Stack captured when the caller asked for it
+   * @returns {void}
+   */
+  checkOutConnection(client, acquireStack) {
+    this.busyConnections.add(client);
+    client.lastUsed = Date.now();
+    client.acquiredAt = client.lastUsed;
+    client.uses++;
+
+    if (this.leakDetectionThreshold > 0) {
+      client.leakTimer = setTimeout(() => {
+        client.leakTimer = null;
+        this.emit('leak', {
+          connectionId: client.connectionId,
+          heldFor: Date.now() - client.acquiredAt,
+          stack: acquireStack
+        });
+      }, this.leakDetectionThreshold);
+
+      // A leaked connection must not keep the process alive on its own
+      client.leakTimer.unref();
+    }
+  }
+
+  /**
+   * Records a latency sample in both the metrics histogram and the rolling window
+   * 
+   * @private
+   * @param {string} kind - 'acquireWait' or 'holdTime'
+   * @param {number} millis - Duration in milliseconds
+   * @returns {void}
+   */
+  recordLatency(kind, millis) {
+    this.histograms[kind].observe(millis);
+    this.latency[kind].observe(millis);
+  }
+
+  /**
+   * Records the size of an auto-pipelined batch in both the metrics histogram
+   * and the rolling window behind getStats().pipeline.batchSize
+   * 
+   * @private
+   * @param {number} size - Commands sent in the batch
+   * @returns {void}
+   */
+  recordBatchSize(size) {
+    this.histograms.batchSize.observe(size);
+    this.latency.batchSize.observe(size);
+  }
+
+  /**
+   * Cancels a pending leak report for a connection leaving busy state
+   * 
+   * @private
+   * @param {Object} client - Redis client being released or destroyed
+   * @returns {void}
+   */
+  clearLeakTimer(client) {
+    if (client.leakTimer) {
+      clearTimeout(client.leakTimer);
+      client.leakTimer = null;
+    }
+  }
+
+  /**
+   * Creates a replacement connection when callers are waiting and there is room
+   * 
+   * Used after a busy connection is destroyed instead of released, since no
+   * release would otherwise arrive to wake the waiters.
+   * 
+   * @private
+   * @returns {void}
+   */
+  createConnectionForWaiter() {
+    if (this.waitingQueue.length === 0 || this.getCommittedConnections() >= this.maxConnections) {
+      return;
+    }
+
+    this.createIdleConnection()
+      .catch(error => {
+        this.logger.error({ event: 'createError', err: error }, 'Failed to create Redis connection for waiting request');
+      });
+  }
+
+  /**
+   * Removes a connection from all pool tracking collections
+   * 
+   * This is a utility method used internally when connections are closed
+   * or terminated by Redis events. It ensures the connection is removed
+   * from both available and busy collections.
+   * 
+   * @private
+   * @param {Object} client - Redis client connection to remove
+   * @returns {void}
+   */
+  removeConnection(client) {
+    this.availableConnections.delete(client);
+    this.busyConnections.delete(client);
+    this.clearLeakTimer(client);
+    this.checkBusyDrained();
+  }
+
+  /**
+   * Notifies a draining shutdown once no connections are busy any more
+   * 
+   * @private
+   * @returns {void}
+   */
+  checkBusyDrained() {
+    if (this.onBusyDrained && this.busyConnections.size === 0) {
+      this.onBusyDrained();
+    }
+  }
+
+  /**
+   * Gracefully destroys a Redis connection and removes it from the pool
+   * 
+   * Attempts to cleanly quit the connection before destroying it, or
+   * disconnects it immediately when forced. Updates the destruction
+   * statistics and handles any errors that occur during the destruction
+   * process.
+   * 
+   * @private
+   * @async
+   * @param {Object} client - Redis client connection to destroy
+   * @param {boolean} [force=false] - Disconnect without waiting for pending replies
+   * @returns {Promise<void>}
+   */
+  async destroyConnection(client, force = false) {
+    if (!client) return;
+
+    try {
+      // Remove from all pool collections first
+      this.availableConnections.delete(client);
+      this.busyConnections.delete(client);
+      this.clearLeakTimer(client);
+      this.checkBusyDrained();
+      
+      // Attempt graceful shutdown if connection is still open
+      if (client.isOpen) {
+        if (force) {
+          await client.disconnect();
+        } else {
+          await client.quit();
+        }
+      }
+      
+      this.stats.destroyed++;
+      this.logger.debug({ connectionId: client.connectionId, event: 'destroy' }, 'Destroyed Redis connection');
+      this.emit('destroy', { connectionId: client.connectionId, age: Date.now() - client.createdAt });
+    } catch (error) {
+      this.logger.error({
+        connectionId: client.connectionId,
+        event: 'destroyError',
+        err: error
+      }, 'Error destroying Redis connection');
+    }
+  }
+
+  /**
+   * Handles connection errors by marking connections as unhealthy and managing pool size
+   * 
+   * When a connection encounters an error, this method:
+   * 1. Marks the connection as unhealthy
+   * 2. Removes it from active use
+   * 3. Creates replacement connections if below minimum threshold
+   * 
+   * @private
+   * @param {Object} client - Redis client that encountered an error
+   * @param {Error} error - The error that occurred
+   * @returns {void}
+   */
+  handleConnectionError(client, error) {
+    // Mark connection as unhealthy
+    client.isHealthy = false;
+    
+    // Remove from busy connections if it was in use
+    if (this.busyConnections.has(client)) {
+      this.busyConnections.delete(client);
+      this.clearLeakTimer(client);
+      this.checkBusyDrained();
+    }
+    
+    // Don't add unhealthy connections back to available pool
+    this.availableConnections.delete(client);
+    
+    // Create replacement connection if we're below minimum threshold
+    if (!this.isShuttingDown && this.getCommittedConnections() < this.minConnections) {
+      this.createIdleConnection().catch(err => {
+        this.logger.error({ event: 'createError', err }, 'Failed to create replacement Redis connection');
+      });
+    }
+  }
+
+  /**
+   * Starts the background evictor if eviction is enabled
+   * 
+   * @private
+   * @returns {void}
+   */
+  startEvictor() {
+    if (this.evictionRunIntervalMillis <= 0) {
+      return;
+    }
+
+    this.evictionTimer = setInterval(() => {
+      this.evictIdleConnections();
+    }, this.evictionRunIntervalMillis);
+
+    // The evictor alone must not keep the process alive
+    this.evictionTimer.unref();
+  }
+
+  /**
+   * Starts scheduled health checks if healthCheckInterval is set
+   * 
+   * @private
+   * @returns {void}
+   */
+  startHealthChecks() {
+    if (this.healthCheckInterval <= 0) {
+      return;
+    }
+
+    this.healthCheckTimer = setInterval(() => {
+      this.healthCheck().catch(error => {
+        this.logger.error({ event: 'healthcheck', err: error }, 'Scheduled Redis health check failed');
+      });
+    }, this.healthCheckInterval);
+
+    // Health checks alone must not keep the process alive
+    this.healthCheckTimer.unref();
+  }
+
+  /**
+   * Starts following the master through Sentinel if options.sentinel is set
+   * 
+   * @private
+   * @returns {void}
+   */
+  startSentinel() {
+    if (!this.sentinel) {
+      return;
+    }
+
+    this.sentinel.on('switch', ({ current }) => this.updateMaster(current));
+    this.sentinel.on('reconnect', () => {
+      // A +switch-master may have been sent while we were disconnected
+      this.resolveMaster().catch(error => {
+        this.logger.error({ event: 'sentinel', err: error }, 'Failed to resolve Redis master');
+      });
+    });
+    this.sentinel.on('error', (error) => {
+      this.logger.warn({ event: 'sentinel', err: error }, 'Redis Sentinel connection error');
+    });
+    this.sentinel.on('disconnect', ({ host, port }) => {
+      // Move to another sentinel, and ask for the master again once there
+      this.logger.warn({ event: 'sentinel', sentinel: `${host}:${port}` }, 'Lost Redis Sentinel subscription, trying the other sentinels');
+      if (!this.isShuttingDown) {
+        this.subscribeToSentinel();
+      }
+    });
+
+    this.subscribeToSentinel();
+  }
+
+  /**
+   * Subscribes to failover notifications, retrying with backoff until it succeeds
+   * 
+   * @private
+   * @async
+   * @returns {Promise<void>}
+   */
+  async subscribeToSentinel() {
+    for (let attempt = 1; !this.isShuttingDown; attempt++) {
+      try {
+        await this.sentinel.subscribe();
+        if (this.isShuttingDown) {
+          await this.sentinel.stop();
+          return;
+        }
+        // Catch a failover that happened before the subscription was in place
+        await this.resolveMaster().catch(() => {});
+        return;
+      } catch (error) {
+        const delay = this.getRetryDelay(Math.min(attempt, this.maxRetries));
+        this.logger.error({ event: 'sentinel', delay, err: error }, 'Failed to subscribe to Redis Sentinel, retrying');
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Asks the sentinels for the current master and repoints the pool if it moved
+   * 
+   * Concurrent callers share a single lookup.
+   * 
+   * @private
+   * @async
+   * @returns {Promise<{host: string, port: number}>} Current master address
+   * @throws {Error} If no sentinel could provide the master address
+   */
+  resolveMaster() {
+    if (!this.masterPromise) {
+      this.masterPromise = this.sentinel.getMasterAddress()
+        .then(address => {
+          this.updateMaster(address);
+          return address;
+        })
+        .finally(() => {
+          this.masterPromise = null;
+        });
+    }
+    return this.masterPromise;
+  }
+
+  /**
+   * Records the master address, failing over if it differs from the current one
+   * 
+   * @private
+   * @param {{host: string, port: number}} address - Master address reported by Sentinel
+   * @returns {void}
+   */
+  updateMaster(address) {
+    const previous = this.masterAddress;
+    if (previous && previous.host === address.host && previous.port === address.port) {
+      return;
+    }
+
+    this.masterAddress = address;
+    if (!previous) {
+      this.logger.info({
+        event: 'sentinel',
+        masterName: this.sentinel.masterName,
+        master: `${address.host}:${address.port}`
+      }, 'Resolved Redis master');
+      return;
     }
 
-    // Strategy 3: Wait for a connection to become available
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error("Timeout waiting for Redis connection"));
-      }, this.connectionTimeout);
-
-      const checkForConnection = () => {
-        if (this.availableConnections.size > 0) {
-          clearTimeout(timeout);
-          const client = this.availableConnections.values().next().value;
-          this.availableConnections.delete(client);
-          this.busyConnections.add(client);
-          client.lastUsed = Date.now();
-          resolve(client);
-        } else {
-          // Poll every 100ms for available connection
-          setTimeout(checkForConnection, 100);
-        }
-      };
-
-      checkForConnection();
-    });
+    this.handleFailover(previous, address);
   }
 
   /**
-   * Releases a Redis connection back to the pool for reuse
+   * Repoints the pool at a new master
    * 
-   * Moves the connection from busy to available state if it's healthy,
-   * or destroys it if it's in an unhealthy state. This method is safe
-   * to call multiple times with the same connection.
+   * Idle connections to the old master are closed right away. Busy ones are
+   * left to their callers and closed when released instead of going back
+   * into the pool. New connections are created against the new master.
    * 
-   * @param {Object} client - Redis client connection to release
+   * @private
+   * @param {{host: string, port: number}} previous - Old master address
+   * @param {{host: string, port: number}} current - New master address
    * @returns {void}
+   * @emits RedisPoolManager#failover - With master name, both addresses and affected connection counts
+   */
+  handleFailover(previous, current) {
+    this.generation++;
+
+    const stale = [...this.availableConnections];
+    for (const client of stale) {
+      this.destroyConnection(client);
+    }
+
+    const info = {
+      masterName: this.sentinel.masterName,
+      previous,
+      current,
+      closed: stale.length,
+      draining: this.busyConnections.size
+    };
+    this.logger.warn({
+      event: 'failover',
+      ...info,
+      previous: `${previous.host}:${previous.port}`,
+      current: `${current.host}:${current.port}`
+    }, 'Redis master changed, repointing pool');
+    this.emit('failover', info);
+    
+    // Subscriptions move to the new master too
+    this.subscribers.replaceAll();
+
+    if (!this.isShuttingDown) {
+      this.ensureMinimumConnections();
+    }
+  }
+
+  /**
+   * Picks the replica pool for a read with the configured strategy
    * 
-   * @example
-   * ```javascript
-   * const client = await pool.acquireConnection();
-   * try {
-   *   // Use the connection
-   *   await client.get('some-key');
-   * } finally {
-   *   // Always release the connection back to the pool
-   *   pool.releaseConnection(client);
-   * }
-   * ```
+   * @private
+   * @returns {RedisPoolManager|null} Replica pool, or null when no replica is in rotation
    */
-  releaseConnection(client) {
-    if (!client || !client.connectionId) {
+  selectReplica() {
+    const pools = this.replicas.filter(replica => replica.healthy).map(replica => replica.pool);
+    if (pools.length === 0) {
+      return null;
+    }
+
+    const strategy = typeof this.replicaStrategy === 'function'
+      ? this.replicaStrategy
+      : REPLICA_STRATEGIES[this.replicaStrategy];
+    return strategy(pools, this.replicaCounter++) || null;
+  }
+
+  /**
+   * Checks every replica and updates which ones are in read rotation
+   * 
+   * @private
+   * @async
+   * @returns {Promise<void>}
+   */
+  async checkReplicas() {
+    if (this.replicas.length === 0) {
       return;
     }
 
-    this.stats.released++;
-    
-    if (this.busyConnections.has(client)) {
-      this.busyConnections.delete(client);
-      
-      // Only return healthy, ready connections to the pool
-      if (client.isHealthy && client.isReady) {
-        this.availableConnections.add(client);
-      } else {
-        // Connection is unhealthy, destroy it
-        this.destroyConnection(client);
+    // Lag is measured against the primary's replication offset
+    let primaryOffset = null;
+    if (this.maxReplicaLag > 0) {
+      try {
+        const info = parseInfo(await this.withConnection(client => client.info('replication')));
+        primaryOffset = Number(info.master_repl_offset);
+      } catch (error) {
+        this.logger.warn({ event: 'healthcheck', err: error }, 'Failed to read primary replication offset');
       }
     }
+
+    await Promise.all(this.replicas.map(replica => this.checkReplica(replica, primaryOffset)));
   }
 
   /**
-   * Removes a connection from all pool tracking collections
+   * Health checks one replica and reads its replication state
    * 
-   * This is a utility method used internally when connections are closed
-   * or terminated by Redis events. It ensures the connection is removed
-   * from both available and busy collections.
+   * @private
+   * @async
+   * @param {Object} replica - Replica entry from this.replicas
+   * @param {number|null} primaryOffset - Primary's replication offset, or null to skip the lag check
+   * @returns {Promise<void>}
+   */
+  async checkReplica(replica, primaryOffset) {
+    let reason = null;
+    let lag = null;
+
+    try {
+      const { passed, failed } = await replica.pool.healthCheck();
+      const info = parseInfo(await replica.pool.withConnection(client => client.info('replication')));
+
+      if (failed > 0 && passed === 0) {
+        reason = 'healthcheck';
+      } else if (info.master_link_status !== 'up') {
+        reason = 'link down';
+      } else if (primaryOffset !== null) {
+        lag = Math.max(0, primaryOffset - Number(info.slave_repl_offset));
+        if (lag > this.maxReplicaLag) {
+          reason = 'lag';
+        }
+      }
+    } catch (error) {
+      reason = 'unreachable';
+      this.logger.warn({ event: 'healthcheck', replica: replica.pool.name, err: error }, 'Redis replica health check failed');
+    }
+
+    replica.lag = lag;
+    this.setReplicaHealth(replica, reason, lag);
+  }
+
+  /**
+   * Takes a replica out of read rotation or puts it back
    * 
    * @private
-   * @param {Object} client - Redis client connection to remove
+   * @param {Object} replica - Replica entry from this.replicas
+   * @param {string|null} reason - Why it is unfit ('healthcheck', 'link down', 'lag', 'unreachable'), or null if it is fine
+   * @param {number|null} lag - Replication lag in bytes, if measured
    * @returns {void}
+   * @emits RedisPoolManager#replicaDown - When a healthy replica is taken out
+   * @emits RedisPoolManager#replicaUp - When an unhealthy replica is put back
    */
-  removeConnection(client) {
-    this.availableConnections.delete(client);
-    this.busyConnections.delete(client);
+  setReplicaHealth(replica, reason, lag) {
+    if (reason && replica.healthy) {
+      replica.healthy = false;
+      this.logger.warn({ event: 'replicaDown', replica: replica.pool.name, reason, lag }, 'Redis replica taken out of rotation');
+      this.emit('replicaDown', { replica: replica.pool.name, reason, lag });
+    } else if (!reason && !replica.healthy) {
+      replica.healthy = true;
+      this.logger.info({ event: 'replicaUp', replica: replica.pool.name, lag }, 'Redis replica back in rotation');
+      this.emit('replicaUp', { replica: replica.pool.name, lag });
+    }
   }
 
   /**
-   * Gracefully destroys a Redis connection and removes it from the pool
-   * 
-   * Attempts to cleanly quit the connection before destroying it. Updates
-   * the destruction statistics and handles any errors that occur during
-   * the destruction process.
+   * Creates connections until the pool is back at minConnections
    * 
    * @private
    * @async
-   * @param {Object} client - Redis client connection to destroy
    * @returns {Promise<void>}
    */
-  async destroyConnection(client) {
-    if (!client) return;
+  async ensureMinimumConnections() {
+    const missing = this.minConnections - this.getCommittedConnections();
+    const createPromises = [];
 
-    try {
-      // Remove from all pool collections first
-      this.availableConnections.delete(client);
-      this.busyConnections.delete(client);
-      
-      // Attempt graceful shutdown if connection is still open
-      if (client.isOpen) {
-        await client.quit();
+    for (let i = 0; i < missing; i++) {
+      createPromises.push(this.createIdleConnection());
+    }
+
+    const results = await Promise.allSettled(createPromises);
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        this.logger.error({ event: 'createError', err: result.reason }, 'Failed to refill Redis pool to minimum size');
       }
-      
-      this.stats.destroyed++;
-      console.log(`Destroyed Redis connection ${client.connectionId}`);
-    } catch (error) {
-      console.error(`Error destroying Redis connection ${client.connectionId}:`, error);
     }
   }
 
   /**
-   * Handles connection errors by marking connections as unhealthy and managing pool size
+   * Closes available connections that have been idle longer than idleTimeoutMillis
    * 
-   * When a connection encounters an error, this method:
-   * 1. Marks the connection as unhealthy
-   * 2. Removes it from active use
-   * 3. Creates replacement connections if below minimum threshold
+   * The longest-idle connections go first, and the pool never drops below
+   * minConnections. Busy connections are never touched. Available
+   * connections past maxLifetimeMillis are retired and replaced first.
    * 
    * @private
-   * @param {Object} client - Redis client that encountered an error
-   * @param {Error} error - The error that occurred
    * @returns {void}
+   * @emits RedisPoolManager#evict - For each connection closed
+   * @emits RedisPoolManager#retire - For each expired connection replaced
    */
-  handleConnectionError(client, error) {
-    // Mark connection as unhealthy
-    client.isHealthy = false;
-    
-    // Remove from busy connections if it was in use
-    if (this.busyConnections.has(client)) {
-      this.busyConnections.delete(client);
+  evictIdleConnections() {
+    // Idle connections past their lifetime would otherwise wait for one more use
+    for (const client of [...this.availableConnections]) {
+      if (this.getRetireReason(client) === 'lifetime') {
+        this.retireConnection(client, 'lifetime');
+      }
     }
-    
-    // Don't add unhealthy connections back to available pool
-    this.availableConnections.delete(client);
-    
-    // Create replacement connection if we're below minimum threshold
-    if (this.getTotalConnections() < this.minConnections) {
-      this.createConnection().catch(err => {
-        console.error("Failed to create replacement Redis connection:", err);
+
+    const now = Date.now();
+    const idle = [...this.availableConnections]
+      .filter(client => now - client.lastUsed >= this.idleTimeoutMillis)
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+
+    for (const client of idle) {
+      if (this.getTotalConnections() <= this.minConnections) {
+        break;
+      }
+
+      this.stats.evicted++;
+      this.emit('evict', {
+        connectionId: client.connectionId,
+        idleFor: now - client.lastUsed
+      });
+      this.destroyConnection(client);
+    }
+  }
+
+  /**
+   * Changes the pool's minimum and maximum size at runtime
+   * 
+   * Growing opens connections up to the new minimum and, when the maximum
+   * went up, for callers already waiting. Shrinking closes surplus idle
+   * connections at once; busy ones keep running and are closed when they
+   * are released, so nobody loses a connection mid-command. Replica and
+   * blocking sub-pools keep their own sizes.
+   * 
+   * @async
+   * @param {Object} sizes - New bounds; an omitted one stays as it is
+   * @param {number} [sizes.min] - New minConnections
+   * @param {number} [sizes.max] - New maxConnections
+   * @returns {Promise<void>} Resolves once connections up to the new minimum have been opened (or failed to)
+   * @throws {PoolClosedError} If the pool is shutting down
+   * @throws {InvalidOptionError} If a bound is invalid, min exceeds max, or max is not above reservedConnections
+   * @emits RedisPoolManager#resize - With the bounds before and after, unless neither changed
+   * 
+   * @example
+   * ```javascript
+   * // Scale up for the evening peak
+   * await pool.resize({ min: 10, max: 50 });
+   * ```
+   */
+  async resize(sizes = {}) {
+    if (this.isShuttingDown) {
+      throw new PoolClosedError();
+    }
+
+    const max = numberOption({ max: sizes.max }, 'max', this.maxConnections, { min: 1, integer: true });
+    const min = numberOption({ min: sizes.min }, 'min', Math.min(this.minConnections, max), { integer: true });
+    if (min > max) {
+      throw new InvalidOptionError('min', `min (${min}) cannot be greater than max (${max})`);
+    }
+    if (this.reservedConnections >= max) {
+      throw new InvalidOptionError('max', `max (${max}) must be greater than reservedConnections (${this.reservedConnections})`);
+    }
+
+    if (min === this.minConnections && max === this.maxConnections) {
+      return;
+    }
+
+    const previous = { min: this.minConnections, max: this.maxConnections };
+    this.minConnections = min;
+    this.maxConnections = max;
+    this.logger.info({ event: 'resize', previous, current: { min, max } }, 'Resized Redis connection pool');
+    this.emit('resize', { previous, current: { min, max } });
+
+    // Close idle connections over the new limit, longest idle first
+    const idle = [...this.availableConnections].sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const client of idle) {
+      if (this.getCommittedConnections() <= max) {
+        break;
+      }
+      this.retireConnection(client, 'resize');
+    }
+
+    // Idle connections held back for 'high' callers may now go to others
+    for (const client of [...this.availableConnections]) {
+      const head = this.waitingQueue[0];
+      if (!head || !this.mayCheckOut(head.priority)) {
+        break;
+      }
+      this.availableConnections.delete(client);
+      this.handOffConnection(client);
+    }
+
+    // Callers queued behind the old limit get connections of their own
+    while (this.waitingQueue.length > this.connectionPromises.size && this.getCommittedConnections() < max) {
+      this.createIdleConnection().catch(error => {
+        this.logger.error({ event: 'createError', err: error }, 'Failed to create Redis connection after resize');
       });
     }
+
+    await this.ensureMinimumConnections();
   }
 
   /**
@@ -478,15 +2852,24 @@ class RedisPoolManager extends EventEmitter {
    * @returns {number} returns.acquired - Total connection acquisitions
    * @returns {number} returns.released - Total connection releases
    * @returns {number} returns.errors - Total connection errors encountered
+   * @returns {number} returns.evicted - Total idle connections evicted
    * @returns {number} returns.available - Current available connections
    * @returns {number} returns.busy - Current busy connections
    * @returns {number} returns.total - Current total connections
+   * @returns {number} returns.pending - Callers currently waiting for a connection
+   * @returns {Object} returns.pendingByPriority - Waiting callers per priority (high, normal, low)
+   * @returns {Object} returns.acquireWait - Acquire wait time over the rolling window (count, p50, p95, p99, max in ms)
+   * @returns {Object} returns.holdTime - Connection hold time over the rolling window (count, p50, p95, p99, max in ms)
+   * @returns {Object|null} returns.blocking - The blocking sub-pool's own statistics, or null without one
+   * @returns {Object} returns.pipeline - execute() counters, queue depth and batch sizes over the rolling window
+   * @returns {Object} returns.subscribers - Subscriber connections and subscriptions, which the counts above don't include
    * 
    * @example
    * ```javascript
    * const stats = pool.getStats();
    * console.log(`Pool has ${stats.available} available, ${stats.busy} busy connections`);
    * console.log(`Total operations: ${stats.acquired} acquired, ${stats.released} released`);
+   * console.log(`Acquire wait p99: ${stats.acquireWait.p99}ms`);
    * ```
    */
   getStats() {
@@ -494,90 +2877,342 @@ class RedisPoolManager extends EventEmitter {
       ...this.stats,
       available: this.availableConnections.size,
       busy: this.busyConnections.size,
-      total: this.getTotalConnections()
+      total: this.getTotalConnections(),
+      pending: this.waitingQueue.length,
+      pendingByPriority: this.getPendingByPriority(),
+      acquireWait: this.latency.acquireWait.summary(),
+      holdTime: this.latency.holdTime.summary(),
+      circuit: {
+        state: this.circuit.state,
+        failures: this.circuit.failures.filter(time => Date.now() - time < this.circuitBreakerWindowMillis).length,
+        opened: this.circuit.opened,
+        rejected: this.circuit.rejected
+      },
+      endpoints: this.endpoints.map(endpoint => ({
+        endpoint: endpoint.id,
+        weight: endpoint.weight,
+        up: endpoint.downUntil <= Date.now(),
+        connections: this.countEndpointConnections(endpoint.id)
+      })),
+      replicas: this.replicas.map(replica => ({
+        name: replica.pool.name,
+        healthy: replica.healthy,
+        lag: replica.lag,
+        ...replica.pool.getStats()
+      })),
+      blocking: this.blockingPool && {
+        name: this.blockingPool.name,
+        ...this.blockingPool.getStats()
+      },
+      pipeline: {
+        ...this.pipeline.getStats(),
+        batchSize: this.latency.batchSize.summary()
+      },
+      subscribers: this.subscribers.getStats()
     };
   }
 
+  /**
+   * Counts waiting callers per priority lane
+   * 
+   * @private
+   * @returns {Object<string, number>} Waiter count for each priority
+   */
+  getPendingByPriority() {
+    const counts = {};
+    for (const priority of Object.keys(PRIORITIES)) {
+      counts[priority] = 0;
+    }
+    for (const waiter of this.waitingQueue) {
+      counts[waiter.priority]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Resets all statistics counters, latency windows and histograms
+   * 
+   * Current-state values (available, busy, total, pending) are unaffected.
+   * Prometheus treats the drop in exported counters as a counter reset.
+   * 
+   * @returns {void}
+   */
+  resetStats() {
+    for (const key of Object.keys(this.stats)) {
+      this.stats[key] = 0;
+    }
+    this.circuit.opened = 0;
+    this.circuit.rejected = 0;
+    this.subscribers.resetStats();
+    this.pipeline.resetStats();
+    for (const kind of Object.keys(this.latency)) {
+      this.latency[kind].reset();
+      this.histograms[kind] = new Histogram(this.histograms[kind].buckets);
+    }
+  }
+
+  /**
+   * Renders the pool's statistics in Prometheus text exposition format
+   * 
+   * Includes the getStats() counters and gauges plus acquire-wait,
+   * hold-time and pipeline batch-size histograms, all labelled with the
+   * pool name. Replica pools and the blocking pool
+   * are included under their own names. To expose
+   * several pools on one endpoint, use renderMetrics() from
+   * 'redis-pm/metrics' with all of them instead.
+   * 
+   * @returns {string} Metrics in text exposition format (version 0.0.4)
+   * 
+   * @example
+   * ```javascript
+   * app.get('/metrics', (req, res) => {
+   *   res.type('text/plain; version=0.0.4');
+   *   res.send(pool.getMetrics());
+   * });
+   * ```
+   */
+  getMetrics() {
+    return renderMetrics([this, ...this.getSubPools()]);
+  }
+
+  /**
+   * Lists the replica pools and the blocking pool
+   * 
+   * @private
+   * @returns {RedisPoolManager[]} Sub-pools owned by this pool
+   */
+  getSubPools() {
+    const pools = this.replicas.map(replica => replica.pool);
+    if (this.blockingPool) {
+      pools.push(this.blockingPool);
+    }
+    return pools;
+  }
+
   /**
    * Performs health checks on all available connections in the pool
    * 
-   * Pings each available connection to verify it's still responsive.
-   * Unhealthy connections are automatically removed and destroyed.
-   * This method should be called periodically to maintain pool health.
+   * Validates each available connection (PING, or the configured validator)
+   * to verify it's still responsive. Unhealthy connections are automatically
+   * removed and destroyed, and the pool is then refilled up to minConnections.
+   * Runs on its own when healthCheckInterval is set.
+   * 
+   * Replicas are checked too: each replica pool runs its own health check,
+   * and a replica is taken out of read rotation when it can't answer
+   * `INFO replication`, its link to the primary is down, or it lags more
+   * than maxReplicaLag bytes. It rejoins once a later check passes. The
+   * blocking sub-pool is checked as well. The pass/fail counts cover the
+   * primary's connections only.
    * 
    * @async
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Health check result
+   * @returns {number} returns.passed - Connections that passed validation
+   * @returns {number} returns.failed - Connections that failed and were destroyed
+   * @emits RedisPoolManager#healthcheck - With the same pass/fail counts
    * 
    * @example
    * ```javascript
-   * // Run health checks every 30 seconds
-   * setInterval(async () => {
-   *   await pool.healthCheck();
-   * }, 30000);
+   * // Let the pool run health checks every 30 seconds
+   * const pool = new RedisPoolManager(config, { healthCheckInterval: 30000 });
+   * pool.on('healthcheck', ({ passed, failed }) => {
+   *   console.log(`Health check: ${passed} passed, ${failed} failed`);
+   * });
    * ```
    */
   async healthCheck() {
-    const promises = [];
-    
-    // Test all available connections with ping
-    for (const client of this.availableConnections) {
-      promises.push(
-        client.ping().catch(error => {
-          console.error(`Health check failed for ${client.connectionId}:`, error);
-          client.isHealthy = false;
-          return false;
-        })
-      );
-    }
+    const clients = [...this.availableConnections];
     
-    // Wait for all health checks to complete
-    await Promise.allSettled(promises);
+    // Validate all available connections concurrently
+    const results = await Promise.all(
+      clients.map(client => this.validateConnection(client))
+    );
     
     // Remove and destroy unhealthy connections
-    for (const client of [...this.availableConnections]) {
-      if (!client.isHealthy) {
+    let failed = 0;
+    clients.forEach((client, index) => {
+      if (results[index] && client.isHealthy) {
+        return;
+      }
+      client.isHealthy = false;
+      failed++;
+      
+      // If it was acquired meanwhile, releaseConnection() will destroy it
+      if (this.availableConnections.has(client)) {
         this.destroyConnection(client);
       }
+    });
+    
+    // Replace what was lost so the pool keeps its minimum size
+    if (!this.isShuttingDown) {
+      await this.ensureMinimumConnections();
+      await this.checkReplicas();
+      if (this.blockingPool) {
+        await this.blockingPool.healthCheck();
+      }
     }
+    
+    const result = { passed: clients.length - failed, failed };
+    this.emit('healthcheck', result);
+    return result;
   }
 
   /**
    * Gracefully shuts down the connection pool
    * 
-   * Prevents new connections from being acquired and closes all existing
-   * connections cleanly. This method should be called when the application
-   * is shutting down to ensure proper cleanup of Redis connections.
+   * Stops handing out connections and rejects every queued waiter, then
+   * closes idle connections right away. Busy connections are closed as they
+   * are released; any still busy after drainTimeout are force-disconnected.
+   * This method should be called when the application is shutting down to
+   * ensure proper cleanup of Redis connections. Calling it again returns the
+   * same promise as the first call.
+   * 
+   * Replica pools are shut down alongside, and their counts are included in
+   * the summary. Sentinel and Pub/Sub connections are closed while busy
+   * connections drain, and shutdown doesn't wait for them past drainTimeout.
    * 
    * @async
-   * @returns {Promise<void>}
+   * @param {Object} [options={}] - Shutdown options
+   * @param {number} [options.drainTimeout=5000] - Max time in ms to wait for busy connections to be released
+   * @returns {Promise<Object>} Shutdown summary
+   * @returns {number} returns.closed - Idle connections closed immediately
+   * @returns {number} returns.drained - Busy connections released and closed before the deadline
+   * @returns {number} returns.forced - Busy connections force-disconnected at the deadline
+   * @returns {number} returns.rejected - Waiting callers rejected
+   * @throws {InvalidOptionError} Rejects with it if drainTimeout is not a finite number of at least 0 (code 'EINVALIDOPTION')
    * 
    * @example
    * ```javascript
    * // Graceful shutdown on application exit
    * process.on('SIGTERM', async () => {
-   *   await pool.shutdown();
+   *   const { forced } = await pool.shutdown({ drainTimeout: 10000 });
+   *   if (forced > 0) console.warn(`${forced} Redis connections were still busy`);
    *   process.exit(0);
    * });
    * ```
    */
-  async shutdown() {
-    console.log(" Shutting down Redis connection pool...");
+  shutdown(options = {}) {
+    if (!this.shutdownPromise) {
+      let drainTimeout;
+      try {
+        drainTimeout = numberOption(options, 'drainTimeout', 5000);
+      } catch (error) {
+        // Invalid options reject like any other shutdown failure
+        return Promise.reject(error);
+      }
+      this.shutdownPromise = this.drainAndClose(drainTimeout);
+    }
+    return this.shutdownPromise;
+  }
+
+  /**
+   * Performs the actual shutdown for shutdown()
+   * 
+   * @private
+   * @async
+   * @param {number} drainTimeout - Max time in ms to wait for busy connections
+   * @returns {Promise<Object>} Shutdown summary
+   */
+  async drainAndClose(drainTimeout) {
+    this.logger.info({ event: 'shutdown', drainTimeout }, 'Shutting down Redis connection pool');
     this.isShuttingDown = true;
     
-    // Collect all connections for shutdown
-    const allConnections = [
-      ...this.availableConnections,
-      ...this.busyConnections
-    ];
+    // Stop background maintenance
+    if (this.evictionTimer) {
+      clearInterval(this.evictionTimer);
+      this.evictionTimer = null;
+    }
+    if (this.healthCheckTimer) {
+      clearInterval(this.healthCheckTimer);
+      this.healthCheckTimer = null;
+    }
+    this.pipeline.stop();
     
-    // Shutdown all connections concurrently
-    const shutdownPromises = allConnections.map(client => 
-      this.destroyConnection(client)
-    );
+    // Nobody waiting will ever get a connection now
+    const waiters = this.waitingQueue.splice(0);
+    for (const waiter of waiters) {
+      this.settleWaiter(waiter);
+      waiter.reject(new PoolClosedError());
+    }
+    if (waiters.length > 0) {
+      this.emit('drain');
+    }
     
-    await Promise.allSettled(shutdownPromises);
-    console.log(" Redis connection pool shutdown complete");
+    // Replica and blocking pools drain alongside the primary
+    const subPoolShutdowns = this.getSubPools().map(pool => pool.shutdown({ drainTimeout }));
+    
+    // Idle connections can go right away
+    const idleConnections = [...this.availableConnections];
+    const closePromises = idleConnections.map(client => this.destroyConnection(client));
+    
+    // Count busy connections and start the clock before anything awaits
+    const busyAtStart = this.busyConnections.size;
+    const deadline = Date.now() + drainTimeout;
+    
+    // Sentinel and subscriber connections close while busy ones drain
+    const teardown = Promise.allSettled([
+      this.sentinel ? this.sentinel.stop() : null,
+      this.subscribers.stop()
+    ]);
+    
+    // Give busy connections until the deadline to be released
+    if (busyAtStart > 0) {
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, drainTimeout);
+        this.onBusyDrained = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        this.checkBusyDrained();
+      });
+      this.onBusyDrained = null;
+    }
+    
+    // Whatever is still busy gets cut off
+    const stragglers = [...this.busyConnections];
+    for (const client of stragglers) {
+      closePromises.push(this.destroyConnection(client, true));
+    }
+    
+    await Promise.allSettled(closePromises);
+    
+    // Don't let slow QUITs to sentinels or subscribers stretch past the deadline
+    let teardownTimer = null;
+    const tornDown = await Promise.race([
+      teardown.then(() => true),
+      new Promise(resolve => {
+        teardownTimer = setTimeout(() => resolve(false), Math.max(0, deadline - Date.now()));
+      })
+    ]);
+    clearTimeout(teardownTimer);
+    if (!tornDown) {
+      this.logger.warn({ event: 'shutdown' }, 'Sentinel and subscriber connections did not close before drainTimeout');
+    }
+    
+    const summary = {
+      closed: idleConnections.length,
+      drained: busyAtStart - stragglers.length,
+      forced: stragglers.length,
+      rejected: waiters.length
+    };
+    for (const subPoolSummary of await Promise.all(subPoolShutdowns)) {
+      for (const key of Object.keys(summary)) {
+        summary[key] += subPoolSummary[key];
+      }
+    }
+    this.logger.info({ event: 'shutdown', ...summary }, 'Redis connection pool shutdown complete');
+    return summary;
   }
 }
 
 export default RedisPoolManager;
+export {
+  RedisPoolError,
+  PoolTimeoutError,
+  PoolClosedError,
+  PoolExhaustedError,
+  ConnectionCreateError,
+  CircuitOpenError,
+  AbortError,
+  TransactionConflictError,
+  InvalidOptionError
+} from "./errors.js";
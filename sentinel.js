@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Redis Sentinel support for Redis Pool Manager
+ *
+ * Resolves the current master address from a list of sentinels and watches
+ * for `+switch-master` notifications so the pool can follow a failover.
+ * Used internally by RedisPoolManager when the `sentinel` option is set.
+ */
+import { createClient } from "redis";
+import EventEmitter from "events";
+
+/**
+ * Reconnect attempts on the subscribed sentinel before moving to the next one
+ *
+ * @private
+ * @type {number}
+ */
+const SUBSCRIBER_RECONNECT_ATTEMPTS = 3;
+
+/**
+ * SentinelMonitor - Tracks the master of a Sentinel-managed Redis deployment
+ *
+ * @class SentinelMonitor
+ * @extends EventEmitter
+ *
+ * @fires SentinelMonitor#switch - Emitted when sentinels announce a new master for our master name
+ * @fires SentinelMonitor#reconnect - Emitted when the subscription reconnects and notifications may have been missed
+ * @fires SentinelMonitor#disconnect - Emitted when the subscribed sentinel is gone and subscribe() must be called again
+ * @fires SentinelMonitor#error - Emitted when the subscriber connection reports an error
+ */
+export class SentinelMonitor extends EventEmitter {
+  /**
+   * Creates a new SentinelMonitor
+   *
+   * @param {Object} options - Sentinel options
+   * @param {Array<{host: string, port: number}>} options.sentinels - Sentinels to query, in order of preference
+   * @param {string} options.masterName - Name of the monitored master
+   * @param {Object} [options.sentinelConfig={}] - Extra Redis client options for sentinel connections (password, TLS, ...)
+   */
+  constructor(options) {
+    super();
+
+    this.sentinels = options.sentinels;
+    this.masterName = options.masterName;
+    this.sentinelConfig = options.sentinelConfig || {};
+
+    /** @type {Object|null} Client subscribed to +switch-master */
+    this.subscriber = null;
+    /** @type {number} Index in sentinels that the next subscribe() starts from */
+    this.nextSentinel = 0;
+  }
+
+  /**
+   * Creates a client for one sentinel
+   *
+   * The first connect fails fast instead of retrying forever, so the next
+   * sentinel in the list can be tried. Once connected, the client retries
+   * SUBSCRIBER_RECONNECT_ATTEMPTS times, then gives up and calls onGiveUp.
+   *
+   * @private
+   * @param {{host: string, port: number}} sentinel - Sentinel address
+   * @param {function(): void} [onGiveUp] - Called when an established connection stops reconnecting
+   * @returns {Object} Redis client, not yet connected
+   */
+  createSentinelClient(sentinel, onGiveUp) {
+    let established = false;
+    const client = createClient({
+      ...this.sentinelConfig,
+      socket: {
+        ...this.sentinelConfig.socket,
+        host: sentinel.host,
+        port: sentinel.port,
+        reconnectStrategy: retries => {
+          if (!established) {
+            return false;
+          }
+          if (retries < SUBSCRIBER_RECONNECT_ATTEMPTS) {
+            return Math.min((retries + 1) * 50, 500);
+          }
+          if (onGiveUp) {
+            // Let the client finish closing before anything reacts
+            setImmediate(onGiveUp);
+          }
+          return false;
+        }
+      }
+    });
+
+    client.once('ready', () => {
+      established = true;
+    });
+
+    return client;
+  }
+
+  /**
+   * Asks the sentinels for the current master address
+   *
+   * Sentinels are tried in order until one answers.
+   *
+   * @async
+   * @returns {Promise<{host: string, port: number}>} Current master address
+   * @throws {Error} If no sentinel could be reached or none knows the master
+   */
+  async getMasterAddress() {
+    let lastError = null;
+
+    for (const sentinel of this.sentinels) {
+      const client = this.createSentinelClient(sentinel);
+      // Failures surface through connect() and sendCommand() below
+      client.on('error', () => {});
+
+      try {
+        await client.connect();
+        const reply = await client.sendCommand(['SENTINEL', 'get-master-addr-by-name', this.masterName]);
+        if (!reply) {
+          throw new Error(`Sentinel ${sentinel.host}:${sentinel.port} does not know master "${this.masterName}"`);
+        }
+        return { host: reply[0], port: Number(reply[1]) };
+      } catch (error) {
+        lastError = error;
+      } finally {
+        if (client.isOpen) {
+          client.disconnect().catch(() => {});
+        }
+      }
+    }
+
+    throw new Error(`Could not resolve master "${this.masterName}" from any sentinel: ${lastError && lastError.message}`);
+  }
+
+  /**
+   * Subscribes to +switch-master on the first reachable sentinel
+   *
+   * Starts after the sentinel whose subscription was last lost, so a dead
+   * sentinel isn't retried first, and goes round the whole list. If the
+   * subscribed sentinel becomes unreachable later, 'disconnect' is emitted
+   * and subscribe() has to be called again.
+   *
+   * @async
+   * @returns {Promise<void>}
+   * @throws {Error} If no sentinel could be reached
+   */
+  async subscribe() {
+    let lastError = null;
+
+    for (let i = 0; i < this.sentinels.length; i++) {
+      const index = (this.nextSentinel + i) % this.sentinels.length;
+      const sentinel = this.sentinels[index];
+      const subscriber = this.createSentinelClient(sentinel, () => this.handleSubscriberLost(subscriber, index));
+      subscriber.on('error', error => this.emit('error', error));
+
+      try {
+        await subscriber.connect();
+        await subscriber.subscribe('+switch-master', message => this.handleSwitchMaster(message));
+      } catch (error) {
+        lastError = error;
+        if (subscriber.isOpen) {
+          subscriber.disconnect().catch(() => {});
+        }
+        continue;
+      }
+
+      // Any later 'ready' is a reconnect, which may have missed a switch
+      subscriber.on('ready', () => this.emit('reconnect'));
+      this.subscriber = subscriber;
+      this.nextSentinel = index;
+      return;
+    }
+
+    throw new Error(`Could not subscribe to any sentinel: ${lastError && lastError.message}`);
+  }
+
+  /**
+   * Drops a subscriber whose sentinel stopped answering
+   *
+   * @private
+   * @param {Object} subscriber - Client that gave up reconnecting
+   * @param {number} index - Index of its sentinel in sentinels
+   * @returns {void}
+   * @emits SentinelMonitor#disconnect - With the address of the lost sentinel
+   */
+  handleSubscriberLost(subscriber, index) {
+    // stop() or a newer subscription already replaced it
+    if (this.subscriber !== subscriber) {
+      return;
+    }
+
+    this.subscriber = null;
+    this.nextSentinel = (index + 1) % this.sentinels.length;
+    this.emit('disconnect', this.sentinels[index]);
+  }
+
+  /**
+   * Parses a +switch-master message and emits 'switch' for our master
+   *
+   * Messages look like `<master-name> <old-ip> <old-port> <new-ip> <new-port>`.
+   *
+   * @private
+   * @param {string} message - Raw notification payload
+   * @returns {void}
+   */
+  handleSwitchMaster(message) {
+    const [masterName, oldHost, oldPort, newHost, newPort] = message.split(' ');
+    if (masterName !== this.masterName) {
+      return;
+    }
+
+    this.emit('switch', {
+      previous: { host: oldHost, port: Number(oldPort) },
+      current: { host: newHost, port: Number(newPort) }
+    });
+  }
+
+  /**
+   * Closes the subscriber connection
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    const subscriber = this.subscriber;
+    this.subscriber = null;
+
+    if (subscriber && subscriber.isOpen) {
+      await subscriber.quit().catch(() => {});
+    }
+  }
+}
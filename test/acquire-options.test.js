@@ -0,0 +1,130 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import RedisPoolManager, { AbortError, PoolTimeoutError } from "../rpm.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { closedPort, createPool, delay } from "./helpers/pool.js";
+
+describe('acquireConnection({ timeout, signal })', () => {
+  let server;
+  let pool;
+
+  before(async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 1, connectionTimeout: 1000 });
+  });
+
+  after(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('rejects a queued caller with PoolTimeoutError after its own timeout', async () => {
+    const client = await pool.acquireConnection();
+    try {
+      const startedAt = Date.now();
+      await assert.rejects(pool.acquireConnection({ timeout: 50 }), PoolTimeoutError);
+      const elapsed = Date.now() - startedAt;
+      assert.ok(elapsed >= 45 && elapsed < 500);
+      assert.equal(pool.getStats().pending, 0);
+    } finally {
+      pool.releaseConnection(client);
+    }
+  });
+
+  it('rejects a queued caller with AbortError when its signal fires', async () => {
+    const client = await pool.acquireConnection();
+    const controller = new AbortController();
+    try {
+      const acquiring = pool.acquireConnection({ signal: controller.signal });
+      await delay(10);
+      controller.abort();
+      await assert.rejects(acquiring, AbortError);
+      assert.equal(pool.getStats().pending, 0);
+    } finally {
+      pool.releaseConnection(client);
+    }
+  });
+
+  it('rejects an already aborted signal without queueing', async () => {
+    await assert.rejects(pool.acquireConnection({ signal: AbortSignal.abort() }), AbortError);
+    assert.equal(pool.getStats().pending, 0);
+  });
+});
+
+describe('acquireConnection while a connection is being created', () => {
+  let pool;
+
+  before(async () => {
+    // Nothing listens, and the retry waits at least 500 ms, so a creation takes a while
+    pool = new RedisPoolManager(
+      { socket: { host: '127.0.0.1', port: await closedPort() } },
+      { logLevel: 'silent', minConnections: 0, maxConnections: 2, retryDelay: 1000, maxRetries: 1 }
+    );
+    await once(pool, 'ready');
+  });
+
+  after(async () => {
+    await pool.shutdown({ drainTimeout: 0 });
+  });
+
+  it('gives up with AbortError when the signal fires', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    const startedAt = Date.now();
+    await assert.rejects(pool.acquireConnection({ timeout: 2000, signal: controller.signal }), AbortError);
+    assert.ok(Date.now() - startedAt < 400);
+  });
+
+  it('gives up with PoolTimeoutError after the timeout', async () => {
+    const startedAt = Date.now();
+    await assert.rejects(pool.acquireConnection({ timeout: 50 }), PoolTimeoutError);
+    assert.ok(Date.now() - startedAt < 400);
+  });
+});
+
+describe('a connection created for a caller that gave up', () => {
+  it('joins the pool when it is ready', async () => {
+    const server = await startFakeRedis();
+    const pool = await createPool(server, { minConnections: 0, maxConnections: 1 });
+    try {
+      const controller = new AbortController();
+      const acquiring = pool.acquireConnection({ signal: controller.signal });
+      controller.abort();
+      await assert.rejects(acquiring, AbortError);
+
+      await delay(100);
+      assert.equal(pool.getStats().available, 1);
+      assert.equal(pool.getStats().busy, 0);
+    } finally {
+      await pool.shutdown();
+      await server.close();
+    }
+  });
+});
+
+describe('a connection created for a caller', () => {
+  it('is never handed to another caller in the meantime', async () => {
+    const server = await startFakeRedis();
+    const pool = await createPool(server, { minConnections: 0, maxConnections: 2 });
+    try {
+      let other;
+      pool.once('create', () => {
+        queueMicrotask(() => {
+          other = pool.acquireConnection();
+        });
+      });
+
+      const first = await pool.acquireConnection({ timeout: 1000 });
+      const second = await other;
+      assert.notEqual(first, second);
+      assert.equal(pool.getStats().busy, 2);
+
+      pool.releaseConnection(first);
+      pool.releaseConnection(second);
+    } finally {
+      await pool.shutdown();
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { PoolTimeoutError } from "../rpm.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool } from "./helpers/pool.js";
+
+describe('acquireConnection', () => {
+  let server;
+  let pool;
+
+  before(async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 1, connectionTimeout: 50 });
+  });
+
+  after(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('hands out a working connection', async () => {
+    const client = await pool.acquireConnection();
+    try {
+      await client.set('greeting', 'hello');
+      assert.equal(await client.get('greeting'), 'hello');
+    } finally {
+      pool.releaseConnection(client);
+    }
+  });
+
+  it('serves waiters in FIFO order', async () => {
+    const first = await pool.acquireConnection();
+    const order = [];
+    const waiters = [1, 2, 3].map(n => pool.acquireConnection().then(client => {
+      order.push(n);
+      pool.releaseConnection(client);
+    }));
+    assert.equal(pool.getStats().pending, 3);
+
+    pool.releaseConnection(first);
+    await Promise.all(waiters);
+    assert.deepEqual(order, [1, 2, 3]);
+    assert.equal(pool.getStats().pending, 0);
+  });
+
+  it('hands a released connection straight to the next waiter', async () => {
+    const first = await pool.acquireConnection();
+    const waiter = pool.acquireConnection();
+
+    pool.releaseConnection(first);
+    assert.equal(await waiter, first);
+    assert.equal(pool.getStats().available, 0);
+    pool.releaseConnection(first);
+  });
+
+  it('rejects a queued caller with PoolTimeoutError after connectionTimeout', async () => {
+    const client = await pool.acquireConnection();
+    try {
+      const startedAt = Date.now();
+      await assert.rejects(pool.acquireConnection(), PoolTimeoutError);
+      assert.ok(Date.now() - startedAt >= 45);
+      assert.equal(pool.getStats().pending, 0);
+    } finally {
+      pool.releaseConnection(client);
+    }
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool, delay } from "./helpers/pool.js";
+import { InvalidOptionError, PoolTimeoutError } from "../errors.js";
+
+describe('blocking sub-pool', () => {
+  let server;
+  let pool;
+
+  before(async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, {
+      minConnections: 1,
+      maxConnections: 1,
+      blockingMinConnections: 1,
+      blockingMaxConnections: 1,
+      blockingConnectionTimeout: 100
+    });
+  });
+
+  after(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('runs blocking commands without tying up primary connections', async () => {
+    const job = pool.blocking(client => client.blPop('jobs', 5));
+    await delay(20);
+
+    // The only primary connection is still free while BLPOP waits
+    assert.equal(pool.getStats().blocking.busy, 1);
+    assert.equal(pool.getStats().busy, 0);
+    assert.equal(await pool.execute('RPUSH', 'jobs', 'job:1'), 1);
+    assert.deepEqual(await job, { key: 'jobs', element: 'job:1' });
+  });
+
+  it('applies blockingConnectionTimeout to the sub-pool', async () => {
+    const job = pool.blocking(client => client.blPop('other', 1));
+    await delay(20);
+
+    await assert.rejects(pool.blocking(client => client.ping()), PoolTimeoutError);
+    await pool.execute('RPUSH', 'other', 'x');
+    await job;
+  });
+
+  it('returns blocking connections to the sub-pool', async () => {
+    await pool.blocking(client => client.ping());
+    const stats = pool.getStats();
+    assert.equal(stats.blocking.busy, 0);
+    assert.equal(stats.busy, 0);
+  });
+});
+
+describe('blocking acquisition without a sub-pool', () => {
+  it('throws InvalidOptionError', async () => {
+    const server = await startFakeRedis();
+    const pool = await createPool(server, { minConnections: 1 });
+    try {
+      await assert.rejects(pool.acquireConnection({ blocking: true }), InvalidOptionError);
+    } finally {
+      await pool.shutdown();
+      await server.close();
+    }
+  });
+});
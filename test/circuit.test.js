@@ -0,0 +1,77 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import RedisPoolManager, { CircuitOpenError, ConnectionCreateError } from "../rpm.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { delay } from "./helpers/pool.js";
+
+describe('circuit breaker', () => {
+  let server;
+  let gate;
+  let pool;
+
+  afterEach(async () => {
+    await pool.shutdown({ drainTimeout: 0 });
+    await new Promise(resolve => gate.close(resolve));
+    await server.close();
+  });
+
+  it('opens after the threshold, fails fast, then closes after a successful probe', async () => {
+    server = await startFakeRedis();
+    // Forwards to the server while it is up, drops connections otherwise
+    let up = true;
+    let attempts = 0;
+    gate = net.createServer(socket => {
+      attempts++;
+      socket.on('error', () => {});
+      if (!up) {
+        socket.destroy();
+        return;
+      }
+      const upstream = net.connect(server.port, '127.0.0.1');
+      upstream.on('error', () => socket.destroy());
+      socket.pipe(upstream).pipe(socket);
+    });
+    await new Promise(resolve => gate.listen(0, '127.0.0.1', resolve));
+
+    pool = new RedisPoolManager(
+      { socket: { host: '127.0.0.1', port: gate.address().port } },
+      {
+        logLevel: 'silent',
+        minConnections: 1,
+        maxConnections: 3,
+        maxRetries: 0,
+        circuitBreakerThreshold: 2,
+        circuitBreakerCooldownMillis: 200
+      }
+    );
+    const transitions = [];
+    for (const event of ['circuitOpen', 'circuitHalfOpen', 'circuitClose']) {
+      pool.on(event, () => transitions.push(event));
+    }
+    await new Promise(resolve => pool.once('ready', resolve));
+    const held = await pool.acquireConnection();
+
+    up = false;
+    await assert.rejects(pool.acquireConnection({ timeout: 1000 }), ConnectionCreateError);
+    await assert.rejects(pool.acquireConnection({ timeout: 1000 }), ConnectionCreateError);
+    assert.deepEqual(transitions, ['circuitOpen']);
+
+    // While open, callers are refused without a connection attempt
+    const tried = attempts;
+    await assert.rejects(pool.acquireConnection({ timeout: 1000 }), CircuitOpenError);
+    assert.equal(attempts, tried);
+    assert.equal(pool.getStats().circuit.state, 'open');
+    assert.equal(pool.getStats().circuit.rejected, 1);
+
+    // After the cooldown one probe goes through and closes the circuit
+    up = true;
+    await delay(250);
+    const probe = await pool.acquireConnection({ timeout: 1000 });
+    assert.deepEqual(transitions, ['circuitOpen', 'circuitHalfOpen', 'circuitClose']);
+    assert.equal(pool.getStats().circuit.state, 'closed');
+
+    pool.releaseConnection(probe);
+    pool.releaseConnection(held);
+  });
+});
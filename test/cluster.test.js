@@ -0,0 +1,212 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { RedisClusterPoolManager, calculateSlot } from "../cluster.js";
+import { InvalidOptionError } from "../errors.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { closedPort, delay } from "./helpers/pool.js";
+
+/**
+ * Creates a silent cluster against fake nodes and waits until it is ready
+ *
+ * @param {FakeRedis} root - Node to load the topology from
+ * @param {Object} [options={}] - Cluster options
+ * @returns {Promise<RedisClusterPoolManager>} Ready cluster
+ */
+async function createCluster(root, options = {}) {
+  const cluster = new RedisClusterPoolManager(
+    { rootNodes: [{ host: '127.0.0.1', port: root.port }] },
+    { logLevel: 'silent', minConnections: 1, maxConnections: 2, ...options }
+  );
+  await once(cluster, 'ready');
+  return cluster;
+}
+
+// 'bar' hashes to slot 5061 and 'foo' to 12182
+const LOW_KEY = 'bar';
+const HIGH_KEY = 'foo';
+
+describe('calculateSlot', () => {
+  it('computes the CRC16 slot of a key', () => {
+    assert.equal(calculateSlot('123456789'), 0x31c3);
+    assert.equal(calculateSlot(LOW_KEY), 5061);
+    assert.equal(calculateSlot(HIGH_KEY), 12182);
+    assert.equal(calculateSlot(Buffer.from(HIGH_KEY)), 12182);
+  });
+
+  it('hashes only a non-empty hash tag', () => {
+    assert.equal(calculateSlot('{user1000}.following'), calculateSlot('{user1000}.followers'));
+    assert.equal(calculateSlot('user:{42}:profile'), calculateSlot('42'));
+    // The first {...} counts, even if it is not the only one
+    assert.equal(calculateSlot('foo{bar}{zap}'), calculateSlot('bar'));
+    assert.equal(calculateSlot('foo{{bar}}zap'), calculateSlot('{bar'));
+    // Empty or unclosed tags hash the whole key
+    assert.equal(calculateSlot('foo{}{bar}'), calculateSlot('foo{}{bar}'));
+    assert.notEqual(calculateSlot('foo{}{bar}'), calculateSlot('bar'));
+    assert.notEqual(calculateSlot('foo{bar'), calculateSlot('bar'));
+  });
+});
+
+describe('cluster routing and redirects', () => {
+  let low;
+  let high;
+  let cluster;
+
+  beforeEach(async () => {
+    low = await startFakeRedis();
+    high = await startFakeRedis();
+    for (const node of [low, high]) {
+      node.slots = [[0, 8191, low.port], [8192, 16383, high.port]];
+    }
+    cluster = await createCluster(low);
+  });
+
+  afterEach(async () => {
+    await cluster.shutdown();
+    await Promise.all([low.close(), high.close()]);
+  });
+
+  it('routes keys to the master that owns their slot', async () => {
+    await cluster.withConnection(client => client.set(LOW_KEY, '1'), { key: LOW_KEY });
+    await cluster.withConnection(client => client.set(HIGH_KEY, '2'), { key: HIGH_KEY });
+
+    assert.equal(low.store.get(LOW_KEY), '1');
+    assert.equal(high.store.get(HIGH_KEY), '2');
+    assert.equal(low.store.has(HIGH_KEY), false);
+  });
+
+  it('follows MOVED to the new owner and refreshes the slot map', async () => {
+    // Slot 5061 moves to the other master
+    for (const node of [low, high]) {
+      node.slots = [[0, 5060, low.port], [5061, 5061, high.port], [5062, 8191, low.port], [8192, 16383, high.port]];
+    }
+    low.redirect = args => (args[1] === LOW_KEY ? `MOVED 5061 127.0.0.1:${high.port}` : null);
+    const redirects = [];
+    cluster.on('redirect', info => redirects.push(info));
+
+    await cluster.withConnection(client => client.set(LOW_KEY, 'moved'), { key: LOW_KEY });
+
+    assert.equal(high.store.get(LOW_KEY), 'moved');
+    assert.deepEqual(redirects, [{ type: 'MOVED', slot: 5061, node: `127.0.0.1:${high.port}` }]);
+
+    // Later calls go straight to the new owner
+    low.redirect = null;
+    await cluster.withConnection(client => client.set(LOW_KEY, 'again'), { key: LOW_KEY });
+    assert.equal(high.store.get(LOW_KEY), 'again');
+    assert.equal(low.store.has(LOW_KEY), false);
+  });
+
+  it('follows ASK with ASKING without changing the slot map', async () => {
+    low.redirect = args => (args[1] === LOW_KEY ? `ASK 5061 127.0.0.1:${high.port}` : null);
+
+    await cluster.withConnection(client => client.set(LOW_KEY, 'asked'), { key: LOW_KEY });
+    assert.equal(high.store.get(LOW_KEY), 'asked');
+    assert.equal(high.count('ASKING'), 1);
+
+    low.redirect = null;
+    await cluster.withConnection(client => client.set(LOW_KEY, 'home'), { key: LOW_KEY });
+    assert.equal(low.store.get(LOW_KEY), 'home');
+  });
+
+  it('follows ASK to a node without a pool over a temporary connection', async () => {
+    const importing = await startFakeRedis();
+    try {
+      low.redirect = args => (args[1] === LOW_KEY ? `ASK 5061 127.0.0.1:${importing.port}` : null);
+
+      await cluster.withConnection(client => client.set(LOW_KEY, 'imported'), { key: LOW_KEY });
+      assert.equal(importing.store.get(LOW_KEY), 'imported');
+      assert.equal(importing.count('ASKING'), 1);
+
+      await delay(20);
+      assert.equal(importing.sessions.size, 0);
+    } finally {
+      await importing.close();
+    }
+  });
+
+  it('gives up after maxRedirections', async () => {
+    await cluster.shutdown();
+    cluster = await createCluster(low, { maxRedirections: 2 });
+    low.redirect = args => (args[1] === LOW_KEY ? `ASK 5061 127.0.0.1:${low.port}` : null);
+
+    await assert.rejects(cluster.withConnection(client => client.get(LOW_KEY), { key: LOW_KEY }), { message: /^ASK 5061/ });
+    assert.equal(low.count('ASKING'), 2);
+  });
+});
+
+describe('cluster startup', () => {
+  it('becomes ready when a master is unreachable, and reports it', async () => {
+    const low = await startFakeRedis();
+    const downPort = await closedPort();
+    low.slots = [[0, 8191, low.port], [8192, 16383, downPort]];
+
+    const cluster = new RedisClusterPoolManager(
+      { rootNodes: [{ host: '127.0.0.1', port: low.port }] },
+      { logLevel: 'silent', minConnections: 1, maxRetries: 0, retryDelay: 10 }
+    );
+    const errors = [];
+    cluster.on('error', error => errors.push(error));
+    try {
+      // Not once(): it rejects on the 'error' events this test expects
+      await new Promise(resolve => cluster.once('ready', resolve));
+      assert.ok(errors.length > 0);
+
+      await cluster.withConnection(client => client.set(LOW_KEY, 'up'), { key: LOW_KEY });
+      assert.equal(low.store.get(LOW_KEY), 'up');
+    } finally {
+      await cluster.shutdown();
+      await low.close();
+    }
+  });
+
+  it('stops starting up when shut down before it is ready', async () => {
+    const cluster = new RedisClusterPoolManager(
+      { rootNodes: [{ host: '127.0.0.1', port: await closedPort() }] },
+      { logLevel: 'silent', retryDelay: 60000 }
+    );
+    cluster.on('error', () => {});
+    let ready = false;
+    cluster.on('ready', () => {
+      ready = true;
+    });
+
+    await delay(20);
+    const startedAt = Date.now();
+    await cluster.shutdown();
+    await delay(20);
+
+    // The 60 s retry wait was cut short, or this test would keep the process alive
+    assert.ok(Date.now() - startedAt < 1000);
+    assert.equal(ready, false);
+  });
+});
+
+describe('RedisClusterPoolManager options', () => {
+  it('throws InvalidOptionError for invalid cluster or pool options', async () => {
+    const rootNodes = [{ host: '127.0.0.1', port: await closedPort() }];
+    for (const options of [
+      { maxRedirections: -1 },
+      { maxConnections: 0 },
+      { minConnections: 3, maxConnections: 2 },
+      { testOnBorrow: 'yes' }
+    ]) {
+      assert.throws(() => new RedisClusterPoolManager({ rootNodes }, { logLevel: 'silent', ...options }), InvalidOptionError);
+    }
+    assert.throws(() => new RedisClusterPoolManager({ rootNodes: [] }, { logLevel: 'silent' }), InvalidOptionError);
+  });
+
+  it('rejects an invalid drainTimeout instead of throwing', async () => {
+    const cluster = new RedisClusterPoolManager(
+      { rootNodes: [{ host: '127.0.0.1', port: await closedPort() }] },
+      { logLevel: 'silent', retryDelay: 10 }
+    );
+    cluster.on('error', () => {});
+
+    let shutdown;
+    assert.doesNotThrow(() => {
+      shutdown = cluster.shutdown({ drainTimeout: Infinity });
+    });
+    await assert.rejects(shutdown, InvalidOptionError);
+    await cluster.shutdown();
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import RedisPoolManager from "../rpm.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { delay } from "./helpers/pool.js";
+
+describe('config.endpoints', () => {
+  let server;
+  let broken;
+  let pool;
+
+  afterEach(async () => {
+    await pool.shutdown({ drainTimeout: 0 });
+    await server.close();
+    await new Promise(resolve => broken.close(resolve));
+  });
+
+  it('fails over to the next endpoint and retries the first after its cooldown', async () => {
+    server = await startFakeRedis();
+    // Accepts and drops every connection, counting the attempts
+    let attempts = 0;
+    broken = net.createServer(socket => {
+      attempts++;
+      socket.on('error', () => {});
+      socket.destroy();
+    });
+    await new Promise(resolve => broken.listen(0, '127.0.0.1', resolve));
+    const brokenId = `127.0.0.1:${broken.address().port}`;
+    const serverId = `127.0.0.1:${server.port}`;
+
+    pool = new RedisPoolManager(
+      {
+        endpoints: [
+          { host: '127.0.0.1', port: broken.address().port },
+          { host: '127.0.0.1', port: server.port }
+        ]
+      },
+      {
+        logLevel: 'silent',
+        minConnections: 1,
+        maxConnections: 3,
+        retryDelay: 10,
+        endpointFailureThreshold: 2,
+        endpointCooldownMillis: 200
+      }
+    );
+    const down = [];
+    pool.on('endpointDown', info => down.push(info.endpoint));
+    pool.on('error', () => {});
+    await new Promise(resolve => pool.once('ready', resolve));
+
+    assert.deepEqual(down, [brokenId]);
+    assert.equal(attempts, 2);
+    const first = await pool.acquireConnection();
+    assert.equal(first.endpoint, serverId);
+
+    // While the first endpoint cools down, new connections skip it
+    const second = await pool.acquireConnection();
+    assert.equal(second.endpoint, serverId);
+    assert.equal(attempts, 2);
+    assert.deepEqual(pool.getStats().endpoints.map(({ endpoint, up, connections }) => ({ endpoint, up, connections })), [
+      { endpoint: brokenId, up: false, connections: 0 },
+      { endpoint: serverId, up: true, connections: 2 }
+    ]);
+
+    // Once the cooldown is over it is tried first again
+    await delay(250);
+    assert.equal(pool.getStats().endpoints[0].up, true);
+    const third = await pool.acquireConnection();
+    assert.equal(third.endpoint, serverId);
+    assert.equal(attempts, 4);
+    assert.deepEqual(down, [brokenId, brokenId]);
+
+    for (const client of [first, second, third]) {
+      pool.releaseConnection(client);
+    }
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool } from "./helpers/pool.js";
+
+describe('create event', () => {
+  let server;
+  let pool;
+
+  beforeEach(async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 0, maxConnections: 2 });
+  });
+
+  afterEach(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('fires once the new connection belongs to the caller that asked for it', async () => {
+    let seen = null;
+    pool.once('create', info => {
+      seen = { ...info, busy: pool.getStats().busy, available: pool.getStats().available };
+    });
+
+    const client = await pool.acquireConnection();
+    assert.equal(seen.connectionId, client.connectionId);
+    assert.ok(seen.connectTime >= 0);
+    assert.equal(seen.busy, 1);
+    assert.equal(seen.available, 0);
+    pool.releaseConnection(client);
+  });
+});
+
+describe('lifecycle events', () => {
+  const EVENTS = ['create', 'acquire', 'enqueue', 'release', 'timeout', 'drain', 'destroy'];
+  let server;
+  let pool;
+  let events;
+
+  beforeEach(async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 0, maxConnections: 1 });
+    events = [];
+    for (const name of EVENTS) {
+      pool.on(name, info => events.push([name, info]));
+    }
+  });
+
+  afterEach(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('reports a connection handed from one caller to a queued one', async () => {
+    const first = await pool.acquireConnection();
+    const waiting = pool.acquireConnection();
+    pool.releaseConnection(first);
+    const second = await waiting;
+    pool.releaseConnection(second);
+
+    assert.deepEqual(events.map(([name]) => name), ['create', 'acquire', 'enqueue', 'release', 'drain', 'acquire', 'release']);
+    const { connectionId } = first;
+    assert.ok(events.every(([name, info]) => name === 'enqueue' || name === 'drain' || info.connectionId === connectionId));
+    assert.deepEqual(events[2][1], { pending: 1, priority: 'normal' });
+    assert.ok(events[5][1].waitTime >= 0);
+    assert.ok(events[6][1].holdTime >= 0);
+  });
+
+  it('reports a caller that timed out in the queue, and connections closed on shutdown', async () => {
+    const client = await pool.acquireConnection();
+    await assert.rejects(pool.acquireConnection({ timeout: 30 }));
+    pool.releaseConnection(client);
+    await pool.shutdown();
+
+    assert.deepEqual(events.map(([name]) => name), ['create', 'acquire', 'enqueue', 'drain', 'timeout', 'release', 'destroy']);
+    const timeout = events.find(([name]) => name === 'timeout')[1];
+    assert.ok(timeout.waitTime >= 30);
+    assert.equal(timeout.pending, 0);
+    assert.equal(events[events.length - 1][1].connectionId, client.connectionId);
+  });
+});
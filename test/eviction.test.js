@@ -0,0 +1,60 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool, delay, waitFor } from "./helpers/pool.js";
+
+describe('idle eviction', () => {
+  let server;
+  let pool;
+
+  afterEach(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  /**
+   * Checks out and returns maxConnections connections so the pool is at full size
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function fillPool() {
+    const clients = await Promise.all([pool.acquireConnection(), pool.acquireConnection(), pool.acquireConnection()]);
+    for (const client of clients) {
+      pool.releaseConnection(client);
+    }
+    assert.equal(pool.getStats().available, 3);
+  }
+
+  it('scales idle connections back down to minConnections', async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, {
+      minConnections: 1,
+      maxConnections: 3,
+      idleTimeoutMillis: 50,
+      evictionRunIntervalMillis: 20
+    });
+    const evicted = [];
+    pool.on('evict', info => evicted.push(info));
+
+    await fillPool();
+    await waitFor(() => pool.getStats().total === 1);
+    assert.equal(evicted.length, 2);
+    assert.ok(evicted.every(info => info.idleFor >= 50));
+    assert.equal(pool.getStats().evicted, 2);
+
+    // minConnections are kept however long they sit idle
+    await delay(100);
+    assert.equal(pool.getStats().total, 1);
+  });
+
+  it('does not evict while evictionRunIntervalMillis is 0', async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 3, idleTimeoutMillis: 10 });
+
+    await fillPool();
+    await delay(100);
+    assert.equal(pool.getStats().total, 3);
+    assert.equal(pool.getStats().evicted, 0);
+  });
+});
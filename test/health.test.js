@@ -0,0 +1,76 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool, waitFor } from "./helpers/pool.js";
+
+describe('health checks and validation', () => {
+  let server;
+  let pool;
+  // Connection ids the validator reports as broken
+  let broken;
+
+  afterEach(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  /**
+   * Starts a server and a pool whose validator fails the connections in `broken`
+   *
+   * @async
+   * @param {Object} options - Extra pool options
+   * @returns {Promise<void>}
+   */
+  async function start(options) {
+    broken = new Set();
+    server = await startFakeRedis();
+    pool = await createPool(server, {
+      validator: client => !broken.has(client.connectionId),
+      ...options
+    });
+  }
+
+  it('destroys connections that fail healthCheck() and refills to minConnections', async () => {
+    await start({ minConnections: 2, maxConnections: 2 });
+    const [bad] = pool.availableConnections;
+    broken.add(bad.connectionId);
+
+    const reported = once(pool, 'healthcheck');
+    const result = await pool.healthCheck();
+    assert.deepEqual(result, { passed: 1, failed: 1 });
+    assert.deepEqual((await reported)[0], result);
+
+    assert.equal(pool.getStats().total, 2);
+    assert.ok(![...pool.availableConnections].includes(bad));
+  });
+
+  it('runs health checks on its own with healthCheckInterval', async () => {
+    await start({ minConnections: 1, maxConnections: 1, healthCheckInterval: 20 });
+    const [result] = await once(pool, 'healthcheck');
+    assert.deepEqual(result, { passed: 1, failed: 0 });
+  });
+
+  it('never hands out a connection that fails testOnBorrow', async () => {
+    await start({ minConnections: 1, maxConnections: 1, testOnBorrow: true });
+    const [bad] = pool.availableConnections;
+    broken.add(bad.connectionId);
+
+    const client = await pool.acquireConnection();
+    assert.notEqual(client.connectionId, bad.connectionId);
+    assert.equal(pool.getStats().total, 1);
+    pool.releaseConnection(client);
+  });
+
+  it('destroys a connection that fails testOnReturn instead of pooling it', async () => {
+    await start({ minConnections: 0, maxConnections: 1, testOnReturn: true });
+    const client = await pool.acquireConnection();
+    broken.add(client.connectionId);
+
+    const destroyed = once(pool, 'destroy');
+    pool.releaseConnection(client);
+    assert.equal((await destroyed)[0].connectionId, client.connectionId);
+    await waitFor(() => pool.getStats().busy === 0);
+    assert.equal(pool.getStats().available, 0);
+  });
+});
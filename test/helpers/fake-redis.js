@@ -0,0 +1,429 @@
+/**
+ * @fileoverview In-process Redis stand-in for the test suite
+ *
+ * Speaks enough RESP2 for the pool: strings, lists with BLPOP,
+ * WATCH/MULTI/EXEC, SELECT, RESET, Pub/Sub, SENTINEL
+ * get-master-addr-by-name when used as a sentinel, and CLUSTER SLOTS with
+ * scripted MOVED/ASK redirects when used as a cluster node. Every server listens on
+ * an ephemeral port, so tests can run side by side.
+ */
+import net from "net";
+
+/**
+ * Encodes a reply in RESP2
+ *
+ * Strings become bulk strings, `{ simple }` a simple string, Errors error
+ * replies, null a null bulk string.
+ *
+ * @param {*} value - Reply
+ * @returns {string} Encoded reply
+ */
+function encode(value) {
+  if (value === null) {
+    return '$-1\r\n';
+  }
+  if (typeof value === 'number') {
+    return `:${value}\r\n`;
+  }
+  if (Array.isArray(value)) {
+    return `*${value.length}\r\n${value.map(encode).join('')}`;
+  }
+  if (value instanceof Error) {
+    return `-${value.message}\r\n`;
+  }
+  if (typeof value === 'object') {
+    return `+${value.simple}\r\n`;
+  }
+  const string = String(value);
+  return `$${Buffer.byteLength(string)}\r\n${string}\r\n`;
+}
+
+/**
+ * Splits complete RESP2 commands off the front of a buffer
+ *
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {{commands: Array<string[]>, rest: Buffer}} Parsed commands and the unparsed remainder
+ */
+function parse(buffer) {
+  const commands = [];
+  let offset = 0;
+
+  while (offset < buffer.length && buffer[offset] === 0x2a) { // '*'
+    const end = buffer.indexOf('\r\n', offset);
+    if (end === -1) {
+      break;
+    }
+    const count = Number(buffer.subarray(offset + 1, end));
+    const args = [];
+    let cursor = end + 2;
+    for (let i = 0; i < count; i++) {
+      const lengthEnd = buffer.indexOf('\r\n', cursor);
+      if (lengthEnd === -1) {
+        break;
+      }
+      const length = Number(buffer.subarray(cursor + 1, lengthEnd));
+      const start = lengthEnd + 2;
+      if (buffer.length < start + length + 2) {
+        break;
+      }
+      args.push(buffer.subarray(start, start + length).toString());
+      cursor = start + length + 2;
+    }
+    if (args.length < count) {
+      break;
+    }
+    commands.push(args);
+    offset = cursor;
+  }
+
+  return { commands, rest: buffer.subarray(offset) };
+}
+
+/**
+ * FakeRedis - A single fake Redis server or sentinel
+ *
+ * @class FakeRedis
+ */
+export class FakeRedis {
+  /**
+   * Creates a server; call listen() to start it
+   *
+   * @param {Object} [options={}] - Server options
+   * @param {boolean} [options.reset=true] - Whether RESET is supported (Redis 6.2+)
+   */
+  constructor(options = {}) {
+    this.supportsReset = options.reset ?? true;
+
+    /** @type {Map<string, string|string[]>} Keyspace shared by all databases */
+    this.store = new Map();
+    /** @type {Map<string, number>} Write counter per key, for WATCH */
+    this.versions = new Map();
+    /** @type {Set<Object>} Per-connection session state */
+    this.sessions = new Set();
+    /** @type {Array<string[]>} Every command received, in order */
+    this.log = [];
+    /** @type {Map<string, Array<function(): boolean>>} BLPOP callers waiting per key */
+    this.blocked = new Map();
+    /** @type {{host: string, port: number}|null} Master this server reports when used as a sentinel */
+    this.master = null;
+    /** @type {{link: string, offset: number}|null} Replication state INFO reports as a replica, or null for a master */
+    this.replica = null;
+    /** @type {Array<Array<number>>|null} Slot ranges as [start, end, port] reported by CLUSTER SLOTS */
+    this.slots = null;
+    /** @type {function(string[]): (string|null)|null} Returns a redirect error (MOVED/ASK ...) for a command, or null to run it */
+    this.redirect = null;
+
+    this.server = net.createServer(socket => this.accept(socket));
+  }
+
+  /**
+   * Starts listening on an ephemeral port
+   *
+   * @async
+   * @returns {Promise<number>} Port
+   */
+  listen() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Drops every connection and stops listening
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  close() {
+    this.dropConnections();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Drops every open connection, as a restarting server would
+   *
+   * @returns {void}
+   */
+  dropConnections() {
+    for (const session of this.sessions) {
+      session.socket.destroy();
+    }
+  }
+
+  /**
+   * Counts received commands by name
+   *
+   * @param {string} name - Command name, upper case
+   * @returns {number} How often it was received
+   */
+  count(name) {
+    return this.log.filter(args => args[0].toUpperCase() === name).length;
+  }
+
+  /**
+   * Sends a Pub/Sub message to the subscribers of a channel
+   *
+   * @param {string} channel - Channel name
+   * @param {string} message - Payload
+   * @returns {number} Number of subscribers reached
+   */
+  publish(channel, message) {
+    let receivers = 0;
+    for (const session of this.sessions) {
+      if (session.channels.has(channel)) {
+        session.socket.write(encode(['message', channel, message]));
+        receivers++;
+      }
+    }
+    return receivers;
+  }
+
+  /**
+   * Sets up a new client connection
+   *
+   * @private
+   * @param {net.Socket} socket - Client socket
+   * @returns {void}
+   */
+  accept(socket) {
+    const session = { socket, db: 0, multi: null, watch: null, name: null, channels: new Set() };
+    this.sessions.add(session);
+    socket.on('close', () => this.sessions.delete(session));
+    socket.on('error', () => {});
+
+    let buffer = Buffer.alloc(0);
+    socket.on('data', data => {
+      const { commands, rest } = parse(Buffer.concat([buffer, data]));
+      buffer = rest;
+      for (const args of commands) {
+        this.log.push(args);
+        this.dispatch(session, args);
+      }
+    });
+  }
+
+  /**
+   * Answers one command, queueing it instead inside MULTI
+   *
+   * @private
+   * @param {Object} session - Connection state
+   * @param {string[]} args - Command and arguments
+   * @returns {void}
+   */
+  dispatch(session, args) {
+    const command = args[0].toUpperCase();
+    const reply = value => {
+      if (!session.socket.destroyed) {
+        session.socket.write(encode(value));
+      }
+    };
+
+    if (session.multi && !['EXEC', 'DISCARD', 'MULTI', 'WATCH'].includes(command)) {
+      session.multi.push(args);
+      reply({ simple: 'QUEUED' });
+      return;
+    }
+
+    if (command === 'SUBSCRIBE' || command === 'UNSUBSCRIBE') {
+      const channels = args.length > 1 ? args.slice(1) : [...session.channels];
+      for (const channel of channels) {
+        if (command === 'SUBSCRIBE') {
+          session.channels.add(channel);
+        } else {
+          session.channels.delete(channel);
+        }
+        reply([command.toLowerCase(), channel, session.channels.size]);
+      }
+      return;
+    }
+
+    const redirect = this.redirect && this.redirect(args);
+    if (redirect) {
+      reply(new Error(redirect));
+      return;
+    }
+
+    if (command === 'BLPOP') {
+      this.blpop(args.slice(1, -1), Number(args[args.length - 1]), reply);
+      return;
+    }
+
+    reply(this.run(session, command, args));
+  }
+
+  /**
+   * Pops from the first non-empty list, or waits for a push
+   *
+   * @private
+   * @param {string[]} keys - Lists to pop from
+   * @param {number} timeout - Seconds to wait, 0 for ever
+   * @param {function(*): void} reply - Sends the reply
+   * @returns {void}
+   */
+  blpop(keys, timeout, reply) {
+    const tryPop = () => {
+      const key = keys.find(name => (this.store.get(name) || []).length > 0);
+      if (key === undefined) {
+        return false;
+      }
+      reply([key, this.store.get(key).shift()]);
+      return true;
+    };
+    if (tryPop()) {
+      return;
+    }
+
+    let timer = null;
+    const waiter = () => {
+      if (!tryPop()) {
+        return false;
+      }
+      clearTimeout(timer);
+      for (const key of keys) {
+        this.blocked.set(key, this.blocked.get(key).filter(other => other !== waiter));
+      }
+      return true;
+    };
+    for (const key of keys) {
+      this.blocked.set(key, [...(this.blocked.get(key) || []), waiter]);
+    }
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        for (const key of keys) {
+          this.blocked.set(key, this.blocked.get(key).filter(other => other !== waiter));
+        }
+        reply(null);
+      }, timeout * 1000);
+    }
+  }
+
+  /**
+   * Runs a command that answers straight away
+   *
+   * @private
+   * @param {Object} session - Connection state
+   * @param {string} command - Command name, upper case
+   * @param {string[]} args - Command and arguments
+   * @returns {*} Reply
+   */
+  run(session, command, args) {
+    const [, key, value] = args;
+    const write = name => this.versions.set(name, (this.versions.get(name) || 0) + 1);
+
+    switch (command) {
+      case 'PING':
+        return { simple: 'PONG' };
+      case 'QUIT':
+        setImmediate(() => session.socket.end());
+        return { simple: 'OK' };
+      case 'GET':
+        return this.store.has(key) ? this.store.get(key) : null;
+      case 'SET':
+        write(key);
+        this.store.set(key, value);
+        return { simple: 'OK' };
+      case 'DEL':
+        write(key);
+        return this.store.delete(key) ? 1 : 0;
+      case 'INCR': {
+        write(key);
+        const next = Number(this.store.get(key) || 0) + 1;
+        this.store.set(key, String(next));
+        return next;
+      }
+      case 'RPUSH': {
+        write(key);
+        const list = this.store.get(key) || [];
+        list.push(...args.slice(2));
+        this.store.set(key, list);
+        // Like Redis, reply with the length before blocked callers pop
+        const length = list.length;
+        // Serve blocked BLPOP callers, oldest first
+        for (const waiter of [...(this.blocked.get(key) || [])]) {
+          if (list.length === 0 || !waiter()) {
+            break;
+          }
+        }
+        return length;
+      }
+      case 'MULTI':
+        session.multi = [];
+        return { simple: 'OK' };
+      case 'DISCARD':
+        if (!session.multi) {
+          return new Error('ERR DISCARD without MULTI');
+        }
+        session.multi = null;
+        session.watch = null;
+        return { simple: 'OK' };
+      case 'WATCH':
+        session.watch = session.watch || new Map();
+        for (const name of args.slice(1)) {
+          session.watch.set(name, this.versions.get(name) || 0);
+        }
+        return { simple: 'OK' };
+      case 'UNWATCH':
+        session.watch = null;
+        return { simple: 'OK' };
+      case 'EXEC': {
+        if (!session.multi) {
+          return new Error('ERR EXEC without MULTI');
+        }
+        const queued = session.multi;
+        const watched = session.watch;
+        session.multi = null;
+        session.watch = null;
+        if (watched && [...watched].some(([name, version]) => (this.versions.get(name) || 0) !== version)) {
+          return null;
+        }
+        return queued.map(queuedArgs => this.run(session, queuedArgs[0].toUpperCase(), queuedArgs));
+      }
+      case 'SELECT':
+        session.db = Number(key);
+        return { simple: 'OK' };
+      case 'RESET':
+        if (!this.supportsReset) {
+          return new Error("ERR unknown command 'RESET'");
+        }
+        Object.assign(session, { db: 0, multi: null, watch: null, name: null });
+        return { simple: 'RESET' };
+      case 'CLIENT':
+        if (key.toUpperCase() === 'SETNAME') {
+          session.name = value;
+        }
+        return { simple: 'OK' };
+      case 'INFO':
+        return this.replica
+          ? `# Server\r\nredis_version:7.2.0\r\n# Replication\r\nrole:slave\r\nmaster_link_status:${this.replica.link}\r\nslave_repl_offset:${this.replica.offset}\r\n`
+          : '# Server\r\nredis_version:7.2.0\r\n# Replication\r\nrole:master\r\nmaster_repl_offset:0\r\n';
+      case 'CLUSTER':
+        // No CLUSTER SHARDS, like Redis before 7.0
+        if (!this.slots || key.toUpperCase() !== 'SLOTS') {
+          return new Error('ERR This instance has cluster support disabled');
+        }
+        return this.slots.map(([start, end, port]) => [start, end, ['127.0.0.1', port]]);
+      case 'SENTINEL':
+        return this.master ? [this.master.host, String(this.master.port)] : null;
+      case 'PUBLISH':
+        return this.publish(key, value);
+      default:
+        return { simple: 'OK' };
+    }
+  }
+}
+
+/**
+ * Starts a FakeRedis
+ *
+ * @async
+ * @param {Object} [options] - As for the FakeRedis constructor
+ * @returns {Promise<FakeRedis>} Listening server
+ */
+export async function startFakeRedis(options) {
+  const server = new FakeRedis(options);
+  await server.listen();
+  return server;
+}
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Pool helpers for the test suite
+ */
+import net from "net";
+import { once } from "events";
+import RedisPoolManager from "../../rpm.js";
+
+/**
+ * Creates a silent pool against a FakeRedis and waits until it is ready
+ *
+ * @async
+ * @param {FakeRedis} server - Server to connect to
+ * @param {Object} [options={}] - Pool options
+ * @returns {Promise<RedisPoolManager>} Ready pool
+ */
+export async function createPool(server, options = {}) {
+  const pool = new RedisPoolManager(
+    { socket: { host: '127.0.0.1', port: server.port } },
+    { logLevel: 'silent', ...options }
+  );
+  await once(pool, 'ready');
+  return pool;
+}
+
+/**
+ * Finds a local port nothing listens on
+ *
+ * @async
+ * @returns {Promise<number>} Port that refuses connections
+ */
+export async function closedPort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+/**
+ * Resolves after a delay
+ *
+ * @param {number} millis - Delay in ms
+ * @returns {Promise<void>}
+ */
+export function delay(millis) {
+  return new Promise(resolve => setTimeout(resolve, millis));
+}
+
+/**
+ * Polls a condition until it holds
+ *
+ * @async
+ * @param {function(): boolean} condition - Condition to wait for
+ * @param {number} [timeout=2000] - Time in ms before giving up
+ * @returns {Promise<void>}
+ * @throws {Error} If the condition still fails after the timeout
+ */
+export async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeout}ms`);
+    }
+    await delay(10);
+  }
+}
@@ -0,0 +1,64 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { LatencyWindow } from "../metrics.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool, delay } from "./helpers/pool.js";
+
+describe('LatencyWindow', () => {
+  it('reports nearest-rank percentiles of the samples', () => {
+    const window = new LatencyWindow();
+    for (let value = 100; value >= 1; value--) {
+      window.observe(value);
+    }
+    assert.deepEqual(window.summary(), { count: 100, p50: 50, p95: 95, p99: 99, max: 100 });
+  });
+
+  it('keeps at most maxSamples, dropping the oldest', () => {
+    const window = new LatencyWindow(60000, 3);
+    for (const value of [500, 1, 2, 3]) {
+      window.observe(value);
+    }
+    assert.deepEqual(window.summary(), { count: 3, p50: 2, p95: 3, p99: 3, max: 3 });
+  });
+
+  it('forgets samples older than the window', async () => {
+    const window = new LatencyWindow(30);
+    window.observe(10);
+    await delay(50);
+    window.observe(20);
+    assert.deepEqual(window.summary(), { count: 1, p50: 20, p95: 20, p99: 20, max: 20 });
+  });
+});
+
+describe('latency percentiles in getStats()', () => {
+  let server;
+  let pool;
+
+  afterEach(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('records acquire waits and hold times until resetStats()', async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 1 });
+
+    const first = await pool.acquireConnection();
+    const waiting = pool.acquireConnection();
+    await delay(40);
+    pool.releaseConnection(first);
+    const second = await waiting;
+    pool.releaseConnection(second);
+
+    const { acquireWait, holdTime } = pool.getStats();
+    assert.equal(acquireWait.count, 2);
+    assert.ok(acquireWait.max >= 40);
+    assert.ok(acquireWait.p50 < 40);
+    assert.equal(holdTime.count, 2);
+    assert.ok(holdTime.max >= 40);
+
+    pool.resetStats();
+    assert.deepEqual(pool.getStats().acquireWait, { count: 0, p50: 0, p95: 0, p99: 0, max: 0 });
+    assert.equal(pool.histograms.acquireWait.count, 0);
+  });
+});
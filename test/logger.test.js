@@ -0,0 +1,78 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { InvalidOptionError } from "../rpm.js";
+import { createLogger } from "../logger.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool } from "./helpers/pool.js";
+
+/**
+ * Logger that keeps every call as [level, fields, message]
+ *
+ * @returns {{entries: Array<Array>, debug: Function, info: Function, warn: Function, error: Function}} Recording logger
+ */
+function recordingLogger() {
+  const entries = [];
+  const logger = { entries };
+  for (const level of ['debug', 'info', 'warn', 'error']) {
+    logger[level] = (fields, message) => entries.push([level, fields, message]);
+  }
+  return logger;
+}
+
+describe('createLogger()', () => {
+  it('drops messages below the configured level', () => {
+    const target = recordingLogger();
+    const logger = createLogger(target, 'warn');
+    logger.debug({ event: 'a' }, 'debug');
+    logger.info({ event: 'b' }, 'info');
+    logger.warn({ event: 'c' }, 'warn');
+    logger.error({ event: 'd' }, 'error');
+    assert.deepEqual(target.entries.map(([level]) => level), ['warn', 'error']);
+  });
+
+  it("logs nothing at 'silent' and tolerates missing methods", () => {
+    const target = recordingLogger();
+    const silent = createLogger(target, 'silent');
+    silent.error({}, 'error');
+    assert.deepEqual(target.entries, []);
+
+    const partial = createLogger({ error: target.error }, 'debug');
+    partial.info({}, 'info');
+    partial.error({ event: 'e' }, 'error');
+    assert.deepEqual(target.entries, [['error', { event: 'e' }, 'error']]);
+  });
+
+  it('rejects an unknown level', () => {
+    assert.throws(() => createLogger(recordingLogger(), 'verbose'), InvalidOptionError);
+  });
+});
+
+describe('pool logging', () => {
+  let server;
+  let pool;
+
+  afterEach(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('sends structured entries to the configured logger', async () => {
+    server = await startFakeRedis();
+    const logger = recordingLogger();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 1, logger, logLevel: 'debug' });
+
+    const ready = logger.entries.find(([level, fields]) => level === 'info' && fields.event === 'ready');
+    assert.deepEqual(ready, ['info', { event: 'ready', connections: 1 }, 'Redis pool initialized']);
+    assert.ok(logger.entries.some(([level, fields]) => level === 'debug' && typeof fields.connectionId === 'string'));
+  });
+
+  it('honors logLevel for the pool', async () => {
+    server = await startFakeRedis();
+    const logger = recordingLogger();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 1, logger, logLevel: 'warn' });
+
+    const client = await pool.acquireConnection();
+    pool.releaseConnection(client);
+    assert.deepEqual(logger.entries, []);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { Histogram, renderMetrics } from "../metrics.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool } from "./helpers/pool.js";
+
+describe('Histogram', () => {
+  it('counts each value in the first bucket that holds it', () => {
+    const histogram = new Histogram([10, 1, 100]);
+    for (const value of [0.5, 1, 7, 50, 5000]) {
+      histogram.observe(value);
+    }
+    assert.deepEqual(histogram.buckets, [1, 10, 100]);
+    assert.deepEqual(histogram.counts, [2, 1, 1]);
+    assert.equal(histogram.count, 5);
+    assert.equal(histogram.sum, 5058.5);
+  });
+});
+
+describe('Prometheus exporter', () => {
+  let server;
+  let pools = [];
+
+  afterEach(async () => {
+    await Promise.all(pools.map(pool => pool.shutdown()));
+    pools = [];
+    await server.close();
+  });
+
+  it('renders counters, gauges and histograms with a pool label', async () => {
+    server = await startFakeRedis();
+    const pool = await createPool(server, { name: 'cache', minConnections: 1, maxConnections: 2 });
+    pools.push(pool);
+    const client = await pool.acquireConnection();
+    pool.releaseConnection(client);
+
+    const lines = pool.getMetrics().split('\n');
+    assert.ok(lines.includes('# TYPE redis_pool_acquires_total counter'));
+    assert.ok(lines.includes('redis_pool_acquires_total{pool="cache"} 1'));
+    assert.ok(lines.includes('redis_pool_busy_connections{pool="cache"} 0'));
+    assert.ok(lines.includes('# TYPE redis_pool_acquire_wait_seconds histogram'));
+    assert.ok(lines.includes('redis_pool_acquire_wait_seconds_bucket{pool="cache",le="+Inf"} 1'));
+    assert.ok(lines.includes('redis_pool_acquire_wait_seconds_count{pool="cache"} 1'));
+
+    // Buckets are cumulative and exported in seconds
+    const buckets = lines.filter(line => line.startsWith('redis_pool_connection_hold_seconds_bucket'));
+    assert.match(buckets[0], /le="0.001"/);
+    const counts = buckets.map(line => Number(line.split(' ').pop()));
+    assert.deepEqual(counts, [...counts].sort((a, b) => a - b));
+    assert.equal(counts[counts.length - 1], 1);
+  });
+
+  it('writes HELP and TYPE once when rendering several pools', async () => {
+    server = await startFakeRedis();
+    pools.push(await createPool(server, { name: 'sessions', minConnections: 1, maxConnections: 1 }));
+    pools.push(await createPool(server, { name: 'say "hi"\\', minConnections: 1, maxConnections: 1 }));
+
+    const lines = renderMetrics(pools).split('\n');
+    assert.equal(lines.filter(line => line === '# TYPE redis_pool_connections gauge').length, 1);
+    assert.ok(lines.includes('redis_pool_connections{pool="sessions"} 1'));
+    assert.ok(lines.includes('redis_pool_connections{pool="say \\"hi\\"\\\\"} 1'));
+  });
+});
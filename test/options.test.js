@@ -0,0 +1,67 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import RedisPoolManager, { InvalidOptionError, PoolExhaustedError, RedisPoolError } from "../rpm.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool } from "./helpers/pool.js";
+
+describe('option validation', () => {
+  it('throws InvalidOptionError from the constructor', () => {
+    const config = { socket: { host: '127.0.0.1', port: 6379 } };
+    for (const options of [
+      { maxConnections: 0 },
+      { minConnections: 5, maxConnections: 2 },
+      { retryDelay: Infinity },
+      { testOnBorrow: 'yes' },
+      { name: 42 }
+    ]) {
+      assert.throws(() => new RedisPoolManager(config, { logLevel: 'silent', ...options }), error => {
+        assert.ok(error instanceof InvalidOptionError);
+        assert.ok(error instanceof RedisPoolError);
+        assert.equal(error.code, 'EINVALIDOPTION');
+        return true;
+      });
+    }
+  });
+});
+
+describe('per-call validation', () => {
+  let server;
+  let pool;
+
+  before(async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 1 });
+  });
+
+  after(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('rejects invalid acquire options', async () => {
+    await assert.rejects(pool.acquireConnection({ priority: 'urgent' }), InvalidOptionError);
+    await assert.rejects(pool.acquireConnection({ timeout: -1 }), InvalidOptionError);
+    await assert.rejects(pool.acquireConnection({ timeout: Infinity }), InvalidOptionError);
+  });
+
+  it('fails at once with PoolExhaustedError for timeout 0', async () => {
+    const client = await pool.acquireConnection();
+    try {
+      await assert.rejects(pool.acquireConnection({ timeout: 0 }), PoolExhaustedError);
+      assert.equal(pool.getStats().pending, 0);
+    } finally {
+      pool.releaseConnection(client);
+    }
+  });
+
+  it('rejects an invalid drainTimeout instead of throwing, and keeps the pool open', async () => {
+    let shutdown;
+    assert.doesNotThrow(() => {
+      shutdown = pool.shutdown({ drainTimeout: -1 });
+    });
+    await assert.rejects(shutdown, InvalidOptionError);
+
+    const client = await pool.acquireConnection();
+    pool.releaseConnection(client);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool } from "./helpers/pool.js";
+
+describe('auto-pipelining', () => {
+  let server;
+  let pool;
+
+  before(async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 2, pipelineMaxBatchSize: 10 });
+  });
+
+  after(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('sends commands issued in the same tick as one batch, replies in order', async () => {
+    const before = pool.getStats().pipeline;
+    const replies = await Promise.all([
+      pool.execute('SET', 'a', 1),
+      pool.execute('INCR', 'a'),
+      pool.execute('GET', 'a')
+    ]);
+
+    const after = pool.getStats().pipeline;
+    assert.deepEqual(replies, ['OK', 2, '2']);
+    assert.equal(after.commands - before.commands, 3);
+    assert.equal(after.batches - before.batches, 1);
+  });
+
+  it('splits batches at pipelineMaxBatchSize', async () => {
+    const before = pool.getStats().pipeline;
+    await Promise.all(Array.from({ length: 25 }, (_, i) => pool.execute('SET', `key:${i}`, i)));
+    const after = pool.getStats().pipeline;
+    assert.equal(after.batches - before.batches, 3);
+    assert.equal(after.batchSize.count - before.batchSize.count, 3);
+    assert.equal(after.batchSize.max, 10);
+  });
+
+  it('rejects only the command that got an error reply', async () => {
+    const results = await Promise.allSettled([
+      pool.execute('GET', 'a'),
+      pool.execute('EXEC'),
+      pool.execute('GET', 'a')
+    ]);
+
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+    assert.match(results[1].reason.message, /EXEC without MULTI/);
+  });
+
+  it('offers commands as methods on pool.commands', async () => {
+    const { set, get } = pool.commands;
+    await set('name', 'redis');
+    assert.equal(await get('name'), 'redis');
+  });
+
+  it('can await pool.commands without sending a command', async () => {
+    const sent = server.log.length;
+    const commands = await pool.commands;
+
+    assert.equal(commands, pool.commands);
+    assert.equal(commands.then, undefined);
+    assert.equal(commands.toJSON, undefined);
+    assert.equal(commands.constructor, undefined);
+    assert.equal(JSON.stringify(commands), '{}');
+    assert.equal(server.log.length, sent);
+  });
+});
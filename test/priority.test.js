@@ -0,0 +1,46 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { PoolTimeoutError } from "../rpm.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool } from "./helpers/pool.js";
+
+describe('priority lanes', () => {
+  let server;
+  let pool;
+
+  afterEach(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('serves high priority waiters first, then normal, then low', async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 1 });
+
+    const first = await pool.acquireConnection();
+    const order = [];
+    const waiters = ['low', 'normal', 'high', 'normal'].map(priority => pool.acquireConnection({ priority }).then(client => {
+      order.push(priority);
+      pool.releaseConnection(client);
+    }));
+    assert.deepEqual(pool.getStats().pendingByPriority, { high: 1, normal: 2, low: 1 });
+
+    pool.releaseConnection(first);
+    await Promise.all(waiters);
+    assert.deepEqual(order, ['high', 'normal', 'normal', 'low']);
+  });
+
+  it('keeps reservedConnections for high priority callers', async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 2, maxConnections: 2, reservedConnections: 1 });
+
+    const normal = await pool.acquireConnection();
+    try {
+      await assert.rejects(pool.acquireConnection({ timeout: 50 }), PoolTimeoutError);
+      const high = await pool.acquireConnection({ priority: 'high', timeout: 50 });
+      pool.releaseConnection(high);
+    } finally {
+      pool.releaseConnection(normal);
+    }
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool, waitFor } from "./helpers/pool.js";
+
+describe('managed Pub/Sub', () => {
+  let server;
+  let pool;
+
+  afterEach(async () => {
+    await pool.shutdown({ drainTimeout: 0 });
+    await server.close();
+  });
+
+  it('restores subscriptions after the connection drops', { timeout: 5000 }, async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 2 });
+
+    const messages = [];
+    await pool.subscribe('news', (message, channel) => messages.push([channel, message]));
+    assert.equal(server.publish('news', 'first'), 1);
+    await waitFor(() => messages.length === 1);
+
+    const resubscribed = new Promise(resolve => pool.once('resubscribe', resolve));
+    // Drop only the subscriber connection
+    for (const session of server.sessions) {
+      if (session.channels.size > 0) {
+        session.socket.destroy();
+      }
+    }
+    const info = await resubscribed;
+    assert.equal(info.subscriptions, 1);
+    assert.equal(server.count('SUBSCRIBE'), 2);
+
+    assert.equal(server.publish('news', 'second'), 1);
+    await waitFor(() => messages.length === 2);
+    assert.deepEqual(messages, [['news', 'first'], ['news', 'second']]);
+    assert.equal(pool.getStats().subscribers.resubscribed, 1);
+  });
+});
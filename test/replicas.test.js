@@ -0,0 +1,128 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { PoolTimeoutError } from "../rpm.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { closedPort, createPool } from "./helpers/pool.js";
+
+/**
+ * Reads which server a connection goes to
+ *
+ * @param {Object} client - Redis client
+ * @returns {number} Port it is connected to
+ */
+function portOf(client) {
+  return client.options.socket.port;
+}
+
+describe('read replicas', () => {
+  const servers = [];
+  let pool;
+
+  /**
+   * Starts a fake Redis that reports itself as a replica
+   *
+   * @returns {Promise<FakeRedis>} Running replica
+   */
+  async function startReplica() {
+    const server = await startFakeRedis();
+    server.replica = { link: 'up', offset: 0 };
+    servers.push(server);
+    return server;
+  }
+
+  afterEach(async () => {
+    await pool.shutdown();
+    await Promise.all(servers.splice(0).map(server => server.close()));
+  });
+
+  /**
+   * Creates a pool with replicas, quick to give up on dead ones
+   *
+   * @param {FakeRedis} primary - Primary server
+   * @param {Array<number>} replicaPorts - Replica ports
+   * @param {Object} [options={}] - More pool options
+   * @returns {Promise<RedisPoolManager>} Ready pool
+   */
+  function createReplicatedPool(primary, replicaPorts, options = {}) {
+    return createPool(primary, {
+      minConnections: 1,
+      maxConnections: 2,
+      maxRetries: 0,
+      retryDelay: 10,
+      replicas: replicaPorts.map(port => ({ socket: { host: '127.0.0.1', port } })),
+      ...options
+    });
+  }
+
+  it('spreads replica reads round-robin and keeps writes on the primary', async () => {
+    const primary = await startFakeRedis();
+    servers.push(primary);
+    const replicas = [await startReplica(), await startReplica()];
+    pool = await createReplicatedPool(primary, replicas.map(replica => replica.port));
+
+    const ports = [];
+    for (let i = 0; i < 4; i++) {
+      ports.push(await pool.withConnection(client => portOf(client), { role: 'replica' }));
+    }
+    assert.deepEqual(ports, [replicas[0].port, replicas[1].port, replicas[0].port, replicas[1].port]);
+    assert.equal(await pool.withConnection(client => portOf(client)), primary.port);
+  });
+
+  it('moves on to the next replica when one is unreachable, and takes it out of rotation', async () => {
+    const primary = await startFakeRedis();
+    servers.push(primary);
+    const live = await startReplica();
+    const deadPort = await closedPort();
+    pool = await createReplicatedPool(primary, [deadPort, live.port]);
+    const down = [];
+    pool.on('replicaDown', info => down.push(info));
+
+    assert.equal(await pool.withConnection(client => portOf(client), { role: 'replica' }), live.port);
+    assert.equal(await pool.withConnection(client => portOf(client), { role: 'replica' }), live.port);
+    assert.deepEqual(down, [{ replica: 'default/replica-0', reason: 'unreachable', lag: null }]);
+    assert.deepEqual(pool.getStats().replicas.map(replica => replica.healthy), [false, true]);
+  });
+
+  it('falls back to the primary when no replica can be reached', async () => {
+    const primary = await startFakeRedis();
+    servers.push(primary);
+    pool = await createReplicatedPool(primary, [await closedPort()]);
+
+    assert.equal(await pool.withConnection(client => portOf(client), { role: 'replica' }), primary.port);
+    assert.equal(pool.getStats().replicas[0].healthy, false);
+  });
+
+  it('does not fail over when the caller times out on a busy replica', async () => {
+    const primary = await startFakeRedis();
+    servers.push(primary);
+    const replica = await startReplica();
+    pool = await createReplicatedPool(primary, [replica.port], { minConnections: 1, maxConnections: 1 });
+
+    const held = await pool.acquireConnection({ role: 'replica' });
+    try {
+      await assert.rejects(pool.acquireConnection({ role: 'replica', timeout: 50 }), PoolTimeoutError);
+      assert.equal(pool.getStats().replicas[0].healthy, true);
+    } finally {
+      pool.releaseConnection(held);
+    }
+  });
+
+  it('takes a replica with a broken link out of rotation on health checks and brings it back', async () => {
+    const primary = await startFakeRedis();
+    servers.push(primary);
+    const replica = await startReplica();
+    pool = await createReplicatedPool(primary, [replica.port]);
+    const events = [];
+    pool.on('replicaDown', info => events.push(['down', info.reason]));
+    pool.on('replicaUp', () => events.push(['up']));
+
+    replica.replica.link = 'down';
+    await pool.healthCheck();
+    assert.equal(await pool.withConnection(client => portOf(client), { role: 'replica' }), primary.port);
+
+    replica.replica.link = 'up';
+    await pool.healthCheck();
+    assert.equal(await pool.withConnection(client => portOf(client), { role: 'replica' }), replica.port);
+    assert.deepEqual(events, [['down', 'link down'], ['up']]);
+  });
+});
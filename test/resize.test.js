@@ -0,0 +1,76 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { InvalidOptionError } from "../rpm.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool, waitFor } from "./helpers/pool.js";
+
+describe('resize()', () => {
+  let server;
+  let pool;
+
+  afterEach(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('opens connections for callers queued behind the old maximum', async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 1 });
+
+    const first = await pool.acquireConnection();
+    const waiters = [pool.acquireConnection(), pool.acquireConnection()];
+    assert.equal(pool.getStats().pending, 2);
+
+    await pool.resize({ max: 3 });
+    const clients = await Promise.all(waiters);
+    assert.equal(pool.getStats().busy, 3);
+    assert.equal(pool.getStats().pending, 0);
+
+    for (const client of [first, ...clients]) {
+      pool.releaseConnection(client);
+    }
+  });
+
+  it('retires busy connections over the new maximum when they are released', async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 3, maxConnections: 3 });
+
+    const clients = await Promise.all([pool.acquireConnection(), pool.acquireConnection(), pool.acquireConnection()]);
+    const retired = [];
+    pool.on('retire', info => retired.push(info.reason));
+
+    await pool.resize({ min: 1, max: 1 });
+    assert.equal(pool.getStats().busy, 3);
+
+    for (const client of clients) {
+      pool.releaseConnection(client);
+    }
+    await waitFor(() => pool.getStats().total === 1);
+    assert.deepEqual(retired, ['resize', 'resize']);
+    assert.equal(pool.getStats().available, 1);
+  });
+
+  it('rejects min greater than max', async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 4 });
+
+    await assert.rejects(pool.resize({ min: 5, max: 3 }), InvalidOptionError);
+    await assert.rejects(pool.resize({ min: 5 }), InvalidOptionError);
+    assert.equal(pool.minConnections, 1);
+    assert.equal(pool.maxConnections, 4);
+  });
+
+  it('does not emit resize when the bounds do not change', async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 4 });
+
+    const events = [];
+    pool.on('resize', info => events.push(info));
+    await pool.resize({ min: 1, max: 4 });
+    await pool.resize({});
+    assert.deepEqual(events, []);
+
+    await pool.resize({ max: 5 });
+    assert.deepEqual(events, [{ previous: { min: 1, max: 4 }, current: { min: 1, max: 5 } }]);
+  });
+});
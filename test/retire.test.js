@@ -0,0 +1,59 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool, delay, waitFor } from "./helpers/pool.js";
+
+describe('connection retirement', () => {
+  let server;
+  let pool;
+
+  afterEach(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('retires a connection after maxUsesPerConnection checkouts and replaces it', async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 1, maxUsesPerConnection: 2 });
+    const retired = [];
+    pool.on('retire', info => retired.push(info));
+
+    const first = await pool.acquireConnection();
+    const { connectionId } = first;
+    pool.releaseConnection(first);
+    const second = await pool.acquireConnection();
+    assert.equal(second.connectionId, connectionId);
+    pool.releaseConnection(second);
+
+    await waitFor(() => retired.length === 1);
+    assert.equal(retired[0].connectionId, connectionId);
+    assert.equal(retired[0].reason, 'uses');
+    assert.equal(retired[0].uses, 2);
+
+    const third = await pool.acquireConnection();
+    assert.notEqual(third.connectionId, connectionId);
+    pool.releaseConnection(third);
+    assert.equal(pool.getStats().retired, 1);
+  });
+
+  it('retires a connection past maxLifetimeMillis when it is released', async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 1, maxLifetimeMillis: 100 });
+    const retired = [];
+    pool.on('retire', info => retired.push(info));
+
+    const client = await pool.acquireConnection();
+    await delay(150);
+    assert.deepEqual(retired, []);
+    pool.releaseConnection(client);
+
+    await waitFor(() => retired.length === 1);
+    assert.equal(retired[0].connectionId, client.connectionId);
+    assert.equal(retired[0].reason, 'lifetime');
+    assert.ok(retired[0].age >= 150);
+
+    const replacement = await pool.acquireConnection();
+    assert.notEqual(replacement.connectionId, client.connectionId);
+    pool.releaseConnection(replacement);
+  });
+});
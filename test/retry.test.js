@@ -0,0 +1,88 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import RedisPoolManager, { ConnectionCreateError } from "../rpm.js";
+import { backoffDelay } from "../backoff.js";
+import { delay } from "./helpers/pool.js";
+
+describe('backoffDelay()', () => {
+  it('doubles per attempt, with up to half of the delay randomized', () => {
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      const base = 100 * 2 ** (attempt - 1);
+      for (let i = 0; i < 50; i++) {
+        const wait = backoffDelay(attempt, 100);
+        assert.ok(wait >= base / 2 && wait <= base, `attempt ${attempt}: ${wait}ms outside ${base / 2}-${base}ms`);
+      }
+    }
+  });
+});
+
+describe('pool startup against a failing server', () => {
+  it('emits retry with growing delays, then fails the round after maxRetries', { timeout: 5000 }, async () => {
+    let attempts = 0;
+    const server = net.createServer(socket => {
+      attempts++;
+      socket.on('error', () => {});
+      socket.destroy();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const pool = new RedisPoolManager(
+      { socket: { host: '127.0.0.1', port: server.address().port } },
+      { logLevel: 'silent', minConnections: 1, maxConnections: 1, maxRetries: 3, retryDelay: 20 }
+    );
+    const retries = [];
+    pool.on('retry', info => retries.push(info));
+    try {
+      const error = await new Promise(resolve => pool.once('error', resolve));
+      assert.ok(error instanceof ConnectionCreateError);
+      assert.equal(attempts, 4);
+      assert.deepEqual(retries.map(info => info.attempt), [1, 2, 3]);
+      retries.forEach(({ delay: wait, error: cause }, index) => {
+        const base = 20 * 2 ** index;
+        assert.ok(wait >= base / 2 && wait <= base);
+        assert.ok(cause instanceof Error);
+      });
+    } finally {
+      await pool.shutdown({ drainTimeout: 0 });
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('keeps retrying while a caller is creating a connection of its own', { timeout: 5000 }, async () => {
+    // Drops every connection except the second, which hangs in AUTH until we drop it
+    const sockets = [];
+    const server = net.createServer(socket => {
+      sockets.push(socket);
+      socket.on('error', () => {});
+      if (sockets.length !== 2) {
+        socket.destroy();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const pool = new RedisPoolManager(
+      { socket: { host: '127.0.0.1', port: server.address().port }, password: 'secret' },
+      { logLevel: 'silent', minConnections: 1, maxConnections: 1, maxRetries: 0, retryDelay: 20 }
+    );
+    const errors = [];
+    try {
+      await new Promise(resolve => {
+        pool.on('error', error => {
+          errors.push(error);
+          if (errors.length === 1) {
+            // Between rounds, a caller takes the only slot for its own creation
+            pool.acquireConnection().catch(() => {});
+            delay(100).then(() => sockets[1].destroy());
+          } else {
+            resolve();
+          }
+        });
+      });
+      assert.ok(errors.every(error => error instanceof ConnectionCreateError));
+    } finally {
+      await pool.shutdown({ drainTimeout: 0 });
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
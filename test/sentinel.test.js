@@ -0,0 +1,241 @@
+import { describe, it, beforeEach, afterEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn, spawnSync } from "child_process";
+import { once } from "events";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import { createClient } from "redis";
+import RedisPoolManager from "../rpm.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { closedPort, delay, waitFor } from "./helpers/pool.js";
+
+/**
+ * Creates a silent Sentinel-mode pool and waits until it is ready
+ *
+ * @param {Array<{host: string, port: number}>} sentinels - Sentinel addresses
+ * @param {Object} [options={}] - Pool options
+ * @returns {Promise<RedisPoolManager>} Ready pool
+ */
+async function createSentinelPool(sentinels, options = {}) {
+  const pool = new RedisPoolManager({}, {
+    logLevel: 'silent',
+    minConnections: 1,
+    maxConnections: 2,
+    sentinel: { sentinels, masterName: 'mymaster' },
+    ...options
+  });
+  await once(pool, 'ready');
+  return pool;
+}
+
+/**
+ * Checks whether a sentinel has a client subscribed to +switch-master
+ *
+ * @param {FakeRedis} sentinel - Fake sentinel
+ * @returns {boolean} True if the pool is subscribed there
+ */
+function isSubscribed(sentinel) {
+  return [...sentinel.sessions].some(session => session.channels.has('+switch-master'));
+}
+
+describe('Sentinel failover', () => {
+  let oldMaster;
+  let newMaster;
+  let sentinels;
+  let pool;
+
+  beforeEach(async () => {
+    oldMaster = await startFakeRedis();
+    newMaster = await startFakeRedis();
+    sentinels = [await startFakeRedis(), await startFakeRedis()];
+    for (const sentinel of sentinels) {
+      sentinel.master = { host: '127.0.0.1', port: oldMaster.port };
+    }
+    pool = await createSentinelPool(sentinels.map(sentinel => ({ host: '127.0.0.1', port: sentinel.port })));
+  });
+
+  afterEach(async () => {
+    await pool.shutdown();
+    await Promise.all([oldMaster, newMaster, ...sentinels].map(server => server.close()));
+  });
+
+  /**
+   * Points every sentinel at the new master, as after a real failover
+   *
+   * @returns {void}
+   */
+  function promoteNewMaster() {
+    for (const sentinel of sentinels) {
+      sentinel.master = { host: '127.0.0.1', port: newMaster.port };
+    }
+  }
+
+  it('connects to the master the sentinels report', async () => {
+    await pool.execute('SET', 'key', 'old');
+    assert.equal(oldMaster.store.get('key'), 'old');
+    assert.equal(newMaster.store.has('key'), false);
+  });
+
+  it('repoints the pool on +switch-master', async () => {
+    await waitFor(() => isSubscribed(sentinels[0]));
+    const failover = once(pool, 'failover');
+
+    promoteNewMaster();
+    sentinels[0].publish('+switch-master', `mymaster 127.0.0.1 ${oldMaster.port} 127.0.0.1 ${newMaster.port}`);
+    const [info] = await failover;
+
+    assert.equal(info.masterName, 'mymaster');
+    assert.deepEqual(info.previous, { host: '127.0.0.1', port: oldMaster.port });
+    assert.deepEqual(info.current, { host: '127.0.0.1', port: newMaster.port });
+
+    await pool.execute('SET', 'key', 'new');
+    assert.equal(newMaster.store.get('key'), 'new');
+    assert.equal(oldMaster.store.has('key'), false);
+  });
+
+  it('ignores +switch-master for other masters', async () => {
+    await waitFor(() => isSubscribed(sentinels[0]));
+    let failedOver = false;
+    pool.on('failover', () => {
+      failedOver = true;
+    });
+
+    sentinels[0].publish('+switch-master', `othermaster 127.0.0.1 ${oldMaster.port} 127.0.0.1 ${newMaster.port}`);
+    await delay(50);
+
+    assert.equal(failedOver, false);
+  });
+
+  it('moves the subscription to another sentinel and catches up on a missed failover', async () => {
+    await waitFor(() => isSubscribed(sentinels[0]));
+    const failover = once(pool, 'failover');
+
+    // The failover happens while the subscribed sentinel is down
+    promoteNewMaster();
+    await sentinels[0].close();
+
+    await waitFor(() => isSubscribed(sentinels[1]));
+    const [info] = await failover;
+    assert.deepEqual(info.current, { host: '127.0.0.1', port: newMaster.port });
+
+    await pool.execute('SET', 'key', 'new');
+    assert.equal(newMaster.store.get('key'), 'new');
+  });
+});
+
+/**
+ * Checks whether a program is on PATH
+ *
+ * @param {string} command - Program name
+ * @returns {boolean} True if it runs
+ */
+function hasCommand(command) {
+  return !spawnSync(command, ['--version']).error;
+}
+
+// Reported as a skipped test, so a run without Redis doesn't pass for a covered failover
+const skipRealRedis = hasCommand('redis-server') && hasCommand('redis-sentinel')
+  ? false
+  : 'needs redis-server and redis-sentinel on PATH';
+
+describe('Sentinel failover against real Redis', () => {
+  const processes = [];
+  let dir;
+
+  /**
+   * Starts a Redis process and waits until it answers PING
+   *
+   * @param {string} command - redis-server or redis-sentinel
+   * @param {Array<string>} args - Command line arguments
+   * @param {number} port - Port it listens on
+   * @returns {Promise<void>}
+   */
+  async function startRedis(command, args, port) {
+    const child = spawn(command, args, { stdio: 'ignore' });
+    processes.push(child);
+
+    const client = createClient({ socket: { port, reconnectStrategy: false } });
+    client.on('error', () => {});
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await client.connect();
+        await client.quit();
+        return;
+      } catch (error) {
+        if (attempt >= 50) {
+          throw error;
+        }
+        await delay(100);
+      }
+    }
+  }
+
+  after(() => {
+    for (const child of processes) {
+      child.kill();
+    }
+    if (dir) {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('follows SENTINEL FAILOVER to the promoted replica', { skip: skipRealRedis, timeout: 60000 }, async () => {
+    const [masterPort, replicaPort, sentinelPort] = [await closedPort(), await closedPort(), await closedPort()];
+    const common = ['--save', '', '--appendonly', 'no', '--bind', '127.0.0.1'];
+
+    await startRedis('redis-server', ['--port', String(masterPort), ...common], masterPort);
+    await startRedis('redis-server', ['--port', String(replicaPort), '--replicaof', '127.0.0.1', String(masterPort), ...common], replicaPort);
+
+    // Sentinel rewrites its config file, so it needs a writable one
+    dir = mkdtempSync(path.join(tmpdir(), 'rpm-sentinel-'));
+    const configFile = path.join(dir, 'sentinel.conf');
+    writeFileSync(configFile, [
+      `port ${sentinelPort}`,
+      'bind 127.0.0.1',
+      `sentinel monitor mymaster 127.0.0.1 ${masterPort} 1`,
+      'sentinel down-after-milliseconds mymaster 1000',
+      'sentinel failover-timeout mymaster 10000',
+      ''
+    ].join('\n'));
+    await startRedis('redis-sentinel', [configFile], sentinelPort);
+
+    const admin = createClient({ socket: { port: sentinelPort } });
+    await admin.connect();
+    try {
+      // FAILOVER needs a replica the sentinel has discovered and considers healthy
+      for (let attempt = 0; ; attempt++) {
+        const replicas = await admin.sendCommand(['SENTINEL', 'REPLICAS', 'mymaster']);
+        if (replicas.length > 0 && replicas.some(replica => replica.includes('slave') && !replica.some(field => /s_down|disconnected/.test(field)))) {
+          break;
+        }
+        assert.ok(attempt < 100, 'Sentinel did not discover the replica');
+        await delay(100);
+      }
+
+      const pool = await createSentinelPool([{ host: '127.0.0.1', port: sentinelPort }]);
+      try {
+        await pool.execute('SET', 'key', 'before');
+        const failover = once(pool, 'failover');
+
+        await admin.sendCommand(['SENTINEL', 'FAILOVER', 'mymaster']);
+        const [info] = await failover;
+        assert.equal(info.current.port, replicaPort);
+
+        await pool.execute('SET', 'key', 'after');
+        const promoted = createClient({ socket: { port: replicaPort } });
+        await promoted.connect();
+        try {
+          assert.equal(await promoted.get('key'), 'after');
+          assert.match(await promoted.info('replication'), /role:master/);
+        } finally {
+          await promoted.quit();
+        }
+      } finally {
+        await pool.shutdown();
+      }
+    } finally {
+      await admin.quit();
+    }
+  });
+});
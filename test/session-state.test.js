@@ -0,0 +1,118 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import RedisPoolManager from "../rpm.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool, waitFor } from "./helpers/pool.js";
+
+/**
+ * Releases a connection and waits until its cleanup has put it back
+ *
+ * @async
+ * @param {RedisPoolManager} pool - Pool it came from
+ * @param {Object} client - Connection to release
+ * @returns {Promise<void>}
+ */
+async function releaseAndSettle(pool, client) {
+  pool.releaseConnection(client);
+  await waitFor(() => pool.getStats().busy === 0);
+}
+
+describe('session state cleanup on release', () => {
+  let server;
+  let pool;
+
+  afterEach(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('sends RESET, then restores credentials, database and client name', async () => {
+    server = await startFakeRedis();
+    pool = new RedisPoolManager(
+      { socket: { host: '127.0.0.1', port: server.port }, password: 'secret', database: 3 },
+      { logLevel: 'silent', minConnections: 1, maxConnections: 1 }
+    );
+    await once(pool, 'ready');
+
+    const client = await pool.acquireConnection();
+    const { connectionId } = client;
+    await client.select(5);
+    await client.sendCommand(['CLIENT', 'SETNAME', 'report-job']);
+
+    const sent = server.log.length;
+    await releaseAndSettle(pool, client);
+    assert.deepEqual(server.log.slice(sent), [
+      ['RESET'],
+      ['AUTH', 'secret'],
+      ['SELECT', '3'],
+      ['CLIENT', 'SETNAME', connectionId]
+    ]);
+
+    const [session] = server.sessions;
+    assert.equal(session.db, 3);
+    assert.equal(session.name, connectionId);
+    assert.equal(pool.getStats().dirtyRelease, 1);
+
+    // The cleaned connection is reused, and comes back clean
+    const again = await pool.acquireConnection();
+    assert.equal(again.connectionId, connectionId);
+    assert.equal(again.sessionState.size, 0);
+    pool.releaseConnection(again);
+  });
+
+  it('falls back to DISCARD, UNWATCH, SELECT and CLIENT SETNAME without RESET', async () => {
+    server = await startFakeRedis({ reset: false });
+    pool = await createPool(server, { minConnections: 1, maxConnections: 1 });
+
+    const client = await pool.acquireConnection();
+    const { connectionId } = client;
+    await client.select(2);
+    await client.watch('balance');
+    await client.sendCommand(['CLIENT', 'SETNAME', 'report-job']);
+
+    const sent = server.log.length;
+    await releaseAndSettle(pool, client);
+    assert.deepEqual(server.log.slice(sent), [
+      ['RESET'],
+      ['DISCARD'],
+      ['UNWATCH'],
+      ['SELECT', '0'],
+      ['CLIENT', 'SETNAME', connectionId]
+    ]);
+
+    const [session] = server.sessions;
+    assert.equal(session.db, 0);
+    assert.equal(session.watch, null);
+    assert.equal(session.name, connectionId);
+    assert.equal(pool.getStats().dirtyRelease, 1);
+
+    // RESET is not tried again once the server turned it down
+    const again = await pool.acquireConnection();
+    assert.equal(again.connectionId, connectionId);
+    await again.select(1);
+    const resent = server.log.length;
+    await releaseAndSettle(pool, again);
+    assert.deepEqual(server.log.slice(resent), [['SELECT', '0']]);
+    assert.equal(pool.getStats().dirtyRelease, 2);
+  });
+
+  it('destroys a connection only RESET could clean up', async () => {
+    server = await startFakeRedis({ reset: false });
+    pool = await createPool(server, { minConnections: 1, maxConnections: 1 });
+
+    const client = await pool.acquireConnection();
+    const { connectionId } = client;
+    await client.sendCommand(['CLIENT', 'TRACKING', 'ON']);
+
+    const destroyed = once(pool, 'destroy');
+    pool.releaseConnection(client);
+    const [info] = await destroyed;
+    assert.equal(info.connectionId, connectionId);
+    assert.equal(pool.getStats().dirtyRelease, 1);
+
+    const replacement = await pool.acquireConnection();
+    assert.notEqual(replacement.connectionId, connectionId);
+    pool.releaseConnection(replacement);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { PoolClosedError } from "../rpm.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool, delay } from "./helpers/pool.js";
+
+describe('shutdown', () => {
+  let server;
+  let pool;
+
+  beforeEach(async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 2, maxConnections: 2 });
+  });
+
+  afterEach(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('closes idle connections and resolves with a summary', async () => {
+    const summary = await pool.shutdown();
+    assert.deepEqual(summary, { closed: 2, drained: 0, forced: 0, rejected: 0 });
+    assert.equal(pool.getStats().total, 0);
+  });
+
+  it('returns the same promise when called again', () => {
+    assert.equal(pool.shutdown(), pool.shutdown());
+  });
+
+  it('rejects queued waiters and new acquisitions with PoolClosedError', async () => {
+    const clients = [await pool.acquireConnection(), await pool.acquireConnection()];
+    const waiting = pool.acquireConnection();
+
+    const shutdown = pool.shutdown({ drainTimeout: 1000 });
+    await assert.rejects(waiting, PoolClosedError);
+    await assert.rejects(pool.acquireConnection(), PoolClosedError);
+    await assert.rejects(pool.execute('GET', 'key'), PoolClosedError);
+
+    clients.forEach(client => pool.releaseConnection(client));
+    const summary = await shutdown;
+    assert.equal(summary.rejected, 1);
+    assert.equal(summary.drained, 2);
+  });
+
+  it('waits for busy connections until drainTimeout, then forces them', async () => {
+    const released = await pool.acquireConnection();
+    await pool.acquireConnection();
+
+    const shutdown = pool.shutdown({ drainTimeout: 100 });
+    await delay(20);
+    pool.releaseConnection(released);
+
+    const startedAt = Date.now();
+    const summary = await shutdown;
+    assert.ok(Date.now() - startedAt >= 50);
+    assert.deepEqual(summary, { closed: 0, drained: 1, forced: 1, rejected: 0 });
+    assert.equal(pool.getStats().total, 0);
+  });
+
+  it('settles waiters and counts busy connections before closing Pub/Sub connections', async () => {
+    await pool.subscribe('news', () => {});
+    const clients = [await pool.acquireConnection(), await pool.acquireConnection()];
+    let rejectedAt = null;
+    const waiting = pool.acquireConnection().catch(error => {
+      rejectedAt = server.count('QUIT');
+      throw error;
+    });
+
+    const shutdown = pool.shutdown({ drainTimeout: 1000 });
+    // Released while the subscriber connection is still quitting
+    clients.forEach(client => pool.releaseConnection(client));
+
+    await assert.rejects(waiting, PoolClosedError);
+    assert.equal(rejectedAt, 0);
+    assert.deepEqual(await shutdown, { closed: 0, drained: 2, forced: 0, rejected: 1 });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { TransactionConflictError } from "../rpm.js";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool } from "./helpers/pool.js";
+
+describe('transaction', () => {
+  let server;
+  let pool;
+
+  before(async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 2, maxConnections: 2, transactionRetryDelay: 1 });
+  });
+
+  after(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('runs the queued commands and resolves with the EXEC replies', async () => {
+    await pool.execute('SET', 'balance', 10);
+    const replies = await pool.transaction('balance', async (client, multi) => {
+      const balance = Number(await client.get('balance'));
+      multi.set('balance', String(balance - 3));
+      multi.get('balance');
+    });
+
+    assert.deepEqual(replies, ['OK', '7']);
+    assert.equal(await pool.execute('GET', 'balance'), '7');
+  });
+
+  it('retries when a watched key changes, then succeeds', async () => {
+    const retries = [];
+    pool.on('transactionRetry', info => retries.push(info));
+    let attempts = 0;
+
+    try {
+      await pool.transaction(['stock'], async (client, multi) => {
+        // Someone else writes the key during the first attempt only
+        if (++attempts === 1) {
+          await pool.execute('INCR', 'stock');
+        }
+        multi.set('stock', '0');
+      });
+    } finally {
+      pool.removeAllListeners('transactionRetry');
+    }
+
+    assert.equal(attempts, 2);
+    assert.equal(retries.length, 1);
+    assert.deepEqual(retries[0].keys, ['stock']);
+  });
+
+  it('fails with TransactionConflictError once retries run out', async () => {
+    let attempts = 0;
+    const error = await pool.transaction('hot', async (client, multi) => {
+      attempts++;
+      await pool.execute('INCR', 'hot');
+      multi.set('hot', '0');
+    }, { retries: 2 }).catch(caught => caught);
+
+    assert.ok(error instanceof TransactionConflictError);
+    assert.equal(error.code, 'ETXCONFLICT');
+    assert.deepEqual(error.keys, ['hot']);
+    assert.equal(error.attempts, 3);
+    assert.equal(attempts, 3);
+  });
+
+  it('rethrows the callback error and leaves no WATCH or MULTI behind', async () => {
+    await assert.rejects(pool.transaction('key', async (client, multi) => {
+      multi.set('key', 'value');
+      throw new Error('changed my mind');
+    }), /changed my mind/);
+
+    await new Promise(resolve => setImmediate(resolve));
+    for (const session of server.sessions) {
+      assert.equal(session.watch, null);
+      assert.equal(session.multi, null);
+    }
+    assert.equal(pool.getStats().busy, 0);
+  });
+});
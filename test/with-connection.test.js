@@ -0,0 +1,58 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { startFakeRedis } from "./helpers/fake-redis.js";
+import { createPool, delay } from "./helpers/pool.js";
+
+describe('withConnection() and leak detection', () => {
+  let server;
+  let pool;
+
+  afterEach(async () => {
+    await pool.shutdown();
+    await server.close();
+  });
+
+  it('returns the callback result and releases the connection', async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 1 });
+
+    const value = await pool.withConnection(async client => {
+      assert.equal(pool.getStats().busy, 1);
+      await client.set('key', 'value');
+      return client.get('key');
+    });
+    assert.equal(value, 'value');
+    assert.equal(pool.getStats().busy, 0);
+  });
+
+  it('releases the connection when the callback throws', async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 1 });
+
+    const failure = new Error('boom');
+    await assert.rejects(pool.withConnection(async () => { throw failure; }), error => error === failure);
+    assert.equal(pool.getStats().busy, 0);
+    assert.equal(pool.getStats().available, 1);
+  });
+
+  it('reports a connection held past leakDetectionThreshold with its acquire stack', async () => {
+    server = await startFakeRedis();
+    pool = await createPool(server, { minConnections: 1, maxConnections: 2, leakDetectionThreshold: 50 });
+    const leaks = [];
+    pool.on('leak', info => leaks.push(info));
+
+    // Released in time, so never reported
+    await pool.withConnection(() => delay(10));
+
+    const leaked = once(pool, 'leak');
+    const client = await pool.acquireConnection();
+    const [info] = await leaked;
+    assert.equal(info.connectionId, client.connectionId);
+    assert.ok(info.heldFor >= 50);
+    assert.match(info.stack, /with-connection\.test\.js/);
+    assert.equal(leaks.length, 1);
+
+    pool.releaseConnection(client);
+  });
+});